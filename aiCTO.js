@@ -1,18 +1,12 @@
-const OpenAI = require('openai');
-const Anthropic = require('@anthropic-ai/sdk');
 const fs = require('fs-extra');
 const path = require('path');
+const { getDefaultRegistry } = require('./llmProvider');
+const { scanDirectory } = require('./dependencyScanner');
 const { logger } = require('../middleware/logger');
 
 class AICTOMonitor {
-    constructor() {
-        this.openai = new OpenAI({
-            apiKey: process.env.OPENAI_API_KEY
-        });
-        
-        this.anthropic = new Anthropic({
-            apiKey: process.env.ANTHROPIC_API_KEY
-        });
+    constructor(providers = getDefaultRegistry()) {
+        this.providers = providers;
         
         this.monitoringInterval = null;
         this.alertThresholds = {
@@ -191,23 +185,14 @@ ${JSON.stringify(healthResults, null, 2)}
 
 Do not include any text other than JSON.`;
 
-            const response = await this.openai.chat.completions.create({
-                model: "gpt-4-turbo-preview",
-                messages: [
-                    {
-                        role: "system",
-                        content: "You are an expert DevOps engineer and system architect. Analyze application health metrics and provide actionable insights."
-                    },
-                    {
-                        role: "user",
-                        content: prompt
-                    }
-                ],
+            const responseText = await this.providers.complete('healthAnalysis', {
+                system: "You are an expert DevOps engineer and system architect. Analyze application health metrics and provide actionable insights.",
+                prompt,
                 temperature: 0.1,
-                max_tokens: 2000
+                maxTokens: 2000
             });
 
-            return await this.parseAIResponse(response.choices[0].message.content);
+            return await this.parseAIResponse(responseText);
 
         } catch (error) {
             logger.error({
@@ -241,18 +226,12 @@ Focus on:
 
 Return structured recommendations with priority levels.`;
 
-            const response = await this.anthropic.messages.create({
-                model: "claude-3-opus-20240229",
-                max_tokens: 3000,
-                messages: [
-                    {
-                        role: "user",
-                        content: analysisPrompt
-                    }
-                ]
+            const responseText = await this.providers.complete('performanceAnalysis', {
+                prompt: analysisPrompt,
+                maxTokens: 3000
             });
 
-            const recommendations = JSON.parse(response.content[0].text);
+            const recommendations = JSON.parse(responseText);
             
             // Store recommendations for review
             await this.storeRecommendations(projectConfig.name, 'performance', recommendations);
@@ -296,15 +275,29 @@ Return structured recommendations with priority levels.`;
 
     async checkSecurityVulnerabilities(projectConfig) {
         try {
+            // Known vulnerable dependencies come from the advisory database,
+            // not from the model; projectConfig.outputDir is the generated project
+            const dependencyScan = projectConfig.outputDir
+                ? await this.checkDependencyVulnerabilities(projectConfig)
+                : null;
+
             const securityPrompt = `Analyze the following project configuration for potential security vulnerabilities:
 
 Project: ${projectConfig.name}
 Platforms: ${projectConfig.platforms.join(', ')}
 Tech Stack: ${JSON.stringify(projectConfig.techStack, null, 2)}
 Dependencies: ${JSON.stringify(projectConfig.dependencies, null, 2)}
-
+${dependencyScan ? `
+Known vulnerable dependencies (from the advisory database, already reported):
+${JSON.stringify(dependencyScan.findings.map(finding => ({
+    package: finding.package,
+    version: finding.version,
+    id: finding.id,
+    fixedVersions: finding.fixedVersions
+})), null, 2)}
+` : ''}
 Identify:
-1. Outdated dependencies with known vulnerabilities
+1. ${dependencyScan ? 'Configuration risks from the vulnerable dependencies listed above (do not guess further advisories)' : 'Outdated dependencies with known vulnerabilities'}
 2. Insecure configurations
 3. Missing security headers
 4. Authentication/authorization weaknesses
@@ -313,23 +306,17 @@ Identify:
 
 Provide specific remediation steps for each issue found.`;
 
-            const response = await this.openai.chat.completions.create({
-                model: "gpt-4-turbo-preview",
-                messages: [
-                    {
-                        role: "system",
-                        content: "You are a cybersecurity expert specializing in application security. Identify vulnerabilities and provide actionable remediation steps."
-                    },
-                    {
-                        role: "user",
-                        content: securityPrompt
-                    }
-                ],
+            const responseText = await this.providers.complete('securityAnalysis', {
+                system: "You are a cybersecurity expert specializing in application security. Identify vulnerabilities and provide actionable remediation steps.",
+                prompt: securityPrompt,
                 temperature: 0.1,
-                max_tokens: 3000
+                maxTokens: 3000
             });
 
-            const securityAnalysis = await this.parseAIResponse(response.choices[0].message.content);
+            const securityAnalysis = await this.parseAIResponse(responseText);
+            if (dependencyScan) {
+                securityAnalysis.dependencyVulnerabilities = dependencyScan;
+            }
             
             // Store security recommendations
             await this.storeRecommendations(projectConfig.name, 'security', securityAnalysis);
@@ -350,6 +337,33 @@ Provide specific remediation steps for each issue found.`;
         }
     }
 
+    // Scans the project's dependency files against the offline advisory
+    // database and alerts on critical and high findings with their CVE ids
+    // and fixed versions. Alerts are sent even if the AI review fails later.
+    // Findings for an unpinned range (no lockfile) only check the range's
+    // lowest version, so they stay in the returned scan without an alert.
+    async checkDependencyVulnerabilities(projectConfig) {
+        const scan = await scanDirectory(projectConfig.outputDir);
+
+        const urgent = scan.findings.filter(finding =>
+            finding.pinned && (finding.severity === 'critical' || finding.severity === 'high'));
+        if (urgent.length > 0) {
+            await this.sendAlert('SECURITY', urgent.map(finding => ({
+                type: 'vulnerable_dependency',
+                severity: finding.severity,
+                package: finding.package,
+                version: finding.version,
+                manifest: finding.manifest,
+                advisory: finding.id,
+                cves: finding.cves,
+                fixedVersions: finding.fixedVersions,
+                description: finding.summary
+            })), projectConfig);
+        }
+
+        return scan;
+    }
+
     async optimizeCodeSuggestions(projectConfig) {
         try {
             // Analyze generated code for optimization opportunities
@@ -369,18 +383,12 @@ Provide suggestions for:
 
 Format as actionable recommendations with estimated impact and effort.`;
 
-            const response = await this.anthropic.messages.create({
-                model: "claude-3-opus-20240229",
-                max_tokens: 3000,
-                messages: [
-                    {
-                        role: "user",
-                        content: codeAnalysisPrompt
-                    }
-                ]
+            const responseText = await this.providers.complete('codeOptimization', {
+                prompt: codeAnalysisPrompt,
+                maxTokens: 3000
             });
 
-            const optimizations = await this.parseAIResponse(response.content[0].text);
+            const optimizations = await this.parseAIResponse(responseText);
             
             await this.storeRecommendations(projectConfig.name, 'optimization', optimizations);
             
@@ -496,27 +504,18 @@ Create a executive summary report including:
 
 Format as a professional status report suitable for technical stakeholders.`;
 
-            const response = await this.openai.chat.completions.create({
-                model: "gpt-4-turbo-preview",
-                messages: [
-                    {
-                        role: "system",
-                        content: "You are an AI CTO generating executive status reports. Provide clear, actionable insights for technical decision-makers."
-                    },
-                    {
-                        role: "user",
-                        content: reportPrompt
-                    }
-                ],
+            const content = await this.providers.complete('statusReport', {
+                system: "You are an AI CTO generating executive status reports. Provide clear, actionable insights for technical decision-makers.",
+                prompt: reportPrompt,
                 temperature: 0.2,
-                max_tokens: 4000
+                maxTokens: 4000
             });
 
             const report = {
                 projectName,
                 generatedAt: new Date().toISOString(),
                 timeRange,
-                content: response.choices[0].message.content,
+                content,
                 dataPoints: {
                     recommendationsCount: recentRecommendations.length,
                     alertsCount: recentAlerts.length
@@ -0,0 +1,53 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+// Read by the dependency scanner when it is loaded
+const dbDir = path.join(os.tmpdir(), `aicto-osv-${process.pid}`);
+process.env.OSV_DB_DIR = dbDir;
+
+const AICTOMonitor = require('./aiCTO');
+const { ProviderRegistry } = require('./llmProvider');
+
+describe('AICTOMonitor.checkDependencyVulnerabilities', () => {
+    let outputDir;
+    let monitor;
+
+    beforeAll(() => fs.outputJson(path.join(dbDir, 'GHSA-lodash.json'), {
+        id: 'GHSA-lodash',
+        affected: [{
+            package: { ecosystem: 'npm', name: 'lodash' },
+            ranges: [{ type: 'SEMVER', events: [{ introduced: '0' }, { fixed: '4.17.21' }] }],
+            database_specific: { severity: 'CRITICAL' }
+        }]
+    }));
+
+    afterAll(() => fs.remove(dbDir));
+
+    beforeEach(async () => {
+        outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aicto-'));
+        monitor = new AICTOMonitor(new ProviderRegistry({ env: {}, registerDefaults: false, fixtures: null }));
+        jest.spyOn(monitor, 'sendAlert').mockResolvedValue();
+    });
+
+    afterEach(() => fs.remove(outputDir));
+
+    test('does not alert for a range that only allows a vulnerable version', async () => {
+        await fs.outputJson(path.join(outputDir, 'backend/package.json'), { dependencies: { lodash: '^4.17.15' } });
+
+        const scan = await monitor.checkDependencyVulnerabilities({ name: 'Shop', outputDir });
+
+        expect(scan.findings).toHaveLength(1);
+        expect(monitor.sendAlert).not.toHaveBeenCalled();
+    });
+
+    test('alerts for a pinned vulnerable version', async () => {
+        await fs.outputJson(path.join(outputDir, 'backend/package.json'), { dependencies: { lodash: '4.17.15' } });
+
+        await monitor.checkDependencyVulnerabilities({ name: 'Shop', outputDir });
+
+        expect(monitor.sendAlert).toHaveBeenCalledWith('SECURITY', [
+            expect.objectContaining({ type: 'vulnerable_dependency', package: 'lodash', version: '4.17.15', severity: 'critical' })
+        ], expect.objectContaining({ name: 'Shop' }));
+    });
+});
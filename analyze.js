@@ -4,10 +4,16 @@ const { v4: uuidv4 } = require('uuid');
 const Joi = require('joi');
 const fs = require('fs-extra');
 const path = require('path');
-const unzipper = require('unzipper');
 const PlanningEngine = require('../services/planningEngine');
 const CodeModernizer = require('../services/codeModernizer');
 const JobManager = require('../services/jobManager');
+const { jobQueue } = require('../services/jobQueue');
+const safeFileWriter = require('../services/safeFileWriter');
+const { extractArchive, archiveType } = require('../services/archiveExtractor');
+const { computeMetrics, isManifest } = require('../services/codeMetrics');
+const { scanDependencies, isDependencyFile } = require('../services/dependencyScanner');
+const { protectFiles, protectDirectory, isEnvFile } = require('../services/secretScanner');
+const { currentSignal, throwIfCancelled, isCancellation } = require('../services/cancellation');
 const { logger } = require('../middleware/logger');
 
 const router = express.Router();
@@ -22,7 +28,7 @@ const upload = multer({
         fileSize: 50 * 1024 * 1024 // 50MB limit
     },
     fileFilter: (req, file, cb) => {
-        const allowedTypes = ['.zip', '.tar', '.gz', '.js', '.ts', '.swift', '.kt', '.java', '.py'];
+        const allowedTypes = ['.zip', '.tar', '.gz', '.tgz', '.js', '.ts', '.swift', '.kt', '.java', '.py'];
         const ext = path.extname(file.originalname).toLowerCase();
         if (allowedTypes.includes(ext) || file.mimetype === 'application/zip') {
             cb(null, true);
@@ -36,7 +42,8 @@ const upload = multer({
 const analyzeSchema = Joi.object({
     instruction: Joi.string().min(5).max(1000).required(),
     target_platform: Joi.string().valid('ios', 'android', 'web', 'backend').optional(),
-    modernization_type: Joi.string().valid('framework', 'language', 'architecture', 'ui').optional()
+    modernization_type: Joi.string().valid('framework', 'language', 'architecture', 'ui').optional(),
+    priority: Joi.string().valid('low', 'normal', 'high').default('normal')
 });
 
 // POST /api/analyze - Analyze existing codebase
@@ -58,7 +65,7 @@ router.post('/', upload.single('codebase'), async (req, res) => {
             });
         }
 
-        const { instruction, target_platform, modernization_type } = value;
+        const { instruction, target_platform, modernization_type, priority } = value;
         const jobId = uuidv4();
 
         logger.info({
@@ -76,17 +83,23 @@ router.post('/', upload.single('codebase'), async (req, res) => {
             instruction,
             target_platform,
             modernization_type,
+            priority,
             filename: req.file.originalname,
             status: 'extracting',
             createdAt: new Date()
         });
 
-        // Start async analysis process
-        analyzeCodeAsync(jobId, req.file, instruction, target_platform, modernization_type);
+        // Queue the analysis; the upload stays in ./uploads until it runs
+        await jobQueue.enqueue(jobId, 'analyze', {
+            file: queuedFile(req.file),
+            instruction,
+            targetPlatform: target_platform,
+            modernizationType: modernization_type
+        }, { priority });
 
         res.json({
             jobId,
-            status: 'started',
+            status: 'queued',
             message: 'Code analysis started. Use /api/status/:jobId to check progress.',
             estimatedTime: '3-7 minutes',
             statusUrl: `/api/status/${jobId}`
@@ -116,7 +129,8 @@ router.post('/modernize', upload.single('codebase'), async (req, res) => {
         const modernizeSchema = Joi.object({
             from_framework: Joi.string().required(),
             to_framework: Joi.string().required(),
-            additional_instructions: Joi.string().max(500).optional()
+            additional_instructions: Joi.string().max(500).optional(),
+            priority: Joi.string().valid('low', 'normal', 'high').default('normal')
         });
 
         const { error, value } = modernizeSchema.validate(req.body);
@@ -127,7 +141,7 @@ router.post('/modernize', upload.single('codebase'), async (req, res) => {
             });
         }
 
-        const { from_framework, to_framework, additional_instructions } = value;
+        const { from_framework, to_framework, additional_instructions, priority } = value;
         const jobId = uuidv4();
 
         logger.info({
@@ -143,16 +157,22 @@ router.post('/modernize', upload.single('codebase'), async (req, res) => {
             from_framework,
             to_framework,
             additional_instructions,
+            priority,
             filename: req.file.originalname,
             status: 'extracting',
             createdAt: new Date()
         });
 
-        modernizeCodeAsync(jobId, req.file, from_framework, to_framework, additional_instructions);
+        await jobQueue.enqueue(jobId, 'modernize', {
+            file: queuedFile(req.file),
+            fromFramework: from_framework,
+            toFramework: to_framework,
+            additionalInstructions: additional_instructions
+        }, { priority });
 
         res.json({
             jobId,
-            status: 'started',
+            status: 'queued',
             message: 'Code modernization started.',
             estimatedTime: '5-15 minutes',
             statusUrl: `/api/status/${jobId}`
@@ -170,20 +190,67 @@ router.post('/modernize', upload.single('codebase'), async (req, res) => {
     }
 });
 
+// The parts of a multer upload the workers need; stored with the queued job
+function queuedFile(file) {
+    return {
+        path: file.path,
+        filename: file.filename,
+        originalname: file.originalname,
+        mimetype: file.mimetype
+    };
+}
+
+// Queue workers. Uploads are deleted once extracted, so an interrupted job
+// can only start over while its upload is still on disk.
+const uploadStillExists = job => fs.pathExistsSync(job.queue.payload.file.path);
+
+// A cancelled job leaves its upload (when it was still waiting) and, for a
+// modernization, a partial output directory and zip
+async function removeJobFiles(jobId, payload) {
+    await fs.remove(payload.file.path);
+    await fs.remove(path.join('./generated', jobId));
+    await fs.remove(path.join('./generated', `${jobId}.zip`));
+}
+
+jobQueue.register('analyze', (jobId, payload) => analyzeCodeAsync(
+    jobId, payload.file, payload.instruction, payload.targetPlatform, payload.modernizationType
+), { canResume: uploadStillExists, cleanup: removeJobFiles });
+
+jobQueue.register('modernize', (jobId, payload) => modernizeCodeAsync(
+    jobId, payload.file, payload.fromFramework, payload.toFramework, payload.additionalInstructions
+), { canResume: uploadStillExists, cleanup: removeJobFiles });
+
 // Async analysis function
 async function analyzeCodeAsync(jobId, file, instruction, targetPlatform, modernizationType) {
     try {
         // Step 1: Extract files
         await jobManager.updateJob(jobId, { status: 'extracting', progress: 10 });
-        const extractedFiles = await extractCodeFiles(file);
+        const upload = await extractCodeFiles(file);
+        const { files: extractedFiles, secrets } = protectUpload(upload.files, upload.envFiles);
+        const { manifests, extraction } = upload;
+
+        // Step 2: Measure and scan dependencies locally, then analyze with the metrics as grounding
+        await jobManager.updateJob(jobId, { status: 'measuring', progress: 25 });
+        const metrics = computeMetrics(extractedFiles, manifests.filter(manifest => isManifest(manifest.name)));
+        const vulnerabilities = await scanDependencies(manifests);
+        throwIfCancelled();
 
-        // Step 2: Analyze codebase
         await jobManager.updateJob(jobId, { status: 'analyzing', progress: 30 });
-        const analysis = await planningEngine.analyzeExistingCode(extractedFiles);
+        const { analysis, coverage } = await planningEngine.analyzeExistingCode(extractedFiles, {
+            onProgress: trackAnalysisProgress(jobId, 30, 70),
+            metrics
+        });
+        throwIfCancelled();
 
         // Step 3: Generate recommendations
         await jobManager.updateJob(jobId, { status: 'generating_recommendations', progress: 70 });
-        const recommendations = await generateRecommendations(analysis, instruction, targetPlatform, modernizationType);
+        const { recommendations, validation } = await generateRecommendations(analysis, instruction, targetPlatform, modernizationType, {
+            metrics,
+            files: coverage.files
+                .filter(entry => entry.status === 'covered' || entry.status === 'partial')
+                .map(entry => entry.name)
+        });
+        throwIfCancelled();
 
         // Step 4: Complete
         await jobManager.updateJob(jobId, {
@@ -192,7 +259,13 @@ async function analyzeCodeAsync(jobId, file, instruction, targetPlatform, modern
             result: {
                 analysis,
                 recommendations,
-                files_analyzed: extractedFiles.length
+                recommendationValidation: validation,
+                metrics,
+                vulnerabilities,
+                files_analyzed: extractedFiles.length,
+                coverage,
+                extraction,
+                secrets
             },
             completedAt: new Date()
         });
@@ -200,6 +273,11 @@ async function analyzeCodeAsync(jobId, file, instruction, targetPlatform, modern
         logger.info({ message: 'Code analysis completed', jobId });
 
     } catch (error) {
+        if (isCancellation(error)) {
+            logger.info({ message: 'Code analysis cancelled', jobId });
+            return;
+        }
+
         logger.error({
             message: 'Code analysis failed',
             jobId,
@@ -209,6 +287,7 @@ async function analyzeCodeAsync(jobId, file, instruction, targetPlatform, modern
         await jobManager.updateJob(jobId, {
             status: 'failed',
             error: error.message,
+            ...(error.findings && { secretFindings: error.findings }),
             failedAt: new Date()
         });
     }
@@ -218,18 +297,25 @@ async function analyzeCodeAsync(jobId, file, instruction, targetPlatform, modern
 async function modernizeCodeAsync(jobId, file, fromFramework, toFramework, additionalInstructions) {
     try {
         await jobManager.updateJob(jobId, { status: 'extracting', progress: 10 });
-        const extractedFiles = await extractCodeFiles(file);
+        const upload = await extractCodeFiles(file);
+        const { files: extractedFiles, secrets } = protectUpload(upload.files, upload.envFiles);
+        const { extraction } = upload;
 
         await jobManager.updateJob(jobId, { status: 'analyzing', progress: 25 });
-        const analysis = await planningEngine.analyzeExistingCode(extractedFiles);
+        const { coverage } = await planningEngine.analyzeExistingCode(extractedFiles, {
+            onProgress: trackAnalysisProgress(jobId, 25, 50)
+        });
+        throwIfCancelled();
 
         await jobManager.updateJob(jobId, { status: 'modernizing', progress: 50 });
         const modernizedCode = await codeModernizer.modernizeCode(
-            extractedFiles, 
+            // The modernizer still sends files in a single prompt
+            extractedFiles.map(codeFile => ({ ...codeFile, content: codeFile.content.substring(0, 10000) })),
             fromFramework, 
             toFramework, 
             additionalInstructions
         );
+        throwIfCancelled();
 
         await jobManager.updateJob(jobId, { status: 'packaging', progress: 85 });
         const packagedResult = await packageModernizedCode(jobId, modernizedCode);
@@ -237,13 +323,28 @@ async function modernizeCodeAsync(jobId, file, fromFramework, toFramework, addit
         await jobManager.updateJob(jobId, {
             status: 'completed',
             progress: 100,
-            result: packagedResult,
+            result: {
+                ...packagedResult,
+                coverage,
+                extraction,
+                // Findings in the upload, then in the modernized output
+                secrets: {
+                    mode: secrets.mode,
+                    findings: [...secrets.findings, ...packagedResult.secrets.findings],
+                    redactedFiles: packagedResult.secrets.redactedFiles
+                }
+            },
             completedAt: new Date()
         });
 
         logger.info({ message: 'Code modernization completed', jobId });
 
     } catch (error) {
+        if (isCancellation(error)) {
+            logger.info({ message: 'Code modernization cancelled', jobId });
+            return;
+        }
+
         logger.error({
             message: 'Code modernization failed',
             jobId,
@@ -253,86 +354,120 @@ async function modernizeCodeAsync(jobId, file, fromFramework, toFramework, addit
         await jobManager.updateJob(jobId, {
             status: 'failed',
             error: error.message,
+            ...(error.findings && { secretFindings: error.findings }),
             failedAt: new Date()
         });
     }
 }
 
+// Redacts or blocks secrets (see SECRET_SCAN_MODE) before any file is sent
+// to an AI provider. Environment files are never sent, so their secrets are
+// only reported. Resolves to { files, secrets: { mode, findings } }.
+function protectUpload(codeFiles, envFiles) {
+    const upload = protectFiles(codeFiles);
+    const environment = protectFiles(envFiles, { mode: 'report' });
+    return {
+        files: upload.files,
+        secrets: { mode: upload.mode, findings: [...upload.findings, ...environment.findings] }
+    };
+}
+
+// Maps per-batch analysis progress onto the job's progress between `from` and `to`
+function trackAnalysisProgress(jobId, from, to) {
+    return ({ batchesCompleted, batchesTotal }) => jobManager.updateJob(jobId, {
+        progress: from + Math.floor((to - from) * batchesCompleted / batchesTotal),
+        analysisProgress: { batchesCompleted, batchesTotal }
+    });
+}
+
+// Resolves to { files, manifests, envFiles, extraction }, where `manifests`
+// are the dependency manifests and lockfiles found, `envFiles` the
+// environment files (scanned for secrets only) and `extraction` reports what was skipped or
+// rejected while unpacking an archive upload
 async function extractCodeFiles(file) {
     const extractDir = path.join('./uploads', 'extracted', path.basename(file.filename));
     await fs.ensureDir(extractDir);
 
-    if (file.mimetype === 'application/zip' || path.extname(file.originalname) === '.zip') {
-        // Extract ZIP file
-        await fs.createReadStream(file.path)
-            .pipe(unzipper.Extract({ path: extractDir }))
-            .promise();
-    } else {
-        // Single file
-        await fs.copy(file.path, path.join(extractDir, file.originalname));
-    }
+    try {
+        let extraction = null;
+        if (archiveType(file.originalname, file.mimetype)) {
+            extraction = await extractArchive(file.path, file.originalname, extractDir, { mimetype: file.mimetype });
+        } else {
+            // Single file
+            await fs.copy(file.path, path.join(extractDir, path.basename(file.originalname)));
+        }
 
-    // Read all code files
-    const codeFiles = [];
-    const supportedExtensions = ['.js', '.ts', '.jsx', '.tsx', '.swift', '.kt', '.java', '.py', '.go', '.rs'];
-    
-    async function readDirectory(dir) {
-        const items = await fs.readdir(dir);
-        for (const item of items) {
-            const itemPath = path.join(dir, item);
-            const stat = await fs.stat(itemPath);
-            
-            if (stat.isDirectory()) {
-                await readDirectory(itemPath);
-            } else if (supportedExtensions.includes(path.extname(item))) {
-                const content = await fs.readFile(itemPath, 'utf8');
-                codeFiles.push({
-                    name: path.relative(extractDir, itemPath),
-                    extension: path.extname(item).substring(1),
-                    content: content.substring(0, 10000) // Limit content size
-                });
+        // Read all code files and dependency manifests
+        const codeFiles = [];
+        const manifests = [];
+        const envFiles = [];
+        const supportedExtensions = ['.js', '.ts', '.jsx', '.tsx', '.swift', '.kt', '.java', '.py', '.go', '.rs'];
+
+        async function readDirectory(dir) {
+            const items = await fs.readdir(dir);
+            for (const item of items) {
+                const itemPath = path.join(dir, item);
+                const stat = await fs.lstat(itemPath);
+
+                if (stat.isDirectory()) {
+                    await readDirectory(itemPath);
+                } else if (stat.isFile() && supportedExtensions.includes(path.extname(item))) {
+                    const content = await fs.readFile(itemPath, 'utf8');
+                    codeFiles.push({
+                        name: path.relative(extractDir, itemPath),
+                        extension: path.extname(item).substring(1),
+                        content
+                    });
+                } else if (stat.isFile() && (isManifest(item) || isDependencyFile(item))) {
+                    manifests.push({
+                        name: path.relative(extractDir, itemPath),
+                        content: await fs.readFile(itemPath, 'utf8')
+                    });
+                } else if (stat.isFile() && isEnvFile(item)) {
+                    envFiles.push({
+                        name: path.relative(extractDir, itemPath),
+                        content: await fs.readFile(itemPath, 'utf8')
+                    });
+                }
             }
         }
-    }
 
-    await readDirectory(extractDir);
-    
-    // Cleanup
-    await fs.remove(file.path);
-    await fs.remove(extractDir);
-    
-    return codeFiles;
+        await readDirectory(extractDir);
+
+        return { files: codeFiles, manifests, envFiles, extraction };
+    } finally {
+        // Cleanup
+        await fs.remove(file.path);
+        await fs.remove(extractDir);
+    }
 }
 
-async function generateRecommendations(analysis, instruction, targetPlatform, modernizationType) {
-    // This would use AI to generate specific recommendations
-    return {
-        summary: "Code analysis completed",
-        recommendations: [
-            "Consider updating to latest framework version",
-            "Implement proper error handling",
-            "Add unit tests for critical functions"
-        ],
-        modernization_opportunities: [
-            "Convert to modern UI framework",
-            "Implement reactive programming patterns",
-            "Add TypeScript for better type safety"
-        ],
-        estimated_effort: "Medium (2-4 weeks)"
-    };
+// Recommendations cite the analysed files and are schema-validated; every
+// validation attempt is returned for the job record
+async function generateRecommendations(analysis, instruction, targetPlatform, modernizationType, { metrics, files } = {}) {
+    const validation = [];
+    const recommendations = await planningEngine.recommendChanges(analysis, {
+        instruction,
+        targetPlatform,
+        modernizationType,
+        metrics,
+        files,
+        onValidationAttempt: attempt => validation.push(attempt)
+    });
+    return { recommendations, validation };
 }
 
-async function packageModernizedCode(jobId, modernizedCode) {
+async function packageModernizedCode(jobId, modernizedCode, signal = currentSignal()) {
     const archiver = require('archiver');
     const outputDir = path.join('./generated', jobId);
     await fs.ensureDir(outputDir);
 
     // Write modernized files
-    for (const [filePath, content] of Object.entries(modernizedCode.files)) {
-        const fullPath = path.join(outputDir, filePath);
-        await fs.ensureDir(path.dirname(fullPath));
-        await fs.writeFile(fullPath, content);
-    }
+    const { rejected } = await safeFileWriter.writeFiles(modernizedCode.files, outputDir, { platform: 'modernization', signal });
+
+    // The model may echo or invent keys; same rules as generated projects
+    const secrets = await protectDirectory(outputDir);
+    throwIfCancelled(signal);
 
     // Create ZIP
     const zipPath = path.join('./generated', `${jobId}.zip`);
@@ -340,9 +475,19 @@ async function packageModernizedCode(jobId, modernizedCode) {
     const archive = archiver('zip', { zlib: { level: 9 } });
     
     return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            archive.abort();
+            output.destroy();
+            reject(signal.reason);
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+
         output.on('close', () => {
+            signal?.removeEventListener('abort', onAbort);
             resolve({
                 modernizedCode,
+                rejectedFiles: rejected,
+                secrets,
                 zipPath,
                 zipSize: archive.pointer(),
                 downloadUrl: `/api/download/${jobId}`
@@ -0,0 +1,358 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { parseDatabaseSchema, singularize } = require('./schemaModels');
+
+const JSON_SCHEMA_TYPES = {
+    id: { type: 'string' },
+    string: { type: 'string' },
+    number: { type: 'number' },
+    integer: { type: 'integer' },
+    boolean: { type: 'boolean' },
+    date: { type: 'string', format: 'date-time' },
+    object: { type: 'object' }
+};
+
+const SOURCE_EXTENSIONS = {
+    backend: ['.js', '.ts', '.mjs', '.cjs'],
+    web: ['.js', '.jsx', '.ts', '.tsx', '.vue'],
+    ios: ['.swift'],
+    android: ['.kt', '.java']
+};
+
+// Express-style params, OpenAPI params, template interpolations and Swift
+// string interpolation all collapse to "{}" so paths can be compared.
+function normalizePath(routePath) {
+    const normalized = routePath
+        .split('?')[0]
+        .replace(/\$\{[^}]*\}/g, '{}')
+        .replace(/\\\([^)]*\)/g, '{}')
+        .replace(/\{[^}]*\}/g, '{}')
+        .replace(/:[A-Za-z_][A-Za-z0-9_]*/g, '{}')
+        .replace(/\/+/g, '/')
+        .replace(/\/$/, '');
+    return normalized.startsWith('/') ? normalized : `/${normalized}`;
+}
+
+// Clients often prefix calls with a base URL ("/users" against "/api/users"),
+// so a call matches when its segments are a suffix of the contract path.
+function pathsMatch(contractPath, otherPath) {
+    const contractSegments = normalizePath(contractPath).split('/').filter(Boolean);
+    const otherSegments = normalizePath(otherPath).split('/').filter(Boolean);
+
+    if (otherSegments.length === 0 || otherSegments.length > contractSegments.length) {
+        return false;
+    }
+
+    const offset = contractSegments.length - otherSegments.length;
+    return otherSegments.every((segment, i) => segment === contractSegments[offset + i]);
+}
+
+function schemaForModel(model) {
+    const properties = {};
+    for (const field of model.fields) {
+        const base = field.ref
+            ? { type: 'string', description: `${field.ref} id` }
+            : JSON_SCHEMA_TYPES[field.type];
+        properties[field.name] = field.isArray ? { type: 'array', items: base } : base;
+    }
+
+    return {
+        type: 'object',
+        required: model.fields.filter(field => field.required).map(field => field.name),
+        properties
+    };
+}
+
+// The model an endpoint works on, matched by its first static path segment
+function findResourceModel(endpointPath, models) {
+    const segments = endpointPath.split('/').filter(segment => segment && !/^[:{]/.test(segment) && segment !== 'api');
+    for (const segment of segments) {
+        const model = models.find(m =>
+            m.collection.toLowerCase() === segment.toLowerCase()
+            || m.name.toLowerCase() === singularize(segment).toLowerCase()
+        );
+        if (model) return model;
+    }
+    return null;
+}
+
+function buildOpenAPIDocument(planningData) {
+    const models = parseDatabaseSchema(planningData.database_schema);
+    const paths = {};
+
+    for (const endpoint of planningData.api_endpoints) {
+        const method = endpoint.method.toLowerCase();
+        const openapiPath = endpoint.path.replace(/:([A-Za-z_][A-Za-z0-9_]*)/g, '{$1}');
+        const params = [...openapiPath.matchAll(/\{([^}]+)\}/g)].map(match => match[1]);
+        const model = findResourceModel(endpoint.path, models);
+        const modelRef = model && { $ref: `#/components/schemas/${model.name}` };
+        const returnsList = method === 'get' && params.length === 0;
+
+        const operation = {
+            operationId: `${method}${openapiPath.replace(/[{}]/g, '').split(/[^A-Za-z0-9]+/).filter(Boolean).map(s => s.charAt(0).toUpperCase() + s.slice(1)).join('')}`,
+            summary: endpoint.description,
+            ...(params.length > 0 && {
+                parameters: params.map(name => ({
+                    name,
+                    in: 'path',
+                    required: true,
+                    schema: { type: 'string' }
+                }))
+            }),
+            ...(['post', 'put', 'patch'].includes(method) && {
+                requestBody: {
+                    required: true,
+                    content: {
+                        'application/json': {
+                            schema: modelRef || { type: 'object' }
+                        }
+                    }
+                }
+            }),
+            responses: {
+                [method === 'post' ? '201' : '200']: {
+                    description: 'Success',
+                    ...(method !== 'delete' && {
+                        content: {
+                            'application/json': {
+                                schema: modelRef
+                                    ? (returnsList ? { type: 'array', items: modelRef } : modelRef)
+                                    : { type: 'object' }
+                            }
+                        }
+                    })
+                }
+            }
+        };
+
+        paths[openapiPath] = { ...paths[openapiPath], [method]: operation };
+    }
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: planningData.app_name,
+            description: planningData.description,
+            version: '1.0.0'
+        },
+        paths,
+        components: {
+            schemas: Object.fromEntries(models.map(model => [model.name, schemaForModel(model)]))
+        }
+    };
+}
+
+function listOperations(contract) {
+    const operations = [];
+    for (const [routePath, methods] of Object.entries(contract.paths)) {
+        for (const method of Object.keys(methods)) {
+            operations.push({ method: method.toUpperCase(), path: routePath });
+        }
+    }
+    return operations;
+}
+
+async function readSourceFiles(dir, extensions) {
+    const files = [];
+    if (!await fs.pathExists(dir)) {
+        return files;
+    }
+
+    async function walk(current) {
+        for (const item of await fs.readdir(current)) {
+            if (item === 'node_modules' || item.startsWith('.')) continue;
+            const itemPath = path.join(current, item);
+            const stat = await fs.stat(itemPath);
+            if (stat.isDirectory()) {
+                await walk(itemPath);
+            } else if (extensions.includes(path.extname(item))) {
+                files.push({
+                    path: path.relative(dir, itemPath).split(path.sep).join('/'),
+                    content: await fs.readFile(itemPath, 'utf8')
+                });
+            }
+        }
+    }
+
+    await walk(dir);
+    return files;
+}
+
+function lineOf(content, index) {
+    return content.slice(0, index).split('\n').length;
+}
+
+// Routes registered by an Express backend, with router mount prefixes resolved
+function extractBackendRoutes(files) {
+    const prefixes = {};
+
+    // app.use('/api/users', usersRouter) with const usersRouter = require('./routes/users')
+    for (const file of files) {
+        const requires = {};
+        for (const match of file.content.matchAll(/(?:const|let|var)\s+(\w+)\s*=\s*require\(\s*['"`]([^'"`]+)['"`]\s*\)/g)) {
+            requires[match[1]] = match[2];
+        }
+        for (const match of file.content.matchAll(/import\s+(\w+)\s+from\s+['"`]([^'"`]+)['"`]/g)) {
+            requires[match[1]] = match[2];
+        }
+
+        const mountPattern = /\.use\(\s*['"`]([^'"`]+)['"`]\s*,\s*(?:[\w.]+\s*,\s*)*(?:require\(\s*['"`]([^'"`]+)['"`]\s*\)|(\w+))\s*\)/g;
+        for (const match of file.content.matchAll(mountPattern)) {
+            const target = match[2] || requires[match[3]];
+            if (!target || !target.startsWith('.')) continue;
+
+            const resolved = path.posix.normalize(path.posix.join(path.posix.dirname(file.path), target)).replace(/\.(js|ts|mjs|cjs)$/, '');
+            prefixes[resolved] = match[1];
+            prefixes[`${resolved}/index`] = match[1];
+        }
+    }
+
+    const routes = [];
+    for (const file of files) {
+        const prefix = prefixes[file.path.replace(/\.(js|ts|mjs|cjs)$/, '')] || '';
+
+        for (const match of file.content.matchAll(/\b(?:app|router|\w+Router|api)\.(get|post|put|patch|delete)\(\s*['"`]([^'"`]*)['"`]/g)) {
+            routes.push({
+                method: match[1].toUpperCase(),
+                path: normalizePath(`${prefix}/${match[2]}`),
+                file: file.path,
+                line: lineOf(file.content, match.index)
+            });
+        }
+
+        // router.route('/:id').get(...).put(...)
+        for (const match of file.content.matchAll(/\.route\(\s*['"`]([^'"`]*)['"`]\s*\)([\s\S]*?);/g)) {
+            for (const method of match[2].matchAll(/\.(get|post|put|patch|delete)\(/g)) {
+                routes.push({
+                    method: method[1].toUpperCase(),
+                    path: normalizePath(`${prefix}/${match[1]}`),
+                    file: file.path,
+                    line: lineOf(file.content, match.index)
+                });
+            }
+        }
+    }
+
+    return routes;
+}
+
+// HTTP calls made by a client. `method` is null when it cannot be determined.
+function extractClientCalls(platform, files) {
+    const calls = [];
+
+    for (const file of files) {
+        const { content } = file;
+
+        if (platform === 'android') {
+            // Retrofit: @GET("users/{id}")
+            for (const match of content.matchAll(/@(GET|POST|PUT|PATCH|DELETE)\(\s*"([^"]*)"\s*\)/g)) {
+                calls.push({ method: match[1], path: normalizePath(match[2]), file: file.path, line: lineOf(content, match.index) });
+            }
+            continue;
+        }
+
+        if (platform === 'web') {
+            // axios.get('/users'), api.post(`/users/${id}`)
+            for (const match of content.matchAll(/\b\w+\.(get|post|put|patch|delete)\(\s*['"`]([^'"`]*\/[^'"`]*)['"`]/g)) {
+                calls.push({ method: match[1].toUpperCase(), path: normalizePath(stripBase(match[2])), file: file.path, line: lineOf(content, match.index) });
+            }
+            // fetch(`${API_URL}/users`, { method: 'POST' }), Nuxt $fetch/useFetch
+            for (const match of content.matchAll(/(?:\bfetch|\$fetch|\buseFetch)\(\s*['"`]([^'"`]*\/[^'"`]*)['"`]\s*(?:,\s*\{([\s\S]{0,300}?)\})?/g)) {
+                const methodMatch = (match[2] || '').match(/method\s*:\s*['"`](\w+)['"`]/);
+                calls.push({
+                    method: methodMatch ? methodMatch[1].toUpperCase() : 'GET',
+                    path: normalizePath(stripBase(match[1])),
+                    file: file.path,
+                    line: lineOf(content, match.index)
+                });
+            }
+            continue;
+        }
+
+        if (platform === 'ios') {
+            // "\(baseURL)/users/\(id)" or "/api/users"; method from a nearby httpMethod
+            for (const match of content.matchAll(/"((?:\\\([^)]*\))?\/[A-Za-z0-9_\-/.{}\\()]*)"/g)) {
+                const literal = stripBase(match[1]);
+                if (!/[A-Za-z]/.test(literal) || /\.\w+$/.test(literal)) continue;
+
+                const nearby = content.slice(match.index, match.index + 400);
+                const methodMatch = nearby.match(/httpMethod\s*=\s*"(\w+)"/);
+                calls.push({
+                    method: methodMatch ? methodMatch[1].toUpperCase() : null,
+                    path: normalizePath(literal),
+                    file: file.path,
+                    line: lineOf(content, match.index)
+                });
+            }
+        }
+    }
+
+    return calls;
+}
+
+// Drops a leading base-URL interpolation or absolute origin
+function stripBase(literal) {
+    return literal
+        .replace(/^https?:\/\/[^/]+/, '')
+        .replace(/^\$\{[^}]*\}/, '')
+        .replace(/^\\\([^)]*\)/, '');
+}
+
+async function checkContractConsistency(contract, outputDir, platforms) {
+    const operations = listOperations(contract);
+    const report = {
+        consistent: true,
+        operations: operations.length,
+        backend: null,
+        clients: {}
+    };
+
+    if (platforms.includes('backend')) {
+        const files = await readSourceFiles(path.join(outputDir, 'backend'), SOURCE_EXTENSIONS.backend);
+        const routes = extractBackendRoutes(files);
+
+        const missingRoutes = operations.filter(op =>
+            !routes.some(route => route.method === op.method && pathsMatch(op.path, route.path))
+        );
+        const undocumentedRoutes = routes.filter(route =>
+            !operations.some(op => op.method === route.method && pathsMatch(op.path, route.path))
+        );
+
+        report.backend = {
+            routes: routes.length,
+            missingRoutes,
+            undocumentedRoutes
+        };
+        if (missingRoutes.length > 0 || undocumentedRoutes.length > 0) {
+            report.consistent = false;
+        }
+    }
+
+    for (const platform of platforms.filter(p => p !== 'backend' && SOURCE_EXTENSIONS[p])) {
+        const files = await readSourceFiles(path.join(outputDir, platform), SOURCE_EXTENSIONS[platform]);
+        const calls = extractClientCalls(platform, files);
+
+        const mismatches = calls.filter(call =>
+            !operations.some(op => (!call.method || op.method === call.method) && pathsMatch(op.path, call.path))
+        );
+
+        report.clients[platform] = {
+            calls: calls.length,
+            mismatches
+        };
+        if (mismatches.length > 0) {
+            report.consistent = false;
+        }
+    }
+
+    return report;
+}
+
+module.exports = {
+    buildOpenAPIDocument,
+    checkContractConsistency,
+    extractBackendRoutes,
+    extractClientCalls,
+    normalizePath,
+    pathsMatch
+};
@@ -0,0 +1,75 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const {
+    buildOpenAPIDocument,
+    checkContractConsistency,
+    extractBackendRoutes,
+    normalizePath,
+    pathsMatch
+} = require('./apiContract');
+
+const planningData = {
+    app_name: 'Shop',
+    description: 'A small shop',
+    database_schema: { products: { fields: ['name', 'price: number'] } },
+    api_endpoints: [
+        { method: 'GET', path: '/api/products', description: 'List products' },
+        { method: 'GET', path: '/api/products/:id', description: 'Get a product' },
+        { method: 'POST', path: '/api/products', description: 'Create a product' }
+    ]
+};
+
+describe('buildOpenAPIDocument', () => {
+    test('turns the plan\'s endpoints into operations on its models', () => {
+        const contract = buildOpenAPIDocument(planningData);
+
+        expect(Object.keys(contract.paths)).toEqual(['/api/products', '/api/products/{id}']);
+        expect(contract.paths['/api/products'].get.responses['200'].content['application/json'].schema)
+            .toEqual({ type: 'array', items: { $ref: '#/components/schemas/Product' } });
+        expect(contract.paths['/api/products/{id}'].get.parameters[0]).toMatchObject({ name: 'id', in: 'path' });
+        expect(contract.components.schemas.Product.properties.price).toEqual({ type: 'number' });
+    });
+});
+
+describe('path matching', () => {
+    test('treats every parameter style alike and allows a base URL prefix', () => {
+        expect(normalizePath('/api/products/:id?expand=1')).toBe('/api/products/{}');
+        expect(normalizePath('products/${id}/')).toBe('/products/{}');
+        expect(pathsMatch('/api/products/{id}', '/products/\\(id)')).toBe(true);
+        expect(pathsMatch('/api/products', '/api/orders')).toBe(false);
+    });
+
+    test('resolves router mount prefixes', () => {
+        const routes = extractBackendRoutes([
+            { path: 'server.js', content: "const products = require('./routes/products');\napp.use('/api/products', products);" },
+            { path: 'routes/products.js', content: "router.get('/', list);\nrouter.get('/:id', get);" }
+        ]);
+
+        expect(routes.map(route => `${route.method} ${route.path}`)).toEqual(['GET /api/products', 'GET /api/products/{}']);
+    });
+});
+
+describe('checkContractConsistency', () => {
+    let outputDir;
+
+    beforeEach(async () => {
+        outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'api-contract-'));
+    });
+
+    afterEach(() => fs.remove(outputDir));
+
+    test('reports missing routes and client calls outside the contract', async () => {
+        await fs.outputFile(path.join(outputDir, 'backend/server.js'),
+            "app.get('/api/products', list);\napp.get('/api/products/:id', get);\napp.delete('/api/products/:id', remove);");
+        await fs.outputFile(path.join(outputDir, 'web/lib/api.ts'),
+            "export const list = () => fetch(`${API_URL}/api/products`);\nexport const cart = () => axios.get('/api/cart');");
+
+        const report = await checkContractConsistency(buildOpenAPIDocument(planningData), outputDir, ['backend', 'web']);
+
+        expect(report.consistent).toBe(false);
+        expect(report.backend.missingRoutes).toEqual([{ method: 'POST', path: '/api/products' }]);
+        expect(report.backend.undocumentedRoutes.map(route => route.method)).toEqual(['DELETE']);
+        expect(report.clients.web.mismatches.map(call => call.path)).toEqual(['/api/cart']);
+    });
+});
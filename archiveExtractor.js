@@ -0,0 +1,262 @@
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const unzipper = require('unzipper');
+const tar = require('tar-stream');
+const { normalizeFilePath } = require('./safeFileWriter');
+
+// Extracts uploaded codebases one entry at a time. Every entry path is
+// normalised and must stay inside the destination, links are never
+// extracted, and the entry count and total uncompressed size are capped so
+// a crafted archive cannot fill the disk. Dependency folders, build output
+// and binary files are skipped.
+
+const LIMITS = {
+    maxEntries: parseInt(process.env.ARCHIVE_MAX_ENTRIES) || 20000,
+    maxTotalBytes: parseInt(process.env.ARCHIVE_MAX_TOTAL_BYTES) || 200 * 1024 * 1024,
+    maxFileBytes: parseInt(process.env.ARCHIVE_MAX_FILE_BYTES) || 5 * 1024 * 1024
+};
+
+const SKIPPED_DIRECTORIES = ['node_modules', '.git', 'build'];
+
+const BINARY_EXTENSIONS = [
+    '.png', '.jpg', '.jpeg', '.gif', '.webp', '.ico', '.bmp', '.tiff', '.psd',
+    '.mp3', '.mp4', '.mov', '.avi', '.wav', '.ogg', '.webm',
+    '.ttf', '.otf', '.woff', '.woff2', '.eot',
+    '.zip', '.tar', '.gz', '.tgz', '.rar', '.7z', '.jar', '.aar', '.apk', '.ipa',
+    '.class', '.dex', '.o', '.a', '.so', '.dylib', '.dll', '.exe', '.bin', '.pdf', '.sqlite', '.db'
+];
+
+// Number of leading bytes checked for NUL characters
+const BINARY_SNIFF_BYTES = 8000;
+
+// Security-relevant rejections kept in the report; the rest is only counted
+const MAX_REPORTED_REJECTIONS = 100;
+
+class ArchiveLimitError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ArchiveLimitError';
+    }
+}
+
+// 'zip' | 'tar' | 'tgz' | 'gz' | null
+function archiveType(fileName, mimetype) {
+    const name = fileName.toLowerCase();
+    if (name.endsWith('.zip') || mimetype === 'application/zip') return 'zip';
+    if (name.endsWith('.tar.gz') || name.endsWith('.tgz')) return 'tgz';
+    if (name.endsWith('.tar')) return 'tar';
+    if (name.endsWith('.gz')) return 'gz';
+    return null;
+}
+
+class Extraction {
+    constructor(destDir, limits) {
+        this.destDir = destDir;
+        this.limits = { ...LIMITS, ...limits };
+        this.entries = 0;
+        this.totalBytes = 0;
+        this.files = [];
+        this.rejected = [];
+        this.skipped = {};
+    }
+
+    skip(reason) {
+        this.skipped[reason] = (this.skipped[reason] || 0) + 1;
+    }
+
+    reject(entryPath, reason) {
+        if (this.rejected.length < MAX_REPORTED_REJECTIONS) {
+            this.rejected.push({ path: entryPath, reason });
+        }
+        this.skip(reason);
+    }
+
+    countEntry() {
+        this.entries++;
+        if (this.entries > this.limits.maxEntries) {
+            throw new ArchiveLimitError(`Archive has more than ${this.limits.maxEntries} entries`);
+        }
+    }
+
+    // Path to extract the entry to, or null when it is skipped
+    accept(entryPath, type) {
+        this.countEntry();
+
+        if (type === 'directory') {
+            return null;
+        }
+        if (type === 'symlink' || type === 'link') {
+            this.reject(entryPath, 'Links are not extracted');
+            return null;
+        }
+        if (type !== 'file') {
+            this.skip('Unsupported entry type');
+            return null;
+        }
+
+        if (entryPath.split(/[\\/]/).some(segment => SKIPPED_DIRECTORIES.includes(segment))) {
+            this.skip('Dependency, VCS or build directory');
+            return null;
+        }
+
+        const normalized = normalizeFilePath(entryPath);
+        if (normalized.reason) {
+            this.reject(entryPath, normalized.reason);
+            return null;
+        }
+        if (BINARY_EXTENSIONS.includes(path.posix.extname(normalized.path).toLowerCase())) {
+            this.skip('Binary file');
+            return null;
+        }
+
+        return normalized.path;
+    }
+
+    // Reads an entry stream, counting every byte against the total even when
+    // the entry itself is skipped. Resolves to a Buffer, or null when the
+    // entry is too large.
+    async read(stream) {
+        const chunks = [];
+        let size = 0;
+        let tooLarge = false;
+
+        for await (const chunk of stream) {
+            this.totalBytes += chunk.length;
+            if (this.totalBytes > this.limits.maxTotalBytes) {
+                throw new ArchiveLimitError(`Archive expands to more than ${this.limits.maxTotalBytes} bytes`);
+            }
+
+            size += chunk.length;
+            if (size > this.limits.maxFileBytes) {
+                tooLarge = true;
+                chunks.length = 0;
+            } else if (!tooLarge) {
+                chunks.push(chunk);
+            }
+        }
+
+        return tooLarge ? null : Buffer.concat(chunks);
+    }
+
+    async extract(relativePath, stream) {
+        if (!relativePath) {
+            await this.drain(stream);
+            return;
+        }
+
+        const content = await this.read(stream);
+        if (!content) {
+            this.skip('File too large');
+            return;
+        }
+        if (content.subarray(0, BINARY_SNIFF_BYTES).includes(0)) {
+            this.skip('Binary file');
+            return;
+        }
+
+        const fullPath = path.join(this.destDir, relativePath);
+        await fs.ensureDir(path.dirname(fullPath));
+        await fs.writeFile(fullPath, content);
+        this.files.push(relativePath);
+    }
+
+    // Consumes a skipped entry; its bytes still count against the total
+    async drain(stream) {
+        for await (const chunk of stream) {
+            this.totalBytes += chunk.length;
+            if (this.totalBytes > this.limits.maxTotalBytes) {
+                throw new ArchiveLimitError(`Archive expands to more than ${this.limits.maxTotalBytes} bytes`);
+            }
+        }
+    }
+
+    report() {
+        return {
+            files: this.files.length,
+            entries: this.entries,
+            totalBytes: this.totalBytes,
+            skipped: this.skipped,
+            rejected: this.rejected
+        };
+    }
+}
+
+// Unix mode bits stored in the upper half of a zip entry's external attributes
+function isZipSymlink(entry) {
+    return ((entry.externalFileAttributes >>> 16) & 0o170000) === 0o120000;
+}
+
+async function extractZip(archivePath, extraction) {
+    const directory = await unzipper.Open.file(archivePath);
+    if (directory.files.length > extraction.limits.maxEntries) {
+        throw new ArchiveLimitError(`Archive has more than ${extraction.limits.maxEntries} entries`);
+    }
+
+    for (const entry of directory.files) {
+        const type = entry.type === 'Directory' ? 'directory' : isZipSymlink(entry) ? 'symlink' : 'file';
+        const relativePath = extraction.accept(entry.path, type);
+        if (relativePath) {
+            await extraction.extract(relativePath, entry.stream());
+        }
+    }
+}
+
+async function extractTar(archivePath, extraction, { gzipped }) {
+    const source = fs.createReadStream(archivePath);
+    const input = gzipped ? source.pipe(zlib.createGunzip()) : source;
+    const extract = tar.extract();
+
+    source.on('error', error => extract.destroy(error));
+    input.on('error', error => extract.destroy(error));
+    input.pipe(extract);
+
+    try {
+        for await (const entry of extract) {
+            const type = entry.header.type === 'contiguous-file' ? 'file' : entry.header.type;
+            await extraction.extract(extraction.accept(entry.header.name, type), entry);
+        }
+    } finally {
+        source.destroy();
+    }
+}
+
+// A single gzip-compressed file, extracted under its name without ".gz"
+async function extractGzip(archivePath, fileName, extraction) {
+    const relativePath = extraction.accept(path.basename(fileName).replace(/\.gz$/i, ''), 'file');
+    await extraction.extract(relativePath, fs.createReadStream(archivePath).pipe(zlib.createGunzip()));
+}
+
+// Extracts `archivePath` (uploaded as `fileName`) into destDir. Resolves to
+// { files, entries, totalBytes, skipped: { reason: count }, rejected: [{ path, reason }] };
+// rejects with ArchiveLimitError when a cap is exceeded.
+async function extractArchive(archivePath, fileName, destDir, { mimetype, limits } = {}) {
+    const extraction = new Extraction(destDir, limits);
+    await fs.ensureDir(destDir);
+
+    switch (archiveType(fileName, mimetype)) {
+        case 'zip':
+            await extractZip(archivePath, extraction);
+            break;
+        case 'tar':
+            await extractTar(archivePath, extraction, { gzipped: false });
+            break;
+        case 'tgz':
+            await extractTar(archivePath, extraction, { gzipped: true });
+            break;
+        case 'gz':
+            await extractGzip(archivePath, fileName, extraction);
+            break;
+        default:
+            throw new Error(`Unsupported archive: ${fileName}`);
+    }
+
+    return extraction.report();
+}
+
+module.exports = {
+    extractArchive,
+    archiveType,
+    ArchiveLimitError,
+    SKIPPED_DIRECTORIES
+};
@@ -0,0 +1,123 @@
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const fs = require('fs-extra');
+const archiver = require('archiver');
+const tar = require('tar-stream');
+const { extractArchive, archiveType, ArchiveLimitError } = require('./archiveExtractor');
+
+// [{ name, content, type }] packed with tar-stream, which keeps names as given
+async function writeTar(file, entries, { gzipped = false } = {}) {
+    const pack = tar.pack();
+    for (const { name, content = '', type = 'file', linkname } of entries) {
+        pack.entry({ name, type, linkname }, type === 'file' ? content : undefined);
+    }
+    pack.finalize();
+
+    const chunks = [];
+    for await (const chunk of pack) chunks.push(chunk);
+    const buffer = Buffer.concat(chunks);
+    await fs.writeFile(file, gzipped ? zlib.gzipSync(buffer) : buffer);
+}
+
+async function writeZip(file, build) {
+    const output = fs.createWriteStream(file);
+    const archive = archiver('zip');
+    const closed = new Promise((resolve, reject) => {
+        output.on('close', resolve);
+        archive.on('error', reject);
+    });
+    archive.pipe(output);
+    build(archive);
+    await archive.finalize();
+    await closed;
+}
+
+describe('archiveType', () => {
+    test('recognises archives by name or zip mimetype', () => {
+        expect(archiveType('app.ZIP')).toBe('zip');
+        expect(archiveType('upload', 'application/zip')).toBe('zip');
+        expect(archiveType('app.tar.gz')).toBe('tgz');
+        expect(archiveType('app.tar')).toBe('tar');
+        expect(archiveType('server.js.gz')).toBe('gz');
+        expect(archiveType('app.rar')).toBeNull();
+    });
+});
+
+describe('extractArchive', () => {
+    let workDir;
+    let destDir;
+
+    beforeEach(async () => {
+        workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'archive-'));
+        destDir = path.join(workDir, 'out');
+    });
+
+    afterEach(() => fs.remove(workDir));
+
+    test('extracts source files and skips dependencies, binaries and links', async () => {
+        const archivePath = path.join(workDir, 'app.zip');
+        await writeZip(archivePath, archive => {
+            archive.append('console.log(1);', { name: 'src/index.js' });
+            archive.append('module.exports = {};', { name: 'node_modules/express/index.js' });
+            archive.append(Buffer.from([0x89, 0x50, 0x4e, 0x47]), { name: 'logo.png' });
+            archive.append(Buffer.from([0x41, 0x00, 0x42]), { name: 'data.txt' });
+            archive.symlink('config/env', '/etc/passwd');
+        });
+
+        const report = await extractArchive(archivePath, 'app.zip', destDir);
+
+        expect(report.files).toBe(1);
+        expect(report.rejected).toEqual([{ path: 'config/env', reason: 'Links are not extracted' }]);
+        expect(report.skipped).toMatchObject({ 'Dependency, VCS or build directory': 1, 'Binary file': 2 });
+        expect(await fs.readFile(path.join(destDir, 'src/index.js'), 'utf8')).toBe('console.log(1);');
+        expect(await fs.pathExists(path.join(destDir, 'config/env'))).toBe(false);
+    });
+
+    test('never writes outside the destination', async () => {
+        const archivePath = path.join(workDir, 'app.tar');
+        await writeTar(archivePath, [
+            { name: '../escape.js', content: 'x' },
+            { name: '/tmp/absolute.js', content: 'x' },
+            { name: 'link', type: 'symlink', linkname: '../../' },
+            { name: 'app.js', content: 'ok' }
+        ]);
+
+        const report = await extractArchive(archivePath, 'app.tar', destDir);
+
+        expect(report.files).toBe(1);
+        expect(report.rejected.map(entry => entry.reason)).toEqual([
+            'Path escapes the output directory',
+            'Absolute paths are not allowed',
+            'Links are not extracted'
+        ]);
+        expect(await fs.readdir(workDir)).toEqual(['app.tar', 'out']);
+    });
+
+    test('stops when the archive exceeds a cap', async () => {
+        const archivePath = path.join(workDir, 'app.tgz');
+        await writeTar(archivePath, [
+            { name: 'a.js', content: 'x'.repeat(600) },
+            { name: 'b.js', content: 'x'.repeat(600) }
+        ], { gzipped: true });
+
+        await expect(extractArchive(archivePath, 'app.tgz', destDir, { limits: { maxTotalBytes: 1000 } }))
+            .rejects.toThrow(ArchiveLimitError);
+        await expect(extractArchive(archivePath, 'app.tgz', destDir, { limits: { maxEntries: 1 } }))
+            .rejects.toThrow('more than 1 entries');
+    });
+
+    test('skips a single file above the per-file size', async () => {
+        const archivePath = path.join(workDir, 'app.tar');
+        await writeTar(archivePath, [{ name: 'big.js', content: 'x'.repeat(200) }, { name: 'small.js', content: 'x' }]);
+
+        const report = await extractArchive(archivePath, 'app.tar', destDir, { limits: { maxFileBytes: 100 } });
+
+        expect(report.files).toBe(1);
+        expect(report.skipped).toEqual({ 'File too large': 1 });
+    });
+
+    test('rejects unsupported archives', async () => {
+        await expect(extractArchive(path.join(workDir, 'app.rar'), 'app.rar', destDir)).rejects.toThrow('Unsupported archive: app.rar');
+    });
+});
@@ -0,0 +1,83 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Cancellation tokens for running jobs. The job queue creates an
+// AbortController per job and runs the job's pipeline inside
+// runWithSignal(), so code deep in the pipeline (provider calls, file writes,
+// sandboxed commands, archiving) can pick up the job's AbortSignal with
+// currentSignal() without every method taking it as a parameter. Code that
+// gets a signal explicitly should prefer that one.
+
+class JobCancelledError extends Error {
+    constructor(message = 'Job was cancelled') {
+        super(message);
+        this.name = 'JobCancelledError';
+    }
+}
+
+const controllers = new Map();
+const storage = new AsyncLocalStorage();
+
+// Starts tracking a job and returns its AbortController
+function createCancellation(jobId) {
+    const controller = new AbortController();
+    controllers.set(jobId, controller);
+    return controller;
+}
+
+function releaseCancellation(jobId, controller) {
+    if (controllers.get(jobId) === controller) {
+        controllers.delete(jobId);
+    }
+}
+
+// Aborts a running job. Returns whether the job was running in this process.
+function cancel(jobId) {
+    const controller = controllers.get(jobId);
+    if (!controller) {
+        return false;
+    }
+    controller.abort(new JobCancelledError());
+    return true;
+}
+
+// Whether the job's pipeline is still running in this process
+function isRunning(jobId) {
+    return controllers.has(jobId);
+}
+
+function runWithSignal(signal, fn) {
+    return storage.run(signal, fn);
+}
+
+function currentSignal() {
+    return storage.getStore();
+}
+
+// Throws the JobCancelledError once the signal has been aborted
+function throwIfCancelled(signal = currentSignal()) {
+    if (signal?.aborted) {
+        throw signal.reason instanceof Error ? signal.reason : new JobCancelledError();
+    }
+}
+
+// Also true for errors that wrap a cancellation as their `cause`
+function isCancellation(error) {
+    for (let current = error; current; current = current.cause) {
+        if (current instanceof JobCancelledError || current.name === 'AbortError' || current.name === 'APIUserAbortError') {
+            return true;
+        }
+    }
+    return false;
+}
+
+module.exports = {
+    createCancellation,
+    releaseCancellation,
+    cancel,
+    isRunning,
+    runWithSignal,
+    currentSignal,
+    throwIfCancelled,
+    isCancellation,
+    JobCancelledError
+};
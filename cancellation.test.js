@@ -0,0 +1,41 @@
+const cancellation = require('./cancellation');
+
+describe('cancellation', () => {
+    test('a running job\'s signal reaches code called from its pipeline', async () => {
+        const controller = cancellation.createCancellation('job-1');
+        const seen = [];
+
+        await cancellation.runWithSignal(controller.signal, async () => {
+            await Promise.resolve();
+            seen.push(cancellation.currentSignal());
+            expect(cancellation.cancel('job-1')).toBe(true);
+            expect(() => cancellation.throwIfCancelled()).toThrow(cancellation.JobCancelledError);
+        });
+
+        expect(seen).toEqual([controller.signal]);
+        expect(cancellation.currentSignal()).toBeUndefined();
+        expect(cancellation.isRunning('job-1')).toBe(true);
+
+        cancellation.releaseCancellation('job-1', controller);
+        expect(cancellation.isRunning('job-1')).toBe(false);
+        expect(cancellation.cancel('job-1')).toBe(false);
+    });
+
+    test('a stale controller does not release the job\'s current one', () => {
+        const first = cancellation.createCancellation('job-2');
+        const second = cancellation.createCancellation('job-2');
+
+        cancellation.releaseCancellation('job-2', first);
+
+        expect(cancellation.isRunning('job-2')).toBe(true);
+        cancellation.releaseCancellation('job-2', second);
+    });
+
+    test('recognises cancellations, also when wrapped', () => {
+        const aborted = Object.assign(new Error('Request was aborted.'), { name: 'APIUserAbortError' });
+
+        expect(cancellation.isCancellation(new cancellation.JobCancelledError())).toBe(true);
+        expect(cancellation.isCancellation(new Error('Code generation failed', { cause: aborted }))).toBe(true);
+        expect(cancellation.isCancellation(new Error('Rate limited'))).toBe(false);
+    });
+});
@@ -0,0 +1,120 @@
+// Splits an uploaded codebase into prompt-sized batches for map-reduce
+// analysis. Sizes are estimated at ~4 characters per token, which is close
+// enough for budgeting without shipping a tokenizer.
+
+const CHARS_PER_TOKEN = 4;
+
+// Directories that only wrap the real modules, e.g. src/auth -> "src/auth"
+const CONTAINER_DIRECTORIES = ['src', 'app', 'lib', 'packages', 'modules', 'Sources', 'main', 'java', 'kotlin'];
+
+function estimateTokens(text) {
+    return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+// Module a file belongs to: its first directory below any container
+// directories, or "(root)" for top-level files
+function moduleOf(fileName) {
+    const segments = fileName.split(/[\\/]/).slice(0, -1);
+    const moduleSegments = [];
+    for (const segment of segments) {
+        moduleSegments.push(segment);
+        if (!CONTAINER_DIRECTORIES.includes(segment)) {
+            break;
+        }
+    }
+    return moduleSegments.length > 0 ? moduleSegments.join('/') : '(root)';
+}
+
+// Splits a file larger than maxTokens into line-aligned parts
+function splitFile(file, maxTokens) {
+    const maxChars = maxTokens * CHARS_PER_TOKEN;
+    if (file.content.length <= maxChars) {
+        return [{ ...file, part: 1, parts: 1 }];
+    }
+
+    const chunks = [];
+    let current = '';
+    for (const line of file.content.split('\n')) {
+        // Lines longer than a whole chunk are cut as well
+        for (let start = 0; start < Math.max(line.length, 1); start += maxChars) {
+            const piece = line.substring(start, start + maxChars);
+            if (current.length + piece.length + 1 > maxChars && current.length > 0) {
+                chunks.push(current);
+                current = '';
+            }
+            current += `${piece}\n`;
+        }
+    }
+    if (current.length > 0) {
+        chunks.push(current);
+    }
+
+    return chunks.map((content, index) => ({ ...file, content, part: index + 1, parts: chunks.length }));
+}
+
+// Groups files by module and packs them into batches of at most batchTokens.
+// Files beyond totalTokens are left out and returned as `skipped`.
+// Resolves to { batches: [{ module, files, tokens }], skipped: [fileName] }.
+function buildBatches(codeFiles, { batchTokens, totalTokens }) {
+    const files = [...codeFiles].sort((a, b) =>
+        moduleOf(a.name).localeCompare(moduleOf(b.name)) || a.name.localeCompare(b.name)
+    );
+
+    const batches = [];
+    const skipped = [];
+    let used = 0;
+    let current = null;
+
+    for (const file of files) {
+        const module = moduleOf(file.name);
+        const parts = splitFile(file, batchTokens);
+        const fileTokens = parts.reduce((sum, part) => sum + estimateTokens(part.content), 0);
+
+        if (used + fileTokens > totalTokens) {
+            skipped.push(file.name);
+            continue;
+        }
+        used += fileTokens;
+
+        for (const part of parts) {
+            const tokens = estimateTokens(part.content);
+            if (!current || current.module !== module || current.tokens + tokens > batchTokens) {
+                current = { module, files: [], tokens: 0 };
+                batches.push(current);
+            }
+            current.files.push(part);
+            current.tokens += tokens;
+        }
+    }
+
+    return { batches, skipped };
+}
+
+// Packs items into groups whose JSON stays within maxTokens
+function packByTokens(items, maxTokens) {
+    const groups = [];
+    let current = [];
+    let tokens = 0;
+    for (const item of items) {
+        const itemTokens = estimateTokens(JSON.stringify(item));
+        if (current.length > 0 && tokens + itemTokens > maxTokens) {
+            groups.push(current);
+            current = [];
+            tokens = 0;
+        }
+        current.push(item);
+        tokens += itemTokens;
+    }
+    if (current.length > 0) {
+        groups.push(current);
+    }
+    return groups;
+}
+
+module.exports = {
+    estimateTokens,
+    moduleOf,
+    splitFile,
+    buildBatches,
+    packByTokens
+};
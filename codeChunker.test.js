@@ -0,0 +1,67 @@
+const { estimateTokens, moduleOf, splitFile, buildBatches, packByTokens } = require('./codeChunker');
+
+describe('moduleOf', () => {
+    test('names the first directory below the container directories', () => {
+        expect(moduleOf('src/auth/login.js')).toBe('src/auth');
+        expect(moduleOf('app/src/main/java/Main.kt')).toBe('app/src/main/java');
+        expect(moduleOf('routes\\users.js')).toBe('routes');
+        expect(moduleOf('server.js')).toBe('(root)');
+    });
+});
+
+describe('splitFile', () => {
+    test('splits a large file into line-aligned parts that each fit', () => {
+        const content = Array.from({ length: 20 }, (_, i) => `line ${String(i).padStart(2, '0')}`).join('\n');
+        const parts = splitFile({ name: 'big.js', content }, 10);
+
+        expect(parts.length).toBeGreaterThan(1);
+        expect(parts.every(part => part.content.length <= 40 && part.parts === parts.length)).toBe(true);
+        expect(parts.map(part => part.content).join('').trimEnd()).toBe(content);
+    });
+
+    test('cuts a single line longer than a whole part', () => {
+        const parts = splitFile({ name: 'min.js', content: 'x'.repeat(100) }, 10);
+
+        expect(parts.map(part => part.content.length)).toEqual([41, 41, 21]);
+    });
+
+    test('keeps a small file whole', () => {
+        expect(splitFile({ name: 'a.js', content: 'abc' }, 10)).toEqual([{ name: 'a.js', content: 'abc', part: 1, parts: 1 }]);
+    });
+});
+
+describe('buildBatches', () => {
+    const file = (name, tokens) => ({ name, content: 'x'.repeat(tokens * 4) });
+
+    test('keeps each batch within one module and the batch budget', () => {
+        const { batches, skipped } = buildBatches(
+            [file('src/users/b.js', 30), file('src/auth/a.js', 30), file('src/auth/c.js', 30), file('server.js', 10)],
+            { batchTokens: 50, totalTokens: 1000 }
+        );
+
+        expect(batches.map(batch => [batch.module, batch.files.map(f => f.name)])).toEqual([
+            ['(root)', ['server.js']],
+            ['src/auth', ['src/auth/a.js']],
+            ['src/auth', ['src/auth/c.js']],
+            ['src/users', ['src/users/b.js']]
+        ]);
+        expect(skipped).toEqual([]);
+    });
+
+    test('skips files beyond the total budget', () => {
+        const { batches, skipped } = buildBatches([file('a.js', 40), file('b.js', 40), file('c.js', 10)], { batchTokens: 100, totalTokens: 60 });
+
+        expect(batches[0].files.map(f => f.name)).toEqual(['a.js', 'c.js']);
+        expect(skipped).toEqual(['b.js']);
+    });
+});
+
+describe('packByTokens', () => {
+    test('groups items whose JSON fits the budget', () => {
+        const items = ['a', 'b', 'c'].map(name => ({ name, summary: 'x'.repeat(30) }));
+        const itemTokens = estimateTokens(JSON.stringify(items[0]));
+
+        expect(packByTokens(items, itemTokens * 2).map(group => group.length)).toEqual([2, 1]);
+        expect(packByTokens([], 10)).toEqual([]);
+    });
+});
@@ -1,29 +1,45 @@
-const OpenAI = require('openai');
-const Anthropic = require('@anthropic-ai/sdk');
 const fs = require('fs-extra');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { getDefaultRegistry } = require('./llmProvider');
+const { buildOpenAPIDocument, checkContractConsistency } = require('./apiContract');
+const { generateModels } = require('./modelGenerator');
+const { stackGuidelines, agentVariantFor, databaseFor, checkStack } = require('./stackTemplates');
+const { generateScaffold, addDependencies, dependencyFormat, sourceRoot } = require('./scaffoldTemplates');
+const safeFileWriter = require('./safeFileWriter');
+const { isCancellation } = require('./cancellation');
 const { logger } = require('../middleware/logger');
 
 class CodeGenerator {
-    constructor() {
-        this.openai = new OpenAI({
-            apiKey: process.env.OPENAI_API_KEY
-        });
-        
-        this.anthropic = new Anthropic({
-            apiKey: process.env.ANTHROPIC_API_KEY
-        });
-        
+    constructor(providers = getDefaultRegistry()) {
+        this.providers = providers;
+
         this.agents = {
-            ios: new IOSAgent(this.openai),
-            android: new AndroidAgent(this.openai),
-            web: new WebAgent(this.openai),
-            backend: new BackendAgent(this.openai)
+            ios: new IOSAgent(providers),
+            android: new AndroidAgent(providers),
+            web: new WebAgent(providers),
+            backend: new BackendAgent(providers)
+        };
+
+        // Alternatives picked by the ui_framework preference
+        this.agentVariants = {
+            nuxt: new NuxtWebAgent(providers),
+            uikit: new UIKitIOSAgent(providers)
         };
     }
 
-    async generateMultiPlatformApp(planningData, jobId) {
+    agentFor(platform, planningData) {
+        const variant = agentVariantFor(planningData.preferences, platform);
+        return this.agentVariants[variant] || this.agents[platform];
+    }
+
+    // `onProgress` receives per-platform events while agents write files, and
+    // `onPlatformResult(platform, result)` each platform's result as soon as
+    // it is done. Platforms in `reuse` (platform -> result of an earlier
+    // attempt) keep their files instead of being generated again. A platform
+    // whose agent fails is recorded in `results` with its error and left out
+    // of the output; generation only fails when no platform succeeds.
+    async generateMultiPlatformApp(planningData, jobId, { onProgress, onPlatformResult, reuse = {} } = {}) {
         try {
             logger.info({
                 message: 'Starting multi-platform code generation',
@@ -34,20 +50,69 @@ class CodeGenerator {
             const outputDir = path.join('./generated', jobId);
             await fs.ensureDir(outputDir);
 
+            // Every agent builds against the same contract instead of
+            // interpreting api_endpoints on its own
+            const apiContract = await this.writeApiContract(planningData, outputDir);
+
             const results = {};
             
             // Generate code for each platform in parallel
             const generationPromises = planningData.platforms.map(async (platform) => {
-                if (this.agents[platform]) {
-                    const platformDir = path.join(outputDir, platform);
-                    await fs.ensureDir(platformDir);
+                const agent = this.agentFor(platform, planningData);
+                const platformDir = path.join(outputDir, platform);
+                if (reuse[platform] && await fs.pathExists(platformDir)) {
+                    results[platform] = { ...reuse[platform], reused: true };
+
+                    if (onProgress) {
+                        onProgress({ platform, type: 'platform_completed', files: reuse[platform].files.length, reused: true });
+                    }
+                } else if (agent) {
+                    // Files of a failed earlier attempt are not kept
+                    await fs.emptyDir(platformDir);
+
+                    // File count and size limits hold for the whole platform
+                    const budget = safeFileWriter.createBudget();
+
+                    // The project skeleton and the shared models from
+                    // database_schema are written up front
+                    const skeleton = generateScaffold(planningData, platform);
+                    const skeletonWrite = await agent.writeFiles(skeleton, platformDir, budget);
+                    const models = generateModels(planningData, platform);
+                    const modelWrite = await agent.writeFiles(models, platformDir, budget);
                     
-                    const code = await this.agents[platform].generateCode(planningData, platformDir);
+                    const code = await agent.generateCode(planningData, platformDir, {
+                        onProgress: onProgress && (event => onProgress({ platform, ...event })),
+                        contract: apiContract,
+                        models,
+                        skeleton,
+                        budget
+                    });
+                    const dependencies = await this.addAgentDependencies(planningData, platform, platformDir, code.dependencies);
+                    const tests = await agent.generateTests(planningData, platformDir, { contract: apiContract, budget });
+
                     results[platform] = {
                         success: true,
-                        files: code.files,
-                        structure: code.structure
+                        files: [...skeletonWrite.written, ...modelWrite.written, ...code.files, ...tests.files],
+                        skeleton: skeletonWrite.written,
+                        models: modelWrite.written,
+                        dependencies,
+                        tests: tests.files,
+                        structure: code.structure,
+                        missingFiles: code.missingFiles,
+                        rejectedFiles: [
+                            ...skeletonWrite.rejected,
+                            ...modelWrite.rejected,
+                            ...code.rejectedFiles,
+                            ...tests.rejectedFiles
+                        ]
                     };
+
+                    if (onPlatformResult) {
+                        await onPlatformResult(platform, results[platform]);
+                    }
+                    if (onProgress) {
+                        onProgress({ platform, type: 'platform_completed', files: code.files.length });
+                    }
                 } else {
                     results[platform] = {
                         success: false,
@@ -56,7 +121,14 @@ class CodeGenerator {
                 }
             });
 
-            await Promise.all(generationPromises);
+            const generated = await this.settlePlatforms(jobId, planningData.platforms, generationPromises, results, {
+                onProgress,
+                // Partial output of a failed platform is left out of the zip
+                discard: platform => fs.remove(path.join(outputDir, platform))
+            });
+
+            const apiConsistency = await this.checkApiConsistency(apiContract, outputDir, generated, jobId);
+            const stackCheck = await this.checkStackPreferences(planningData, outputDir, jobId, generated);
 
             // Generate project documentation
             await this.generateDocumentation(planningData, outputDir);
@@ -71,6 +143,8 @@ class CodeGenerator {
                 jobId,
                 outputDir,
                 results,
+                apiConsistency,
+                stackCheck,
                 downloadUrl: `/api/download/${jobId}`
             };
 
@@ -84,6 +158,244 @@ class CodeGenerator {
         }
     }
 
+    // Applies a follow-up instruction on top of a previous generation. The
+    // previous output is copied so each refinement keeps its own version. Like
+    // generateMultiPlatformApp, a failing platform is recorded in `results`
+    // and keeps its previous files while the other platforms are refined.
+    async refineApp(planningData, { jobId, sourceDir, instruction, refinement }) {
+        try {
+            logger.info({
+                message: 'Starting refinement',
+                jobId,
+                platforms: refinement.platforms
+            });
+
+            const outputDir = path.join('./generated', jobId);
+            await fs.copy(sourceDir, outputDir);
+
+            // The plan may have gained endpoints, so the contract is rebuilt
+            const apiContract = await this.writeApiContract(planningData, outputDir);
+
+            const results = {};
+
+            const refinementPromises = refinement.platforms.map(async (platform) => {
+                const platformDir = path.join(outputDir, platform);
+                await fs.ensureDir(platformDir);
+
+                const code = await this.agentFor(platform, planningData).refineCode(
+                    planningData,
+                    platformDir,
+                    instruction,
+                    refinement.files[platform] || [],
+                    {
+                        contract: apiContract,
+                        models: generateModels(planningData, platform),
+                        skeleton: generateScaffold(planningData, platform),
+                        budget: safeFileWriter.createBudget()
+                    }
+                );
+                results[platform] = {
+                    success: true,
+                    files: code.files,
+                    dependencies: await this.addAgentDependencies(planningData, platform, platformDir, code.dependencies),
+                    structure: code.structure,
+                    rejectedFiles: code.rejectedFiles
+                };
+            });
+
+            await this.settlePlatforms(jobId, refinement.platforms, refinementPromises, results, {
+                // A platform whose refinement failed keeps the previous version
+                discard: async platform => {
+                    await fs.remove(path.join(outputDir, platform));
+                    if (await fs.pathExists(path.join(sourceDir, platform))) {
+                        await fs.copy(path.join(sourceDir, platform), path.join(outputDir, platform));
+                    }
+                }
+            });
+
+            const apiConsistency = await this.checkApiConsistency(apiContract, outputDir, planningData.platforms, jobId);
+            const stackCheck = await this.checkStackPreferences(planningData, outputDir, jobId);
+
+            await this.generateDocumentation(planningData, outputDir);
+
+            logger.info({
+                message: 'Refinement completed',
+                jobId,
+                results: Object.keys(results)
+            });
+
+            return {
+                jobId,
+                outputDir,
+                results,
+                apiConsistency,
+                stackCheck,
+                downloadUrl: `/api/download/${jobId}`
+            };
+
+        } catch (error) {
+            logger.error({
+                message: 'Refinement failed',
+                jobId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    // Waits for every platform and records the ones that failed in `results`
+    // with their error, after `discard(platform)` has dealt with their files.
+    // Resolves to the platforms that succeeded; rejects when none did, or
+    // with the cancellation when the job was cancelled.
+    async settlePlatforms(jobId, platforms, promises, results, { onProgress, discard }) {
+        const outcomes = await Promise.allSettled(promises);
+        const cancelled = outcomes.find(outcome => outcome.status === 'rejected' && isCancellation(outcome.reason));
+        if (cancelled) {
+            throw cancelled.reason;
+        }
+
+        for (const [index, outcome] of outcomes.entries()) {
+            if (outcome.status === 'fulfilled') continue;
+
+            const platform = platforms[index];
+            results[platform] = {
+                success: false,
+                error: outcome.reason.message
+            };
+            await discard(platform);
+
+            logger.error({
+                message: 'Platform generation failed',
+                jobId,
+                platform,
+                error: outcome.reason.message
+            });
+            if (onProgress) {
+                onProgress({ platform, type: 'platform_failed', error: outcome.reason.message });
+            }
+        }
+
+        const succeeded = platforms.filter(platform => results[platform].success);
+        if (platforms.length > 0 && succeeded.length === 0) {
+            throw new Error(`No platform could be generated: ${platforms
+                .map(platform => `${platform}: ${results[platform].error}`)
+                .join('; ')}`);
+        }
+        return succeeded;
+    }
+
+    async writeApiContract(planningData, outputDir) {
+        const apiContract = buildOpenAPIDocument(planningData);
+        await fs.writeJson(path.join(outputDir, 'openapi.json'), apiContract, { spaces: 2 });
+        return apiContract;
+    }
+
+    async checkApiConsistency(apiContract, outputDir, platforms, jobId) {
+        const report = await checkContractConsistency(apiContract, outputDir, platforms);
+
+        if (!report.consistent) {
+            logger.warn({
+                message: 'Generated code does not match the API contract',
+                jobId,
+                missingRoutes: report.backend ? report.backend.missingRoutes.length : 0,
+                clientMismatches: Object.fromEntries(
+                    Object.entries(report.clients).map(([platform, client]) => [platform, client.mismatches.length])
+                )
+            });
+        }
+
+        return report;
+    }
+
+    // Feeds verification errors back to the agents for one fix-up pass.
+    // Returns the files changed per platform.
+    async fixVerificationErrors(planningData, outputDir, verification) {
+        const apiContract = buildOpenAPIDocument(planningData);
+        const changed = {};
+
+        for (const [platform, report] of Object.entries(verification.platforms)) {
+            const agent = this.agentFor(platform, planningData);
+            const failing = Object.entries(report.files)
+                .map(([file, diagnostics]) => [file, diagnostics.filter(d => d.severity === 'error')])
+                .filter(([file, errors]) => errors.length > 0 && file !== '(project)');
+
+            if (!agent || failing.length === 0) {
+                continue;
+            }
+
+            const instruction = `Fix these compiler and lint errors without changing behaviour:
+${failing.map(([file, errors]) => errors.map(error =>
+    `- ${file}${error.line ? `:${error.line}` : ''} [${error.tool}] ${error.message}`
+).join('\n')).join('\n')}`;
+
+            const code = await agent.refineCode(
+                planningData,
+                path.join(outputDir, platform),
+                instruction,
+                failing.map(([file]) => file),
+                {
+                    contract: apiContract,
+                    models: generateModels(planningData, platform),
+                    skeleton: generateScaffold(planningData, platform),
+                    budget: safeFileWriter.createBudget()
+                }
+            );
+            changed[platform] = code.files;
+        }
+
+        return changed;
+    }
+
+    // Merges the extra packages an agent declared into the skeleton's
+    // manifest. Returns the names that were added.
+    async addAgentDependencies(planningData, platform, platformDir, dependencies) {
+        if (!dependencies || typeof dependencies !== 'object') {
+            return [];
+        }
+
+        try {
+            return await addDependencies(planningData, platform, platformDir, dependencies);
+        } catch (error) {
+            logger.warn({
+                message: 'Could not add agent dependencies to the project skeleton',
+                platform,
+                error: error.message
+            });
+            return [];
+        }
+    }
+
+    async checkStackPreferences(planningData, outputDir, jobId, platforms = planningData.platforms) {
+        const exclude = Object.fromEntries(platforms.map(platform => [platform, [
+            ...Object.keys(generateScaffold(planningData, platform)),
+            ...Object.keys(generateModels(planningData, platform))
+        ]]));
+        const report = await checkStack(planningData, outputDir, platforms, { exclude });
+
+        if (!report.consistent) {
+            logger.warn({
+                message: 'Generated code does not use the chosen stack',
+                jobId,
+                missing: report.checks
+                    .filter(check => !check.found)
+                    .map(check => `${check.platform}: ${check.preference}=${check.value}`)
+            });
+        }
+
+        return report;
+    }
+
+    async listGeneratedFiles(outputDir, platforms) {
+        const files = {};
+        for (const platform of platforms) {
+            const platformDir = path.join(outputDir, platform);
+            files[platform] = await fs.pathExists(platformDir)
+                ? await listFiles(platformDir)
+                : [];
+        }
+        return files;
+    }
+
     async generateDocumentation(planningData, outputDir) {
         const readmeContent = `# ${planningData.app_name}
 
@@ -119,12 +431,14 @@ npm run dev
 \`\`\`
 
 ### iOS
-1. Open \`ios/App.xcodeproj\` in Xcode
-2. Build and run
+\`\`\`bash
+cd ios
+xcodegen generate
+\`\`\`
+Then open \`ios/App.xcodeproj\` in Xcode, build and run.
 
 ### Android
-1. Open \`android/\` in Android Studio
-2. Build and run
+Open \`android/\` in Android Studio, build and run.
 
 ## Deployment
 ${Object.entries(planningData.deployment).map(([platform, service]) => 
@@ -136,9 +450,39 @@ ${Object.entries(planningData.deployment).map(([platform, service]) =>
     }
 }
 
-class IOSAgent {
-    constructor(openai) {
-        this.openai = openai;
+// Characters of source included when asking an agent for tests
+const TEST_CONTEXT_LIMIT = 60000;
+
+// Paths of all files below `dir`, relative to it and using forward slashes
+async function listFiles(dir, base = dir) {
+    const files = [];
+    for (const item of await fs.readdir(dir)) {
+        const itemPath = path.join(dir, item);
+        const stat = await fs.stat(itemPath);
+        if (stat.isDirectory()) {
+            files.push(...await listFiles(itemPath, base));
+        } else {
+            files.push(path.relative(base, itemPath).split(path.sep).join('/'));
+        }
+    }
+    return files;
+}
+
+// Shared behaviour for the platform agents: each subclass supplies its task
+// name, system prompt, coding guidance and buildPrompt(planningData), which
+// asks for the file manifest. File contents are then generated in batches so
+// large apps are not truncated by the per-call token limit.
+class PlatformAgent {
+    constructor(providers, { task, platform, platformName, systemPrompt, codingGuidelines, testing }) {
+        this.providers = providers;
+        this.task = task;
+        this.platform = platform;
+        this.platformName = platformName;
+        this.systemPrompt = systemPrompt;
+        this.codingGuidelines = codingGuidelines;
+        // { framework, guidelines, targets, testFiles, devDependencies, testScript }
+        this.testing = testing;
+        this.batchSize = parseInt(process.env.AGENT_BATCH_SIZE) || 4;
     }
 
     async parseAIResponse(responseText) {
@@ -181,87 +525,234 @@ class IOSAgent {
         }
     }
 
-    async generateCode(planningData, outputDir) {
-        const prompt = this.buildIOSPrompt(planningData);
-        
-        const response = await this.openai.chat.completions.create({
-            model: "gpt-4-turbo-preview",
-            messages: [
-                {
-                    role: "system",
-                    content: "You are an expert iOS developer specializing in SwiftUI. Generate clean, modern, production-ready iOS code."
-                },
-                {
-                    role: "user",
-                    content: prompt
+    // `contract` is the OpenAPI document every platform must follow; `models`
+    // and `skeleton` map the already written model and project files to
+    // their contents; `budget` is the platform's safeFileWriter budget
+    async generateCode(planningData, outputDir, { onProgress = () => {}, contract, models = {}, skeleton = {}, budget } = {}) {
+        // Pass 1: file manifest and the signatures files share
+        const manifest = await this.requestManifest(planningData, { contract, models, skeleton });
+        const filesTotal = manifest.files.length;
+        onProgress({ type: 'manifest', filesTotal, filesCompleted: 0 });
+
+        // Pass 2: file contents in batches, retrying files a batch left out once
+        const files = [];
+        const rejectedFiles = [];
+        let pending = manifest.files;
+        for (let pass = 1; pass <= 2 && pending.length > 0; pass++) {
+            const missing = [];
+
+            for (let i = 0; i < pending.length; i += this.batchSize) {
+                const batch = pending.slice(i, i + this.batchSize);
+                const generated = await this.generateBatch(planningData, manifest, batch, {
+                    contract,
+                    models,
+                    skeleton,
+                    onFileStarted: file => onProgress({ type: 'file_started', file, filesCompleted: files.length, filesTotal })
+                });
+
+                const { written, rejected } = await this.writeFiles(generated, outputDir, budget);
+                for (const file of written) {
+                    files.push(file);
+                    onProgress({ type: 'file_completed', file, filesCompleted: files.length, filesTotal });
                 }
-            ],
+                rejectedFiles.push(...rejected);
+                missing.push(...batch.filter(entry => !(entry.path in generated)));
+            }
+
+            pending = missing;
+        }
+
+        if (pending.length > 0) {
+            logger.warn({
+                message: 'Agent could not generate some manifest files',
+                task: this.task,
+                missingFiles: pending.map(entry => entry.path)
+            });
+        }
+
+        return {
+            files,
+            structure: manifest.structure,
+            dependencies: manifest.dependencies,
+            missingFiles: pending.map(entry => entry.path),
+            rejectedFiles
+        };
+    }
+
+    async requestManifest(planningData, { contract, models = {}, skeleton = {} } = {}) {
+        const responseText = await this.providers.complete(this.task, {
+            system: this.systemPrompt,
+            prompt: this.buildPrompt(planningData)
+                + this.buildStackSection(planningData)
+                + this.buildContractSection(contract)
+                + this.buildModelsSection(models)
+                + this.buildSkeletonSection(planningData, skeleton),
             temperature: 0.2,
-            max_tokens: 4000
+            maxTokens: 4000
         });
 
-        const codeStructure = await this.parseAIResponse(response.choices[0].message.content);
-        
-        // Write files to disk
-        const files = [];
-        for (const [filePath, content] of Object.entries(codeStructure.files)) {
-            const fullPath = path.join(outputDir, filePath);
-            await fs.ensureDir(path.dirname(fullPath));
-            await fs.writeFile(fullPath, content);
-            files.push(filePath);
+        const manifest = await this.parseAIResponse(responseText);
+
+        // Accept both [{ path, purpose }] and { path: purpose }
+        const entries = Array.isArray(manifest.files)
+            ? manifest.files
+            : Object.entries(manifest.files || {}).map(([filePath, purpose]) => ({ path: filePath, purpose }));
+        // Model and skeleton files already exist and must not be regenerated.
+        // Unsafe paths are kept so the writer reports them as rejected.
+        const files = entries
+            .filter(entry => entry && typeof entry.path === 'string' && entry.path.trim())
+            .map(entry => ({ ...entry, path: safeFileWriter.normalizeFilePath(entry.path).path || entry.path }))
+            .filter(entry => !(entry.path in models) && !(entry.path in skeleton));
+
+        if (files.length === 0) {
+            throw new Error(`${this.platformName} manifest did not list any files`);
         }
 
+        logger.info({
+            message: 'Agent manifest received',
+            task: this.task,
+            files: files.length
+        });
+
         return {
             files,
-            structure: codeStructure.structure
+            sharedContext: manifest.shared_context || {},
+            structure: manifest.structure,
+            dependencies: manifest.dependencies
         };
     }
 
-    buildIOSPrompt(planningData) {
+    async generateBatch(planningData, manifest, batch, { contract, models, skeleton, onFileStarted } = {}) {
+        // Watch the streamed JSON for each file's key to know which file the
+        // model is currently writing
+        let streamed = '';
+        const started = new Set();
+        const onToken = onFileStarted && (delta => {
+            streamed += delta;
+            for (const entry of batch) {
+                if (!started.has(entry.path) && streamed.includes(`"${entry.path}"`)) {
+                    started.add(entry.path);
+                    onFileStarted(entry.path);
+                }
+            }
+        });
+
+        const responseText = await this.providers.complete(this.task, {
+            system: this.systemPrompt,
+            prompt: this.buildBatchPrompt(planningData, manifest, batch)
+                + this.buildStackSection(planningData)
+                + this.buildContractSection(contract)
+                + this.buildModelsSection(models)
+                + this.buildSkeletonSection(planningData, skeleton),
+            temperature: 0.2,
+            maxTokens: 4000,
+            onToken
+        });
+
+        const result = await this.parseAIResponse(responseText);
+        const requested = new Set(batch.map(entry => entry.path));
+
+        // Match keys the way the manifest paths were normalised, and ignore
+        // anything outside the batch; another batch owns those files
+        return Object.fromEntries(
+            Object.entries(result.files || {})
+                .map(([filePath, content]) => [safeFileWriter.normalizeFilePath(filePath).path || filePath, content])
+                .filter(([filePath]) => requested.has(filePath))
+        );
+    }
+
+    buildStackSection(planningData) {
+        const guidelines = stackGuidelines(planningData.preferences, this.platform);
+        if (guidelines.length === 0) {
+            return '';
+        }
+
+        return `
+# STACK REQUIREMENTS
+The user chose this stack. These requirements take precedence over the general guidelines above.
+${guidelines.join('\n')}
+`;
+    }
+
+    buildContractSection(contract) {
+        if (!contract) {
+            return '';
+        }
+
+        return `
+# API CONTRACT (OpenAPI)
+The backend must register exactly these routes, and clients must call them with exactly these paths, methods and payload shapes. Do not invent other endpoints.
+\`\`\`json
+${JSON.stringify(contract, null, 2)}
+\`\`\`
+`;
+    }
+
+    buildModelsSection(models = {}) {
+        const entries = Object.entries(models);
+        if (entries.length === 0) {
+            return '';
+        }
+
+        return `
+# SHARED MODELS
+These model files already exist in the project. Import and use them wherever the data is needed; do NOT redefine these types, write other model files for them, or include these paths in your response.
+${entries.map(([file, content]) => `## FILE: ${file}
+\`\`\`
+${content}
+\`\`\``).join('\n\n')}
+`;
+    }
+
+    buildSkeletonSection(planningData, skeleton = {}) {
+        const entries = Object.entries(skeleton);
+        if (entries.length === 0) {
+            return '';
+        }
+
+        const root = sourceRoot(planningData, this.platform);
+
+        return `
+# PROJECT SKELETON
+These project files already exist and are maintained outside your response. Do NOT include these paths in your response.${root ? ` Put every source file below ${root}.` : ''}
+If the code needs packages that are not declared here, add a top-level "dependencies" object to your JSON response in the form ${dependencyFormat(this.platform, planningData)}; they are added to the project for you.
+${entries.map(([file, content]) => `## FILE: ${file}
+\`\`\`
+${content}
+\`\`\``).join('\n\n')}
+`;
+    }
+
+    buildBatchPrompt(planningData, manifest, batch) {
         return `
 # TASK
-Generate code for a complete iOS SwiftUI app based on the following specification.
+Write the following files of a ${this.platformName} app. The other files in the manifest are written separately; rely on the shared context for their interfaces.
 
 # TECHNICAL SPECIFICATION
 ${JSON.stringify(planningData, null, 2)}
 
+# FILE MANIFEST
+${manifest.files.map(entry => `- ${entry.path}${entry.purpose ? ` - ${entry.purpose}` : ''}`).join('\n')}
+
+# SHARED CONTEXT
+${JSON.stringify(manifest.sharedContext, null, 2)}
+
+# FILES TO WRITE NOW
+${batch.map(entry => `- ${entry.path}${entry.purpose ? ` - ${entry.purpose}` : ''}`).join('\n')}
+
 # INSTRUCTIONS
 1. Provide your entire response in accordance with the following JSON template.
 2. Write nothing BUT JSON.
-3. Provide a COMPLETE and WORKING code content for each file in the "files" object.
-4. Write code using modern SwiftUI and Combine.
-5. Add proper imports, error handling, and state management.
+3. Provide COMPLETE and WORKING code for EVERY file listed under "FILES TO WRITE NOW", and no other files.
+4. ${this.codingGuidelines}
+5. Use exactly the types, names and signatures from the shared context, and import other manifest files by their manifest paths.
 6. AVOID using escape characters in JSON (use real newlines and tabs instead of \\n, \\t).
 
 # JSON TEMPLATE
 \`\`\`json
 {
 "files": {
-"App.swift": "// Full SwiftUI App struct content",
-"ContentView.swift": "// Main view content",
-"Models/User.swift": "// Model struct content",
-"Services/NetworkManager.swift": "// API service class content",
-"Views/LoginView.swift": "// Login view content",
-"Views/ProfileView.swift": "// Profile view content"
-},
-"structure": {
-"architecture": "MVVM",
-"frameworks": ["SwiftUI", "Combine", "Foundation"],
-"features_implemented": ["Login", "Profile View"]
-}
-}
-\`\`\`
-
-# SAMPLE FILE CONTENTS (App.swift)
-\`\`\`swift
-import SwiftUI
-
-@main
-struct MyApp: App {
-var body: some Scene {
-WindowGroup {
-ContentView()
-}
+${batch.map(entry => `"${entry.path}": "// Full file content"`).join(',\n')}
 }
 }
 \`\`\`
@@ -269,118 +760,275 @@ ContentView()
 Your response must be in JSON format ONLY. Please follow this rule.
 `;
     }
-}
 
-class AndroidAgent {
-    constructor(openai) {
-        this.openai = openai;
+    // Writes a test suite for the generated code. Only paths matching
+    // `testing.testFiles` are written, so source files are never replaced.
+    async generateTests(planningData, outputDir, { contract, budget } = {}) {
+        if (!this.testing) {
+            return { files: [], rejectedFiles: [] };
+        }
+
+        const existingFiles = await listFiles(outputDir);
+        const targets = existingFiles.filter(file => this.testing.targets.test(file));
+
+        // Contents of the code under test, capped to keep the prompt bounded
+        const contents = {};
+        let size = 0;
+        for (const file of targets) {
+            const content = await fs.readFile(path.join(outputDir, file), 'utf8');
+            if (size + content.length > TEST_CONTEXT_LIMIT) break;
+            contents[file] = content;
+            size += content.length;
+        }
+
+        const responseText = await this.providers.complete(this.task, {
+            system: this.systemPrompt,
+            prompt: this.buildTestPrompt(planningData, existingFiles, contents)
+                + this.buildStackSection(planningData)
+                + this.buildContractSection(contract),
+            temperature: 0.2,
+            maxTokens: 4000
+        });
+
+        const result = await this.parseAIResponse(responseText);
+        const testFiles = Object.fromEntries(
+            Object.entries(result.files || {}).filter(([filePath]) => this.testing.testFiles.test(filePath))
+        );
+
+        const { written, rejected } = await this.writeFiles(testFiles, outputDir, budget);
+        await this.ensureTestSetup(outputDir);
+
+        logger.info({
+            message: 'Agent tests generated',
+            task: this.task,
+            files: written.length
+        });
+
+        return { files: written, rejectedFiles: rejected };
     }
 
-    async parseAIResponse(responseText) {
+    // Adds the test runner to an existing package.json without replacing
+    // anything the agent already declared
+    async ensureTestSetup(outputDir) {
+        const packagePath = path.join(outputDir, 'package.json');
+        if (!this.testing.devDependencies || !await fs.pathExists(packagePath)) {
+            return;
+        }
+
+        let pkg;
         try {
-            // 1. First and best case scenario: The response is already clean JSON
-            return JSON.parse(responseText);
-        } catch (initialError) {
+            pkg = await fs.readJson(packagePath);
+        } catch (error) {
             logger.warn({
-                message: 'Could not parse AI response directly, trying to trim...',
-                error: initialError.message
+                message: 'Could not add test setup to package.json',
+                task: this.task,
+                error: error.message
             });
+            return;
+        }
 
-            try {
-                // 2. Try to find the JSON in the response (between ```json ... ``` blocks)
-                const jsonMatch = responseText.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
-                if (jsonMatch && jsonMatch[1]) {
-                    return JSON.parse(jsonMatch[1].trim());
-                }
+        const declared = { ...pkg.dependencies, ...pkg.devDependencies };
+        pkg.devDependencies = { ...pkg.devDependencies };
+        for (const [name, version] of Object.entries(this.testing.devDependencies)) {
+            if (!declared[name]) {
+                pkg.devDependencies[name] = version;
+            }
+        }
 
-                // 3. Fallback: Only take everything between the first { and the last }
-                const firstBrace = responseText.indexOf('{');
-                const lastBrace = responseText.lastIndexOf('}');
+        pkg.scripts = { ...pkg.scripts };
+        if (!pkg.scripts.test || /no test specified/.test(pkg.scripts.test)) {
+            pkg.scripts.test = this.testing.testScript;
+        }
 
-                if (firstBrace !== -1 && lastBrace !== -1 && lastBrace > firstBrace) {
-                    const jsonString = responseText.substring(firstBrace, lastBrace + 1);
-                    return JSON.parse(jsonString);
-                }
+        await fs.writeJson(packagePath, pkg, { spaces: 2 });
+    }
 
-                // 4. If none works, throw the error
-                throw new Error('Could not extract JSON from AI response: ' + responseText.substring(0, 200));
-            } catch (repairError) {
-                logger.error({
-                    message: 'Could not fix AI response',
-                    originalError: initialError.message,
-                    repairError: repairError.message,
-                    responseSample: responseText.substring(0, 500) // First 500 characters to log
-                });
-                throw new Error(`Could not process AI response: ${repairError.message}`);
+    buildTestPrompt(planningData, existingFiles, contents) {
+        return `
+# TASK
+Write ${this.testing.framework} tests for an existing ${this.platformName} codebase.
+
+# TECHNICAL SPECIFICATION
+${JSON.stringify(planningData, null, 2)}
+
+# EXISTING FILES
+${existingFiles.map(file => `- ${file}`).join('\n')}
+
+# CODE UNDER TEST
+${Object.entries(contents).map(([file, content]) => `## FILE: ${file}
+\`\`\`
+${content}
+\`\`\``).join('\n\n') || 'None'}
+
+# INSTRUCTIONS
+1. Provide your entire response in accordance with the following JSON template.
+2. Write nothing BUT JSON.
+3. ${this.testing.guidelines}
+4. Import the code under test by its existing paths and use its exact names and signatures; do not change or re-create source files.
+5. Tests must run offline: mock network calls, databases and third-party SDKs.
+6. AVOID using escape characters in JSON (use real newlines and tabs instead of \\n, \\t).
+
+# JSON TEMPLATE
+\`\`\`json
+{
+"files": {
+"path/to/test/file": "// Full test file content"
+}
+}
+\`\`\`
+
+Your response must be in JSON format ONLY. Please follow this rule.
+`;
+    }
+
+    async refineCode(planningData, outputDir, instruction, targetFiles, { contract, models = {}, skeleton = {}, budget } = {}) {
+        const existingFiles = await listFiles(outputDir);
+
+        const currentContents = {};
+        for (const filePath of targetFiles) {
+            if (existingFiles.includes(filePath)) {
+                currentContents[filePath] = await fs.readFile(path.join(outputDir, filePath), 'utf8');
             }
         }
-    }
 
-    async generateCode(planningData, outputDir) {
-        const prompt = this.buildAndroidPrompt(planningData);
-        
-        const response = await this.openai.chat.completions.create({
-            model: "gpt-4-turbo-preview",
-            messages: [
-                {
-                    role: "system",
-                    content: "You are an expert Android developer specializing in Kotlin and Jetpack Compose. Generate clean, modern Android code."
-                },
-                {
-                    role: "user",
-                    content: prompt
-                }
-            ],
+        const prompt = this.buildRefinementPrompt(planningData, instruction, existingFiles, currentContents, targetFiles)
+            + this.buildStackSection(planningData)
+            + this.buildContractSection(contract)
+            + this.buildModelsSection(models)
+            + this.buildSkeletonSection(planningData, skeleton);
+
+        const responseText = await this.providers.complete(this.task, {
+            system: this.systemPrompt,
+            prompt,
             temperature: 0.2,
-            max_tokens: 4000
+            maxTokens: 4000
         });
 
-        const codeStructure = await this.parseAIResponse(response.choices[0].message.content);
-        
-        const files = [];
-        for (const [filePath, content] of Object.entries(codeStructure.files)) {
-            const fullPath = path.join(outputDir, filePath);
-            await fs.ensureDir(path.dirname(fullPath));
-            await fs.writeFile(fullPath, content);
-            files.push(filePath);
-        }
+        const codeStructure = await this.parseAIResponse(responseText);
+        const changedFiles = Object.fromEntries(
+            Object.entries(codeStructure.files || {}).filter(([filePath]) => {
+                const normalized = safeFileWriter.normalizeFilePath(filePath).path || filePath;
+                return !(normalized in models) && !(normalized in skeleton);
+            })
+        );
+        const { written, rejected } = await this.writeFiles(changedFiles, outputDir, budget);
 
         return {
-            files,
-            structure: codeStructure.structure
+            files: written,
+            structure: codeStructure.structure,
+            dependencies: codeStructure.dependencies,
+            rejectedFiles: rejected
         };
     }
 
-    buildAndroidPrompt(planningData) {
+    // Every file an agent produces goes through the path-safety layer.
+    // Resolves to { written, rejected }.
+    writeFiles(files, outputDir, budget) {
+        return safeFileWriter.writeFiles(files, outputDir, { platform: this.platform, budget });
+    }
+
+    buildRefinementPrompt(planningData, instruction, existingFiles, currentContents, targetFiles) {
         return `
 # TASK
-Generate code for a complete Android Kotlin app with Jetpack Compose based on the following specification.
+Apply a change to an existing ${this.platformName} codebase.
+
+# CHANGE REQUEST
+"${instruction}"
 
 # TECHNICAL SPECIFICATION
 ${JSON.stringify(planningData, null, 2)}
 
+# EXISTING FILES
+${existingFiles.map(file => `- ${file}`).join('\n')}
+
+# CURRENT CONTENTS OF FILES TO CHANGE
+${Object.entries(currentContents).map(([file, content]) => `## FILE: ${file}
+\`\`\`
+${content}
+\`\`\``).join('\n\n') || 'None'}
+
+# FILES TO CHANGE OR CREATE
+${targetFiles.map(file => `- ${file}`).join('\n')}
+
 # INSTRUCTIONS
 1. Provide your entire response in accordance with the following JSON template.
 2. Write nothing BUT JSON.
-3. Provide a COMPLETE and WORKING code content for each file in the "files" object.
-4. Write code using modern Kotlin and Jetpack Compose.
-5. Add proper imports, error handling, and state management.
-6. AVOID using escape characters in JSON (use real newlines and tabs instead of \\n, \\t).
+3. Include ONLY files you change or create, each with its COMPLETE new content.
+4. Keep the existing architecture, naming and style; do not rewrite unrelated code.
+5. AVOID using escape characters in JSON (use real newlines and tabs instead of \\n, \\t).
 
 # JSON TEMPLATE
 \`\`\`json
 {
 "files": {
-"MainActivity.kt": "// Main activity content",
-"ui/theme/Theme.kt": "// Theme configuration",
-"data/models/User.kt": "// Model data class content",
-"data/network/ApiService.kt": "// API service interface content",
-"ui/screens/LoginScreen.kt": "// Login screen composable",
-"ui/screens/ProfileScreen.kt": "// Profile screen composable"
+"path/to/changed/file": "// Full new file content"
+},
+"structure": {
+"features_implemented": ["string"]
+}
+}
+\`\`\`
+
+Your response must be in JSON format ONLY. Please follow this rule.
+`;
+    }
+}
+
+class IOSAgent extends PlatformAgent {
+    constructor(providers) {
+        super(providers, {
+            task: 'iosAgent',
+            platform: 'ios',
+            platformName: 'iOS SwiftUI',
+            systemPrompt: "You are an expert iOS developer specializing in SwiftUI. Generate clean, modern, production-ready iOS code.",
+            codingGuidelines: 'Write code using modern SwiftUI and Combine, with proper imports, error handling, and state management.',
+            testing: {
+                framework: 'XCTest',
+                guidelines: 'Write one XCTest case class per view model in Tests/<ViewModelName>Tests.swift (`import XCTest`, `@testable import App`). Cover initial state, successful loads and error handling, replacing the network layer with a protocol-based stub.',
+                targets: /ViewModel\.swift$/,
+                testFiles: /^Tests\/.+Tests\.swift$/
+            }
+        });
+    }
+
+    buildPrompt(planningData) {
+        return this.buildIOSPrompt(planningData);
+    }
+
+    buildIOSPrompt(planningData) {
+        return `
+# TASK
+Plan the files of a complete iOS SwiftUI app based on the following specification.
+
+# TECHNICAL SPECIFICATION
+${JSON.stringify(planningData, null, 2)}
+
+# INSTRUCTIONS
+1. Provide your entire response in accordance with the following JSON template.
+2. Write nothing BUT JSON.
+3. List EVERY file the app needs in "files", each with its path and a one-line purpose. Do NOT write file contents yet; they are generated afterwards in batches.
+4. Order the files so that models and services come before the screens that use them.
+5. In "shared_context", give the exact signatures other files depend on: every model type with its properties, and every API client method with its parameters and return type.
+6. Plan the app for modern SwiftUI and Combine with an MVVM architecture.
+
+# JSON TEMPLATE
+\`\`\`json
+{
+"files": [
+{ "path": "App/App.swift", "purpose": "SwiftUI App entry point" },
+{ "path": "App/Models/User.swift", "purpose": "User model" },
+{ "path": "App/Services/NetworkManager.swift", "purpose": "API client" },
+{ "path": "App/ViewModels/LoginViewModel.swift", "purpose": "Login state and actions" },
+{ "path": "App/Views/LoginView.swift", "purpose": "Login screen" },
+{ "path": "App/ContentView.swift", "purpose": "Root navigation" }
+],
+"shared_context": {
+"models": "struct User: Codable, Identifiable { let id: String; let email: String; let name: String }",
+"api_client": "final class NetworkManager { func login(email: String, password: String) async throws -> User }"
 },
 "structure": {
 "architecture": "MVVM",
-"frameworks": ["Jetpack Compose", "Retrofit", "Hilt"],
+"frameworks": ["SwiftUI", "Combine", "Foundation"],
 "features_implemented": ["Login", "Profile View"]
 }
 }
@@ -391,90 +1039,171 @@ Your response must be in JSON format ONLY. Please follow this rule.
     }
 }
 
-class WebAgent {
-    constructor(openai) {
-        this.openai = openai;
+class UIKitIOSAgent extends PlatformAgent {
+    constructor(providers) {
+        super(providers, {
+            task: 'iosAgent',
+            platform: 'ios',
+            platformName: 'iOS UIKit',
+            systemPrompt: "You are an expert iOS developer specializing in UIKit. Generate clean, modern, production-ready iOS code.",
+            codingGuidelines: 'Write code using UIKit view controllers with programmatic Auto Layout and Swift concurrency, with proper imports, error handling, and state management.',
+            testing: {
+                framework: 'XCTest',
+                guidelines: 'Write one XCTest case class per view model in Tests/<ViewModelName>Tests.swift (`import XCTest`, `@testable import App`). Cover initial state, successful loads and error handling, replacing the network layer with a protocol-based stub.',
+                targets: /ViewModel\.swift$/,
+                testFiles: /^Tests\/.+Tests\.swift$/
+            }
+        });
     }
 
-    async parseAIResponse(responseText) {
-        try {
-            // 1. First and best case scenario: The response is already clean JSON
-            return JSON.parse(responseText);
-        } catch (initialError) {
-            logger.warn({
-                message: 'Could not parse AI response directly, trying to trim...',
-                error: initialError.message
-            });
+    buildPrompt(planningData) {
+        return this.buildUIKitPrompt(planningData);
+    }
 
-            try {
-                // 2. Try to find the JSON in the response (between ```json ... ``` blocks)
-                const jsonMatch = responseText.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
-                if (jsonMatch && jsonMatch[1]) {
-                    return JSON.parse(jsonMatch[1].trim());
-                }
+    buildUIKitPrompt(planningData) {
+        return `
+# TASK
+Plan the files of a complete iOS UIKit app based on the following specification.
 
-                // 3. Fallback: Only take everything between the first { and the last }
-                const firstBrace = responseText.indexOf('{');
-                const lastBrace = responseText.lastIndexOf('}');
+# TECHNICAL SPECIFICATION
+${JSON.stringify(planningData, null, 2)}
 
-                if (firstBrace !== -1 && lastBrace !== -1 && lastBrace > firstBrace) {
-                    const jsonString = responseText.substring(firstBrace, lastBrace + 1);
-                    return JSON.parse(jsonString);
-                }
+# INSTRUCTIONS
+1. Provide your entire response in accordance with the following JSON template.
+2. Write nothing BUT JSON.
+3. List EVERY file the app needs in "files", each with its path and a one-line purpose. Do NOT write file contents yet; they are generated afterwards in batches.
+4. Order the files so that models and services come before the screens that use them.
+5. In "shared_context", give the exact signatures other files depend on: every model type with its properties, and every API client method with its parameters and return type.
+6. Plan the app for UIKit with programmatic Auto Layout and an MVVM architecture, starting from an AppDelegate and a SceneDelegate that sets the root view controller. Do not use SwiftUI.
 
-                // 4. If none works, throw the error
-                throw new Error('Could not extract JSON from AI response: ' + responseText.substring(0, 200));
-            } catch (repairError) {
-                logger.error({
-                    message: 'Could not fix AI response',
-                    originalError: initialError.message,
-                    repairError: repairError.message,
-                    responseSample: responseText.substring(0, 500) // First 500 characters to log
-                });
-                throw new Error(`Could not process AI response: ${repairError.message}`);
+# JSON TEMPLATE
+\`\`\`json
+{
+"files": [
+{ "path": "App/AppDelegate.swift", "purpose": "UIApplicationDelegate entry point" },
+{ "path": "App/SceneDelegate.swift", "purpose": "Window and root navigation controller" },
+{ "path": "App/Models/User.swift", "purpose": "User model" },
+{ "path": "App/Services/NetworkManager.swift", "purpose": "API client" },
+{ "path": "App/ViewModels/LoginViewModel.swift", "purpose": "Login state and actions" },
+{ "path": "App/ViewControllers/LoginViewController.swift", "purpose": "Login screen" }
+],
+"shared_context": {
+"models": "struct User: Codable { let id: String; let email: String; let name: String }",
+"api_client": "final class NetworkManager { func login(email: String, password: String) async throws -> User }"
+},
+"structure": {
+"architecture": "MVVM",
+"frameworks": ["UIKit", "Foundation"],
+"features_implemented": ["Login", "Profile View"]
+}
+}
+\`\`\`
+
+Your response must be in JSON format ONLY. Please follow this rule.
+`;
+    }
+}
+
+class AndroidAgent extends PlatformAgent {
+    constructor(providers) {
+        super(providers, {
+            task: 'androidAgent',
+            platform: 'android',
+            platformName: 'Android Kotlin and Jetpack Compose',
+            systemPrompt: "You are an expert Android developer specializing in Kotlin and Jetpack Compose. Generate clean, modern Android code.",
+            codingGuidelines: 'Write code using modern Kotlin and Jetpack Compose, with proper imports, error handling, and state management.',
+            testing: {
+                framework: 'JUnit',
+                guidelines: 'Write one JUnit 4 test class per view model in app/src/test/java/<package path>/<ViewModelName>Test.kt. Use kotlinx-coroutines-test (runTest, a StandardTestDispatcher set as Dispatchers.Main) and hand-written fakes for repositories and the API service.',
+                targets: /ViewModel\.kt$/,
+                testFiles: /(^|\/)src\/test\/.+Test\.kt$/
             }
-        }
+        });
     }
 
-    async generateCode(planningData, outputDir) {
-        const prompt = this.buildWebPrompt(planningData);
-        
-        const response = await this.openai.chat.completions.create({
-            model: "gpt-4-turbo-preview",
-            messages: [
-                {
-                    role: "system",
-                    content: "You are an expert full-stack web developer specializing in Next.js, TypeScript, and modern web technologies."
+    buildPrompt(planningData) {
+        return this.buildAndroidPrompt(planningData);
+    }
+
+    buildAndroidPrompt(planningData) {
+        const root = sourceRoot(planningData, this.platform);
+
+        return `
+# TASK
+Plan the files of a complete Android Kotlin app with Jetpack Compose based on the following specification.
+
+# TECHNICAL SPECIFICATION
+${JSON.stringify(planningData, null, 2)}
+
+# INSTRUCTIONS
+1. Provide your entire response in accordance with the following JSON template.
+2. Write nothing BUT JSON.
+3. List EVERY file the app needs in "files", each with its path and a one-line purpose. Do NOT write file contents yet; they are generated afterwards in batches.
+4. Order the files so that models and services come before the screens that use them.
+5. In "shared_context", give the exact signatures other files depend on: every model type with its properties, and every API client method with its parameters and return type.
+6. Plan the app for modern Kotlin and Jetpack Compose with an MVVM architecture.
+
+# JSON TEMPLATE
+\`\`\`json
+{
+"files": [
+{ "path": "${root}MainActivity.kt", "purpose": "Activity hosting the Compose navigation" },
+{ "path": "${root}data/models/User.kt", "purpose": "User model" },
+{ "path": "${root}data/network/ApiService.kt", "purpose": "Retrofit API interface" },
+{ "path": "${root}ui/theme/Theme.kt", "purpose": "Material theme" },
+{ "path": "${root}ui/screens/LoginViewModel.kt", "purpose": "Login state and actions" },
+{ "path": "${root}ui/screens/LoginScreen.kt", "purpose": "Login screen composable" }
+],
+"shared_context": {
+"models": "data class User(val id: String, val email: String, val name: String)",
+"api_client": "interface ApiService { @POST(\\"auth/login\\") suspend fun login(@Body body: LoginRequest): User }"
+},
+"structure": {
+"architecture": "MVVM",
+"frameworks": ["Jetpack Compose", "Retrofit", "Coroutines"],
+"features_implemented": ["Login", "Profile View"]
+}
+}
+\`\`\`
+
+Your response must be in JSON format ONLY. Please follow this rule.
+`;
+    }
+}
+
+class WebAgent extends PlatformAgent {
+    constructor(providers) {
+        super(providers, {
+            task: 'webAgent',
+            platform: 'web',
+            platformName: 'Next.js web',
+            systemPrompt: "You are an expert full-stack web developer specializing in Next.js, TypeScript, and modern web technologies.",
+            codingGuidelines: 'Write code using modern Next.js 14, TypeScript, and Tailwind CSS, with proper imports, error handling, and state management.',
+            testing: {
+                framework: 'Jest and React Testing Library',
+                guidelines: 'Write one test file per page in __tests__/<page name>.test.tsx using @testing-library/react and @testing-library/jest-dom. Render the page, assert its key content and user interactions, and mock the API client module and next/navigation with jest.mock.',
+                targets: /^(app\/(.+\/)?page\.(tsx|jsx|ts|js)|pages\/.+\.(tsx|jsx))$/,
+                testFiles: /^__tests__\/.+\.test\.(tsx|ts|jsx|js)$/,
+                devDependencies: {
+                    'jest': '^29.7.0',
+                    'jest-environment-jsdom': '^29.7.0',
+                    '@testing-library/react': '^14.1.2',
+                    '@testing-library/jest-dom': '^6.1.5',
+                    '@types/jest': '^29.5.11'
                 },
-                {
-                    role: "user",
-                    content: prompt
-                }
-            ],
-            temperature: 0.2,
-            max_tokens: 4000
+                testScript: 'jest'
+            }
         });
+    }
 
-        const codeStructure = await this.parseAIResponse(response.choices[0].message.content);
-        
-        const files = [];
-        for (const [filePath, content] of Object.entries(codeStructure.files)) {
-            const fullPath = path.join(outputDir, filePath);
-            await fs.ensureDir(path.dirname(fullPath));
-            await fs.writeFile(fullPath, content);
-            files.push(filePath);
-        }
-
-        return {
-            files,
-            structure: codeStructure.structure
-        };
+    buildPrompt(planningData) {
+        return this.buildWebPrompt(planningData);
     }
 
     buildWebPrompt(planningData) {
         return `
 # TASK
-Generate code for a complete Next.js web application based on the following specification.
+Plan the files of a complete Next.js web application based on the following specification.
 
 # TECHNICAL SPECIFICATION
 ${JSON.stringify(planningData, null, 2)}
@@ -482,21 +1211,25 @@ ${JSON.stringify(planningData, null, 2)}
 # INSTRUCTIONS
 1. Provide your entire response in accordance with the following JSON template.
 2. Write nothing BUT JSON.
-3. Provide a COMPLETE and WORKING code content for each file in the "files" object.
-4. Write code using modern Next.js 14, TypeScript, and Tailwind CSS.
-5. Add proper imports, error handling, and state management.
-6. AVOID using escape characters in JSON (use real newlines and tabs instead of \\n, \\t).
+3. List EVERY file the app needs in "files", each with its path and a one-line purpose. Do NOT write file contents yet; they are generated afterwards in batches.
+4. Order the files so that models and services come before the screens that use them.
+5. In "shared_context", give the exact signatures other files depend on: every model type with its properties, and every API client method with its parameters and return type.
+6. Plan the app for Next.js 14 with the App Router, TypeScript and Tailwind CSS.
 
 # JSON TEMPLATE
 \`\`\`json
 {
-"files": {
-"app/page.tsx": "// Main page component",
-"app/layout.tsx": "// Root layout component",
-"components/ui/Button.tsx": "// Button component",
-"lib/api.ts": "// API utility functions",
-"app/login/page.tsx": "// Login page component",
-"app/profile/page.tsx": "// Profile page component"
+"files": [
+{ "path": "lib/types.ts", "purpose": "Shared TypeScript types" },
+{ "path": "lib/api.ts", "purpose": "API client functions" },
+{ "path": "app/layout.tsx", "purpose": "Root layout" },
+{ "path": "app/page.tsx", "purpose": "Home page" },
+{ "path": "components/ui/Button.tsx", "purpose": "Button component" },
+{ "path": "app/login/page.tsx", "purpose": "Login page" }
+],
+"shared_context": {
+"models": "interface User { id: string; email: string; name: string }",
+"api_client": "login(email: string, password: string): Promise<User>"
 },
 "structure": {
 "architecture": "App Router",
@@ -511,90 +1244,172 @@ Your response must be in JSON format ONLY. Please follow this rule.
     }
 }
 
-class BackendAgent {
-    constructor(openai) {
-        this.openai = openai;
+class NuxtWebAgent extends PlatformAgent {
+    constructor(providers) {
+        super(providers, {
+            task: 'webAgent',
+            platform: 'web',
+            platformName: 'Nuxt web',
+            systemPrompt: "You are an expert full-stack web developer specializing in Nuxt, Vue, TypeScript, and modern web technologies.",
+            codingGuidelines: 'Write code using modern Nuxt 3, Vue 3 with <script setup lang="ts">, TypeScript, and Tailwind CSS, with proper imports, error handling, and state management.',
+            testing: {
+                framework: 'Vitest and Vue Testing Library',
+                guidelines: 'Write one test file per page in tests/<page name>.test.ts using Vitest, @testing-library/vue and @nuxt/test-utils (mountSuspended). Render the page, assert its key content and user interactions, and mock the API composable with mockNuxtImport.',
+                targets: /^pages\/.+\.vue$/,
+                testFiles: /^tests\/.+\.test\.ts$/,
+                devDependencies: {
+                    'vitest': '^1.2.0',
+                    '@nuxt/test-utils': '^3.10.0',
+                    '@testing-library/vue': '^8.0.1',
+                    'happy-dom': '^13.3.0'
+                },
+                testScript: 'vitest run'
+            }
+        });
     }
 
-    async parseAIResponse(responseText) {
-        try {
-            // 1. First and best case scenario: The response is already clean JSON
-            return JSON.parse(responseText);
-        } catch (initialError) {
-            logger.warn({
-                message: 'Could not parse AI response directly, trying to trim...',
-                error: initialError.message
-            });
+    buildPrompt(planningData) {
+        return this.buildNuxtPrompt(planningData);
+    }
 
-            try {
-                // 2. Try to find the JSON in the response (between ```json ... ``` blocks)
-                const jsonMatch = responseText.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
-                if (jsonMatch && jsonMatch[1]) {
-                    return JSON.parse(jsonMatch[1].trim());
-                }
+    buildNuxtPrompt(planningData) {
+        return `
+# TASK
+Plan the files of a complete Nuxt 3 web application based on the following specification.
 
-                // 3. Fallback: Only take everything between the first { and the last }
-                const firstBrace = responseText.indexOf('{');
-                const lastBrace = responseText.lastIndexOf('}');
+# TECHNICAL SPECIFICATION
+${JSON.stringify(planningData, null, 2)}
 
-                if (firstBrace !== -1 && lastBrace !== -1 && lastBrace > firstBrace) {
-                    const jsonString = responseText.substring(firstBrace, lastBrace + 1);
-                    return JSON.parse(jsonString);
-                }
+# INSTRUCTIONS
+1. Provide your entire response in accordance with the following JSON template.
+2. Write nothing BUT JSON.
+3. List EVERY file the app needs in "files", each with its path and a one-line purpose. Do NOT write file contents yet; they are generated afterwards in batches.
+4. Order the files so that models and composables come before the pages that use them.
+5. In "shared_context", give the exact signatures other files depend on: every model type with its properties, and every API client function with its parameters and return type.
+6. Plan the app for Nuxt 3 with file-based routing, composables, Pinia stores, TypeScript and Tailwind CSS.
 
-                // 4. If none works, throw the error
-                throw new Error('Could not extract JSON from AI response: ' + responseText.substring(0, 200));
-            } catch (repairError) {
-                logger.error({
-                    message: 'Could not fix AI response',
-                    originalError: initialError.message,
-                    repairError: repairError.message,
-                    responseSample: responseText.substring(0, 500) // First 500 characters to log
-                });
-                throw new Error(`Could not process AI response: ${repairError.message}`);
-            }
-        }
+# JSON TEMPLATE
+\`\`\`json
+{
+"files": [
+{ "path": "composables/useApi.ts", "purpose": "API client functions" },
+{ "path": "layouts/default.vue", "purpose": "Default layout" },
+{ "path": "stores/auth.ts", "purpose": "Pinia auth store" },
+{ "path": "app.vue", "purpose": "Root component" },
+{ "path": "pages/index.vue", "purpose": "Home page" },
+{ "path": "pages/login.vue", "purpose": "Login page" }
+],
+"shared_context": {
+"models": "interface User { id: string; email: string; name: string }",
+"api_client": "useApi().login(email: string, password: string): Promise<User>"
+},
+"structure": {
+"architecture": "Nuxt file-based routing",
+"frameworks": ["Nuxt 3", "Vue 3", "Pinia", "TypeScript", "Tailwind CSS"],
+"features_implemented": ["Login", "Profile View"]
+}
+}
+\`\`\`
+
+Your response must be in JSON format ONLY. Please follow this rule.
+`;
     }
+}
 
-    async generateCode(planningData, outputDir) {
-        const prompt = this.buildBackendPrompt(planningData);
-        
-        const response = await this.openai.chat.completions.create({
-            model: "gpt-4-turbo-preview",
-            messages: [
-                {
-                    role: "system",
-                    content: "You are an expert backend developer specializing in Node.js, Express, and database design."
+// Manifest template examples for the backend's database and authentication,
+// so the example does not contradict the chosen stack
+const BACKEND_DATABASE_EXAMPLES = {
+    mongodb: {
+        config: { path: 'config/database.js', purpose: 'MongoDB connection' },
+        userModel: fields => `User { _id: ObjectId, ${fields} }`,
+        frameworks: ['MongoDB', 'Mongoose']
+    },
+    postgresql: {
+        config: { path: 'lib/prisma.js', purpose: 'Shared PrismaClient' },
+        userModel: fields => `prisma.user: User { id: String, ${fields} }`,
+        frameworks: ['PostgreSQL', 'Prisma']
+    },
+    mysql: {
+        config: { path: 'lib/prisma.js', purpose: 'Shared PrismaClient' },
+        userModel: fields => `prisma.user: User { id: String, ${fields} }`,
+        frameworks: ['MySQL', 'Prisma']
+    },
+    firebase: {
+        config: { path: 'config/firebase.js', purpose: 'firebase-admin initialisation' },
+        userModel: fields => `users/{id}: User { ${fields} }`,
+        frameworks: ['Firebase Firestore', 'firebase-admin']
+    }
+};
+
+const BACKEND_AUTH_EXAMPLES = {
+    custom: {
+        middleware: 'JWT authentication middleware',
+        routes: { path: 'routes/auth.js', purpose: 'Register and login routes' },
+        userFields: 'email: String, passwordHash: String, name: String',
+        endpoint: 'POST /api/auth/login { email, password } -> { token, user }',
+        frameworks: ['JWT']
+    },
+    firebase: {
+        middleware: 'Firebase ID token verification',
+        userFields: 'email: String, name: String',
+        endpoint: 'GET /api/users/me (Authorization: Bearer <Firebase ID token>) -> user',
+        frameworks: ['Firebase Authentication']
+    },
+    auth0: {
+        middleware: 'Auth0 access token validation',
+        userFields: 'auth0Id: String, email: String, name: String',
+        endpoint: 'GET /api/users/me (Authorization: Bearer <Auth0 access token>) -> user',
+        frameworks: ['express-oauth2-jwt-bearer']
+    },
+    supabase: {
+        middleware: 'Supabase session verification',
+        userFields: 'supabaseId: String, email: String, name: String',
+        endpoint: 'GET /api/users/me (Authorization: Bearer <Supabase access token>) -> user',
+        frameworks: ['Supabase Auth']
+    }
+};
+
+class BackendAgent extends PlatformAgent {
+    constructor(providers) {
+        super(providers, {
+            task: 'backendAgent',
+            platform: 'backend',
+            platformName: 'Node.js Express backend',
+            systemPrompt: "You are an expert backend developer specializing in Node.js, Express, and database design.",
+            codingGuidelines: 'Write code using modern Node.js and Express with the database from the tech stack, with proper imports, error handling, and validation.',
+            testing: {
+                framework: 'Jest and supertest',
+                guidelines: 'Cover EVERY route in api_endpoints with Jest and supertest, one file per resource in __tests__/<resource>.test.js. Assert status codes and response shapes, including one failure case per route. Import the Express app from app.js (not server.js) and mock the database layer with jest.mock so the tests run without a database.',
+                targets: /^((routes|controllers)\/.+|app|server|index)\.js$/,
+                testFiles: /^__tests__\/.+\.test\.js$/,
+                devDependencies: {
+                    'jest': '^29.7.0',
+                    'supertest': '^6.3.3'
                 },
-                {
-                    role: "user",
-                    content: prompt
-                }
-            ],
-            temperature: 0.2,
-            max_tokens: 4000
+                testScript: 'jest'
+            }
         });
+    }
 
-        const codeStructure = await this.parseAIResponse(response.choices[0].message.content);
-        
-        const files = [];
-        for (const [filePath, content] of Object.entries(codeStructure.files)) {
-            const fullPath = path.join(outputDir, filePath);
-            await fs.ensureDir(path.dirname(fullPath));
-            await fs.writeFile(fullPath, content);
-            files.push(filePath);
-        }
-
-        return {
-            files,
-            structure: codeStructure.structure
-        };
+    buildPrompt(planningData) {
+        return this.buildBackendPrompt(planningData);
     }
 
     buildBackendPrompt(planningData) {
+        const database = BACKEND_DATABASE_EXAMPLES[databaseFor(planningData)];
+        const auth = BACKEND_AUTH_EXAMPLES[(planningData.preferences && planningData.preferences.authentication) || 'custom'];
+        const files = [
+            database.config,
+            { path: 'middleware/auth.js', purpose: auth.middleware },
+            ...(auth.routes ? [auth.routes] : []),
+            { path: 'routes/api.js', purpose: 'API routes' },
+            { path: 'app.js', purpose: 'Express app setup' },
+            { path: 'server.js', purpose: 'Starts the server' }
+        ];
+
         return `
 # TASK
-Generate code for a complete Node.js Express backend API based on the following specification.
+Plan the files of a complete Node.js Express backend API based on the following specification.
 
 # TECHNICAL SPECIFICATION
 ${JSON.stringify(planningData, null, 2)}
@@ -602,25 +1417,25 @@ ${JSON.stringify(planningData, null, 2)}
 # INSTRUCTIONS
 1. Provide your entire response in accordance with the following JSON template.
 2. Write nothing BUT JSON.
-3. Provide a COMPLETE and WORKING code content for each file in the "files" object.
-4. Write code using modern Node.js, Express, and MongoDB.
-5. Add proper imports, error handling, and validation.
-6. AVOID using escape characters in JSON (use real newlines and tabs instead of \\n, \\t).
+3. List EVERY file the app needs in "files", each with its path and a one-line purpose. Do NOT write file contents yet; they are generated afterwards in batches.
+4. Order the files so that models and services come before the screens that use them.
+5. In "shared_context", give the exact signatures other files depend on: every model type with its properties, and every API client method with its parameters and return type.
+6. Plan the API for modern Node.js and Express with an MVC structure, using the database named in tech_stack.backend.
+7. Export the Express app from app.js and call listen() only in server.js, so the routes can be tested with supertest.
 
 # JSON TEMPLATE
 \`\`\`json
 {
-"files": {
-"server.js": "// Express server setup",
-"models/User.js": "// Mongoose user model",
-"routes/auth.js": "// Authentication routes",
-"routes/api.js": "// API routes",
-"middleware/auth.js": "// Authentication middleware",
-"config/database.js": "// Database configuration"
+"files": [
+${files.map(file => `{ "path": "${file.path}", "purpose": "${file.purpose}" }`).join(',\n')}
+],
+"shared_context": {
+"models": "${database.userModel(auth.userFields)}",
+"api_client": "${auth.endpoint}"
 },
 "structure": {
 "architecture": "MVC",
-"frameworks": ["Express.js", "MongoDB", "Mongoose", "JWT"],
+"frameworks": [${['Express.js', ...database.frameworks, ...auth.frameworks].map(name => `"${name}"`).join(', ')}],
 "features_implemented": ["Authentication", "API Endpoints"]
 }
 }
@@ -0,0 +1,222 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const CodeGenerator = require('./codeGenerator');
+const { ProviderRegistry, FakeProvider } = require('./llmProvider');
+const { JobCancelledError } = require('./cancellation');
+
+function createGenerator() {
+    const providers = new ProviderRegistry({ env: { LLM_PROVIDER: 'fake' }, registerDefaults: false, fixtures: null })
+        .register('fake', new FakeProvider({ responder: () => '{}' }));
+    return new CodeGenerator(providers);
+}
+
+const planningData = {
+    app_name: 'Shop',
+    description: 'A small shop',
+    platforms: ['web', 'backend'],
+    features: ['Product list'],
+    tech_stack: { web: 'Next.js', backend: 'Express' },
+    database_schema: {},
+    deployment: { web: 'Vercel' },
+    api_endpoints: [{ method: 'GET', path: '/api/products', description: 'List products' }]
+};
+
+describe('CodeGenerator.settlePlatforms', () => {
+    const generator = createGenerator();
+
+    test('records failed platforms and discards their files', async () => {
+        const results = { web: { success: true, files: ['app/page.tsx'] } };
+        const discard = jest.fn(async () => {});
+        const events = [];
+
+        const succeeded = await generator.settlePlatforms('job-1', ['web', 'ios'], [
+            Promise.resolve(),
+            Promise.reject(new Error('Invalid manifest'))
+        ], results, { onProgress: event => events.push(event), discard });
+
+        expect(succeeded).toEqual(['web']);
+        expect(results.ios).toEqual({ success: false, error: 'Invalid manifest' });
+        expect(discard).toHaveBeenCalledWith('ios');
+        expect(events).toEqual([{ platform: 'ios', type: 'platform_failed', error: 'Invalid manifest' }]);
+    });
+
+    test('fails when no platform succeeded', async () => {
+        await expect(generator.settlePlatforms('job-1', ['web', 'ios'], [
+            Promise.reject(new Error('Rate limited')),
+            Promise.reject(new Error('Invalid manifest'))
+        ], {}, { discard: async () => {} })).rejects.toThrow('No platform could be generated: web: Rate limited; ios: Invalid manifest');
+    });
+
+    test('passes a cancellation through instead of recording it', async () => {
+        const discard = jest.fn(async () => {});
+
+        await expect(generator.settlePlatforms('job-1', ['web', 'ios'], [
+            Promise.resolve(),
+            Promise.reject(new JobCancelledError())
+        ], { web: { success: true } }, { discard })).rejects.toThrow(JobCancelledError);
+        expect(discard).not.toHaveBeenCalled();
+    });
+});
+
+describe('CodeGenerator.generateMultiPlatformApp', () => {
+    const cwd = process.cwd();
+    let workDir;
+    let generator;
+
+    // The generator writes below ./generated
+    beforeEach(async () => {
+        workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'code-generator-'));
+        process.chdir(workDir);
+
+        generator = createGenerator();
+        const { web, backend } = generator.agents;
+        jest.spyOn(web, 'generateCode').mockImplementation(async (plan, platformDir) => {
+            const { written } = await web.writeFiles({ 'app/page.tsx': 'export default function Page() { return null; }' }, platformDir);
+            return { files: written, structure: {}, missingFiles: [], rejectedFiles: [], dependencies: {} };
+        });
+        jest.spyOn(web, 'generateTests').mockResolvedValue({ files: [], rejectedFiles: [] });
+        jest.spyOn(backend, 'generateCode').mockRejectedValue(new Error('Model returned invalid JSON'));
+    });
+
+    afterEach(async () => {
+        process.chdir(cwd);
+        await fs.remove(workDir);
+    });
+
+    test('keeps the platforms that succeeded when another fails', async () => {
+        const stored = [];
+
+        const result = await generator.generateMultiPlatformApp(planningData, 'job-1', {
+            onPlatformResult: async platform => stored.push(platform)
+        });
+
+        expect(result.results.web).toMatchObject({ success: true, files: expect.arrayContaining(['package.json', 'app/page.tsx']) });
+        expect(result.results.backend).toEqual({ success: false, error: 'Model returned invalid JSON' });
+        expect(stored).toEqual(['web']);
+        expect(await fs.readdir(path.join(workDir, 'generated/job-1'))).not.toContain('backend');
+    });
+
+    test('reuses the files of platforms that succeeded in an earlier attempt', async () => {
+        const first = await generator.generateMultiPlatformApp(planningData, 'job-1');
+        generator.agents.web.generateCode.mockClear();
+        generator.agents.backend.generateCode.mockResolvedValue({ files: ['server.js'], structure: {}, missingFiles: [], rejectedFiles: [], dependencies: {} });
+        jest.spyOn(generator.agents.backend, 'generateTests').mockResolvedValue({ files: [], rejectedFiles: [] });
+
+        const second = await generator.generateMultiPlatformApp(planningData, 'job-1', { reuse: { web: first.results.web } });
+
+        expect(generator.agents.web.generateCode).not.toHaveBeenCalled();
+        expect(second.results.web).toMatchObject({ success: true, reused: true });
+        expect(second.results.backend.success).toBe(true);
+    });
+});
+
+describe('PlatformAgent.generateCode', () => {
+    let outputDir;
+    let provider;
+    let agent;
+
+    // The files each batch prompt asks for
+    function batchFiles(prompt) {
+        const section = prompt.split('# FILES TO WRITE NOW\n')[1].split('\n\n')[0];
+        return section.split('\n').map(line => line.slice(2).split(' - ')[0]);
+    }
+
+    beforeEach(async () => {
+        outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'platform-agent-'));
+
+        // The first batch returns one of its files under a ./ key plus a file
+        // of another batch, the second returns nothing, and the retry of the
+        // missing files only writes lib/api.ts
+        let batchCount = 0;
+        provider = new FakeProvider({
+            responder: ({ prompt }) => {
+                if (prompt.includes('# FILES TO WRITE NOW')) {
+                    batchCount++;
+                    if (batchCount === 1) {
+                        return JSON.stringify({ files: { './app/page.tsx': 'export default function Page() {}', 'lib/api.ts': 'export {};' } });
+                    }
+                    if (batchCount === 3) {
+                        return JSON.stringify({ files: { 'lib/api.ts': 'export const api = {};' } });
+                    }
+                    return JSON.stringify({ files: {} });
+                }
+                return JSON.stringify({
+                    files: [
+                        { path: './app/page.tsx', purpose: 'Home page' },
+                        { path: 'components/ProductList.tsx', purpose: 'Product list' },
+                        { path: 'lib/api.ts', purpose: 'API client' },
+                        { path: 'package.json' }
+                    ],
+                    shared_context: { api_client: 'export const api' }
+                });
+            }
+        });
+        const providers = new ProviderRegistry({ env: { LLM_PROVIDER: 'fake' }, registerDefaults: false, fixtures: null })
+            .register('fake', provider);
+
+        process.env.AGENT_BATCH_SIZE = '2';
+        agent = new CodeGenerator(providers).agents.web;
+    });
+
+    afterEach(async () => {
+        delete process.env.AGENT_BATCH_SIZE;
+        await fs.remove(outputDir);
+    });
+
+    test('writes the manifest in batches and retries the files a batch left out once', async () => {
+        const events = [];
+
+        const result = await agent.generateCode(planningData, outputDir, {
+            skeleton: { 'package.json': '{}' },
+            onProgress: event => events.push(event)
+        });
+
+        const batches = provider.calls.slice(1).map(call => batchFiles(call.prompt));
+        expect(batches).toEqual([
+            ['app/page.tsx', 'components/ProductList.tsx'],
+            ['lib/api.ts'],
+            ['components/ProductList.tsx', 'lib/api.ts']
+        ]);
+        expect(result.files).toEqual(['app/page.tsx', 'lib/api.ts']);
+        expect(result.missingFiles).toEqual(['components/ProductList.tsx']);
+        expect(await fs.readFile(path.join(outputDir, 'lib/api.ts'), 'utf8')).toBe('export const api = {};');
+        expect(events[0]).toEqual({ type: 'manifest', filesTotal: 3, filesCompleted: 0 });
+        expect(events.filter(event => event.type === 'file_completed').map(event => event.file)).toEqual(['app/page.tsx', 'lib/api.ts']);
+    });
+
+    test('fails when the manifest lists no files to write', async () => {
+        provider.responder = JSON.stringify({ files: [{ path: 'package.json' }] });
+
+        await expect(agent.generateCode(planningData, outputDir, { skeleton: { 'package.json': '{}' } }))
+            .rejects.toThrow('manifest did not list any files');
+    });
+});
+
+describe('CodeGenerator.agentFor', () => {
+    const generator = createGenerator();
+
+    // The JSON template of an agent's manifest prompt
+    function manifestTemplate(agent, plan) {
+        return JSON.parse(agent.buildPrompt(plan).split('```json')[1].split('```')[0]);
+    }
+
+    test('gives UIKit apps an agent without SwiftUI instructions', () => {
+        const plan = { ...planningData, platforms: ['ios'], preferences: { ui_framework: 'uikit' } };
+        const agent = generator.agentFor('ios', plan);
+
+        expect(agent.platformName).toBe('iOS UIKit');
+        expect([agent.systemPrompt, agent.codingGuidelines].join(' ')).not.toContain('SwiftUI');
+        expect(manifestTemplate(agent, plan).files[0].path).toBe('App/AppDelegate.swift');
+        expect(generator.agentFor('ios', planningData).platformName).toBe('iOS SwiftUI');
+    });
+
+    test('builds the backend manifest example from the database and authentication', () => {
+        const plan = { ...planningData, preferences: { database: 'postgresql', authentication: 'auth0' } };
+        const template = manifestTemplate(generator.agentFor('backend', plan), plan);
+
+        expect(template.structure.frameworks).toEqual(['Express.js', 'PostgreSQL', 'Prisma', 'express-oauth2-jwt-bearer']);
+        expect(template.files.map(file => file.path)).toEqual(['lib/prisma.js', 'middleware/auth.js', 'routes/api.js', 'app.js', 'server.js']);
+        expect(JSON.stringify(template)).not.toMatch(/Mongo|ObjectId|passwordHash/);
+    });
+});
@@ -0,0 +1,233 @@
+const path = require('path');
+const { parse } = require('@babel/parser');
+
+// Local, deterministic metrics for an uploaded codebase: lines of code per
+// language, cyclomatic complexity of JS/TS functions, dependency manifests
+// and the largest files. They are reported as-is and given to the AI
+// analysis as ground truth.
+
+const LANGUAGES = {
+    js: 'JavaScript',
+    jsx: 'JavaScript',
+    ts: 'TypeScript',
+    tsx: 'TypeScript',
+    swift: 'Swift',
+    kt: 'Kotlin',
+    java: 'Java',
+    py: 'Python',
+    go: 'Go',
+    rs: 'Rust'
+};
+
+// Line comment prefixes; block comment lines starting with * are caught too
+const COMMENT_LINE = {
+    Python: /^#/,
+    default: /^(\/\/|\/\*|\*)/
+};
+
+const MANIFESTS = {
+    'package.json': 'npm',
+    'Podfile': 'CocoaPods',
+    'build.gradle': 'Gradle',
+    'build.gradle.kts': 'Gradle',
+    'requirements.txt': 'pip'
+};
+
+const FUNCTION_TYPES = [
+    'FunctionDeclaration',
+    'FunctionExpression',
+    'ArrowFunctionExpression',
+    'ObjectMethod',
+    'ClassMethod',
+    'ClassPrivateMethod'
+];
+
+// Nodes that add a path through a function
+const DECISION_TYPES = [
+    'IfStatement',
+    'ConditionalExpression',
+    'ForStatement',
+    'ForInStatement',
+    'ForOfStatement',
+    'WhileStatement',
+    'DoWhileStatement',
+    'CatchClause'
+];
+
+const TOP_COUNT = 10;
+
+function countLines(content, language) {
+    const lines = content.split('\n');
+    const comment = COMMENT_LINE[language] || COMMENT_LINE.default;
+    let code = 0;
+    let blank = 0;
+    let comments = 0;
+
+    for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed) blank++;
+        else if (comment.test(trimmed)) comments++;
+        else code++;
+    }
+
+    return { lines: lines.length, code, blank, comments };
+}
+
+function functionName(node, parent) {
+    if (node.id && node.id.name) return node.id.name;
+    if (node.key) return node.key.name || (node.key.value !== undefined ? String(node.key.value) : '(computed)');
+    if (parent && parent.type === 'VariableDeclarator' && parent.id.name) return parent.id.name;
+    if (parent && (parent.type === 'ObjectProperty' || parent.type === 'ClassProperty') && parent.key) return parent.key.name || '(anonymous)';
+    return '(anonymous)';
+}
+
+// Cyclomatic complexity (1 + decision points) of every function in a JS/TS
+// source. Resolves to [{ name, line, complexity }], or null when the file
+// cannot be parsed.
+function functionComplexity(content, extension) {
+    let ast;
+    try {
+        ast = parse(content, {
+            sourceType: 'unambiguous',
+            errorRecovery: true,
+            plugins: [
+                ...(extension.startsWith('ts') ? ['typescript'] : []),
+                ...(extension === 'ts' ? [] : ['jsx']),
+                'decorators-legacy'
+            ]
+        });
+    } catch (error) {
+        return null;
+    }
+
+    const functions = [];
+
+    function visit(node, parent, current) {
+        if (!node || typeof node.type !== 'string') return;
+
+        if (FUNCTION_TYPES.includes(node.type)) {
+            current = { name: functionName(node, parent), line: node.loc.start.line, complexity: 1 };
+            functions.push(current);
+        } else if (current) {
+            if (DECISION_TYPES.includes(node.type)) {
+                current.complexity++;
+            } else if (node.type === 'SwitchCase' && node.test) {
+                current.complexity++;
+            } else if (node.type === 'LogicalExpression') {
+                current.complexity++;
+            }
+        }
+
+        for (const key of Object.keys(node)) {
+            if (key === 'loc' || key === 'leadingComments' || key === 'trailingComments') continue;
+            const child = node[key];
+            if (Array.isArray(child)) {
+                child.forEach(item => visit(item, node, current));
+            } else if (child && typeof child === 'object') {
+                visit(child, node, current);
+            }
+        }
+    }
+
+    visit(ast.program, null, null);
+    return functions;
+}
+
+// Declared dependency names per manifest
+function manifestDependencies(name, content) {
+    try {
+        switch (MANIFESTS[name]) {
+            case 'npm': {
+                const pkg = JSON.parse(content);
+                return Object.keys({ ...pkg.dependencies, ...pkg.devDependencies });
+            }
+            case 'CocoaPods':
+                return [...content.matchAll(/^\s*pod\s+['"]([^'"]+)['"]/gm)].map(match => match[1]);
+            case 'Gradle':
+                return [...content.matchAll(/(?:implementation|api|compile|kapt|ksp)\s*\(?\s*['"]([^'"]+)['"]/g)].map(match => match[1]);
+            case 'pip':
+                return content.split('\n')
+                    .map(line => line.replace(/#.*/, '').trim())
+                    .filter(line => line && !line.startsWith('-'))
+                    .map(line => line.split(/[=<>!~;\[ ]/)[0]);
+            default:
+                return [];
+        }
+    } catch (error) {
+        return [];
+    }
+}
+
+// `codeFiles` are { name, extension, content }; `manifests` are
+// { name, content } for dependency manifests found in the upload
+function computeMetrics(codeFiles, manifests = []) {
+    const languages = {};
+    const files = [];
+    const complexFunctions = [];
+    const complexity = { filesParsed: 0, filesFailed: 0, functions: 0, total: 0, max: 0 };
+
+    for (const file of codeFiles) {
+        const language = LANGUAGES[file.extension] || file.extension;
+        const counts = countLines(file.content, language);
+
+        const entry = languages[language] || { files: 0, lines: 0, code: 0, blank: 0, comments: 0 };
+        entry.files++;
+        entry.lines += counts.lines;
+        entry.code += counts.code;
+        entry.blank += counts.blank;
+        entry.comments += counts.comments;
+        languages[language] = entry;
+
+        files.push({ name: file.name, language, lines: counts.lines, bytes: Buffer.byteLength(file.content, 'utf8') });
+
+        if (['js', 'jsx', 'ts', 'tsx'].includes(file.extension)) {
+            const functions = functionComplexity(file.content, file.extension);
+            if (!functions) {
+                complexity.filesFailed++;
+                continue;
+            }
+
+            complexity.filesParsed++;
+            for (const fn of functions) {
+                complexity.functions++;
+                complexity.total += fn.complexity;
+                complexity.max = Math.max(complexity.max, fn.complexity);
+                complexFunctions.push({ file: file.name, ...fn });
+            }
+        }
+    }
+
+    return {
+        languages,
+        totals: {
+            files: codeFiles.length,
+            lines: Object.values(languages).reduce((sum, entry) => sum + entry.lines, 0),
+            code: Object.values(languages).reduce((sum, entry) => sum + entry.code, 0)
+        },
+        complexity: {
+            ...complexity,
+            average: complexity.functions > 0 ? Number((complexity.total / complexity.functions).toFixed(2)) : 0,
+            mostComplex: complexFunctions.sort((a, b) => b.complexity - a.complexity).slice(0, TOP_COUNT)
+        },
+        manifests: manifests.map(manifest => {
+            const dependencies = manifestDependencies(path.basename(manifest.name), manifest.content);
+            return {
+                path: manifest.name,
+                type: MANIFESTS[path.basename(manifest.name)],
+                dependencyCount: dependencies.length,
+                dependencies
+            };
+        }),
+        largestFiles: files.sort((a, b) => b.lines - a.lines).slice(0, TOP_COUNT)
+    };
+}
+
+function isManifest(fileName) {
+    return Object.prototype.hasOwnProperty.call(MANIFESTS, path.basename(fileName));
+}
+
+module.exports = {
+    computeMetrics,
+    functionComplexity,
+    isManifest
+};
@@ -0,0 +1,69 @@
+const { computeMetrics, functionComplexity, isManifest } = require('./codeMetrics');
+
+describe('functionComplexity', () => {
+    test('counts one plus each decision point per function', () => {
+        const source = `
+function check(user) {
+    if (!user) return false;
+    for (const role of user.roles) {
+        if (role === 'admin' || role === 'owner') return true;
+    }
+    return user.active ? null : false;
+}
+const handler = async (req) => {
+    switch (req.method) {
+        case 'GET': return 1;
+        case 'POST': return 2;
+        default: return 0;
+    }
+};
+class Store {
+    get(id) { return id; }
+}`;
+
+        expect(functionComplexity(source, 'js')).toEqual([
+            { name: 'check', line: 2, complexity: 6 },
+            { name: 'handler', line: 9, complexity: 3 },
+            { name: 'get', line: 17, complexity: 1 }
+        ]);
+    });
+
+    test('parses TypeScript and JSX', () => {
+        expect(functionComplexity('export function id<T>(value: T): T { return value; }', 'ts')).toEqual([
+            { name: 'id', line: 1, complexity: 1 }
+        ]);
+        expect(functionComplexity('const App = ({ ok }) => ok ? <b /> : <i />;', 'jsx')).toEqual([
+            { name: 'App', line: 1, complexity: 2 }
+        ]);
+    });
+});
+
+describe('computeMetrics', () => {
+    test('totals lines per language and reads the manifests', () => {
+        const metrics = computeMetrics([
+            { name: 'src/app.js', extension: 'js', content: '// entry\nfunction main() {}\n\nmain();' },
+            { name: 'scripts/run.py', extension: 'py', content: '# run\nprint(1)' }
+        ], [
+            { name: 'package.json', content: JSON.stringify({ dependencies: { express: '^4.0.0' }, devDependencies: { jest: '^29.0.0' } }) },
+            { name: 'requirements.txt', content: 'requests==2.31.0\n# comment\nflask>=2 ; python_version > "3"\n-r base.txt' }
+        ]);
+
+        expect(metrics.languages).toEqual({
+            JavaScript: { files: 1, lines: 4, code: 2, blank: 1, comments: 1 },
+            Python: { files: 1, lines: 2, code: 1, blank: 0, comments: 1 }
+        });
+        expect(metrics.totals).toEqual({ files: 2, lines: 6, code: 3 });
+        expect(metrics.complexity).toMatchObject({ filesParsed: 1, functions: 1, average: 1 });
+        expect(metrics.manifests.map(manifest => [manifest.type, manifest.dependencies])).toEqual([
+            ['npm', ['express', 'jest']],
+            ['pip', ['requests', 'flask']]
+        ]);
+        expect(metrics.largestFiles[0].name).toBe('src/app.js');
+    });
+
+    test('recognises dependency manifests by file name', () => {
+        expect(isManifest('ios/Podfile')).toBe(true);
+        expect(isManifest('app/build.gradle.kts')).toBe(true);
+        expect(isManifest('src/package.js')).toBe(false);
+    });
+});
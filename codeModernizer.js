@@ -1,16 +1,9 @@
-const OpenAI = require('openai');
-const Anthropic = require('@anthropic-ai/sdk');
+const { getDefaultRegistry } = require('./llmProvider');
 const { logger } = require('../middleware/logger');
 
 class CodeModernizer {
-    constructor() {
-        this.openai = new OpenAI({
-            apiKey: process.env.OPENAI_API_KEY
-        });
-        
-        this.anthropic = new Anthropic({
-            apiKey: process.env.ANTHROPIC_API_KEY
-        });
+    constructor(providers = getDefaultRegistry()) {
+        this.providers = providers;
     }
 
     async parseAIResponse(responseText) {
@@ -69,19 +62,12 @@ class CodeModernizer {
                 additionalInstructions
             );
 
-            // Use Claude for complex code transformations
-            const response = await this.anthropic.messages.create({
-                model: "claude-3-opus-20240229",
-                max_tokens: 8000,
-                messages: [
-                    {
-                        role: "user",
-                        content: modernizationPrompt
-                    }
-                ]
+            const responseText = await this.providers.complete('modernization', {
+                prompt: modernizationPrompt,
+                maxTokens: 8000
             });
 
-            const modernizedResult = await this.parseAIResponse(response.content[0].text);
+            const modernizedResult = await this.parseAIResponse(responseText);
 
             logger.info({
                 message: 'Code modernization completed',
@@ -97,7 +83,7 @@ class CodeModernizer {
                 fromFramework,
                 toFramework
             });
-            throw new Error(`Modernization failed: ${error.message}`);
+            throw new Error(`Modernization failed: ${error.message}`, { cause: error });
         }
     }
 
@@ -156,23 +142,14 @@ Extension: ${file.extension}
 
 Return a JSON analysis with complexity metrics, modernization opportunities, and estimated effort.`;
 
-            const response = await this.openai.chat.completions.create({
-                model: "gpt-4-turbo-preview",
-                messages: [
-                    {
-                        role: "system",
-                        content: "You are a code analysis expert. Analyze codebases for complexity and modernization potential."
-                    },
-                    {
-                        role: "user",
-                        content: complexityPrompt
-                    }
-                ],
+            const responseText = await this.providers.complete('complexityAnalysis', {
+                system: "You are a code analysis expert. Analyze codebases for complexity and modernization potential.",
+                prompt: complexityPrompt,
                 temperature: 0.1,
-                max_tokens: 2000
+                maxTokens: 2000
             });
 
-            return await this.parseAIResponse(response.choices[0].message.content);
+            return await this.parseAIResponse(responseText);
 
         } catch (error) {
             logger.error({
@@ -199,24 +176,13 @@ Generate a detailed migration guide including:
 
 Return as structured markdown.`;
 
-            const response = await this.openai.chat.completions.create({
-                model: "gpt-4-turbo-preview",
-                messages: [
-                    {
-                        role: "system",
-                        content: "You are a technical documentation expert specializing in framework migrations."
-                    },
-                    {
-                        role: "user",
-                        content: guidePrompt
-                    }
-                ],
+            return await this.providers.complete('migrationGuide', {
+                system: "You are a technical documentation expert specializing in framework migrations.",
+                prompt: guidePrompt,
                 temperature: 0.2,
-                max_tokens: 3000
+                maxTokens: 3000
             });
 
-            return response.choices[0].message.content;
-
         } catch (error) {
             logger.error({
                 message: 'Migration guide generation failed',
@@ -0,0 +1,490 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { runCommand, findBinary, smokeTestServer } = require('./sandboxRunner');
+const { logger } = require('../middleware/logger');
+
+const ESLINT_CONFIGS = [
+    'eslint.config.js',
+    'eslint.config.mjs',
+    'eslint.config.cjs',
+    '.eslintrc',
+    '.eslintrc.js',
+    '.eslintrc.cjs',
+    '.eslintrc.json',
+    '.eslintrc.yml',
+    '.eslintrc.yaml'
+];
+
+const BACKEND_ENTRIES = ['server.js', 'index.js', 'app.js', 'src/server.js', 'src/index.js', 'src/app.js'];
+
+// Offline compile, lint and startup checks for generated platform
+// directories. Tools that are not installed are reported as skipped rather
+// than failing the job. Steps that execute generated code are off unless
+// `runGeneratedCode` is set (see sandboxRunner.js for why).
+class CodeVerifier {
+    constructor({
+        installDependencies = process.env.VERIFY_INSTALL_DEPS === 'true',
+        runGeneratedCode = process.env.VERIFY_RUN_GENERATED_CODE === 'true'
+    } = {}) {
+        this.installDependencies = installDependencies;
+        this.runGeneratedCode = runGeneratedCode;
+        this.verifiers = {
+            web: this.verifyWeb.bind(this),
+            backend: this.verifyBackend.bind(this),
+            ios: this.verifyIOS.bind(this),
+            android: this.verifyAndroid.bind(this)
+        };
+    }
+
+    async verify(outputDir, platforms) {
+        const report = {
+            passed: true,
+            errorCount: 0,
+            warningCount: 0,
+            platforms: {}
+        };
+
+        for (const platform of platforms) {
+            const platformDir = path.join(outputDir, platform);
+            if (!this.verifiers[platform] || !await fs.pathExists(platformDir)) {
+                continue;
+            }
+
+            const platformReport = await this.verifyPlatform(platform, platformDir);
+            report.platforms[platform] = platformReport;
+            report.errorCount += platformReport.errorCount;
+            report.warningCount += platformReport.warningCount;
+        }
+
+        report.passed = report.errorCount === 0;
+
+        logger.info({
+            message: 'Verification completed',
+            outputDir,
+            errors: report.errorCount,
+            warnings: report.warningCount
+        });
+
+        return report;
+    }
+
+    async verifyPlatform(platform, platformDir) {
+        const tools = [];
+        const diagnostics = [];
+
+        try {
+            await this.verifiers[platform](platformDir, { tools, diagnostics });
+        } catch (error) {
+            logger.error({
+                message: 'Verification step failed',
+                platform,
+                error: error.message
+            });
+            tools.push({ tool: 'verifier', status: 'skipped', reason: error.message });
+        }
+
+        // Diagnostics grouped by file, relative to the platform directory
+        const files = {};
+        for (const diagnostic of diagnostics) {
+            const file = diagnostic.file
+                ? path.relative(platformDir, path.resolve(platformDir, diagnostic.file)).split(path.sep).join('/')
+                : '(project)';
+            files[file] = files[file] || [];
+            files[file].push({
+                line: diagnostic.line,
+                column: diagnostic.column,
+                severity: diagnostic.severity,
+                tool: diagnostic.tool,
+                message: diagnostic.message
+            });
+        }
+
+        return {
+            tools,
+            files,
+            errorCount: diagnostics.filter(d => d.severity === 'error').length,
+            warningCount: diagnostics.filter(d => d.severity === 'warning').length
+        };
+    }
+
+    async verifyWeb(dir, { tools, diagnostics }) {
+        // tsc --noEmit
+        const tsc = await findBinary('tsc', dir);
+        if (!await fs.pathExists(path.join(dir, 'tsconfig.json'))) {
+            tools.push({ tool: 'tsc', status: 'skipped', reason: 'No tsconfig.json' });
+        } else if (await missingTsconfigBase(dir)) {
+            // Nuxt's tsconfig extends one generated by `nuxt prepare`
+            tools.push({ tool: 'tsc', status: 'skipped', reason: 'tsconfig.json extends a file that has not been generated' });
+        } else if (!tsc) {
+            tools.push({ tool: 'tsc', status: 'skipped', reason: 'TypeScript is not installed' });
+        } else {
+            const result = await runCommand(tsc, ['--noEmit', '--pretty', 'false', '-p', '.'], { cwd: dir });
+            const found = parseTscOutput(result.stdout);
+            diagnostics.push(...found);
+            tools.push(toolStatus('tsc', result, found));
+        }
+
+        // ESLint. JavaScript configs (and configs they extend) are code, so
+        // without runGeneratedCode only the skeleton's .eslintrc.json is used
+        const eslint = await findBinary('eslint', dir);
+        const configs = (await Promise.all(ESLINT_CONFIGS.map(async name => await fs.pathExists(path.join(dir, name)) && name)))
+            .filter(Boolean);
+        const configArgs = this.runGeneratedCode ? [] : ['--no-eslintrc', '--config', '.eslintrc.json'];
+        if (configs.length === 0) {
+            tools.push({ tool: 'eslint', status: 'skipped', reason: 'No ESLint config' });
+        } else if (!this.runGeneratedCode && !configs.includes('.eslintrc.json')) {
+            tools.push({ tool: 'eslint', status: 'skipped', reason: 'Only the skeleton\'s .eslintrc.json is used unless VERIFY_RUN_GENERATED_CODE=true' });
+        } else if (!eslint) {
+            tools.push({ tool: 'eslint', status: 'skipped', reason: 'ESLint is not installed' });
+        } else {
+            const result = await runCommand(eslint, ['.', ...configArgs, '--format', 'json', '--no-error-on-unmatched-pattern'], { cwd: dir });
+            const found = parseEslintOutput(result.stdout);
+            diagnostics.push(...found);
+            tools.push(found.length === 0 && result.code === 2
+                ? { tool: 'eslint', status: 'skipped', reason: firstLine(result.stderr) }
+                : toolStatus('eslint', result, found));
+        }
+    }
+
+    async verifyBackend(dir, { tools, diagnostics }) {
+        // node --check on every JavaScript file
+        const scripts = (await walk(dir)).filter(file => /\.(js|cjs|mjs)$/.test(file));
+        const syntaxErrors = [];
+        for (const file of scripts) {
+            const result = await runCommand(process.execPath, ['--check', file], { cwd: dir, timeout: 10000 });
+            if (result.code !== 0) {
+                syntaxErrors.push(parseNodeCheckOutput(file, result.stderr));
+            }
+        }
+        diagnostics.push(...syntaxErrors);
+        tools.push({ tool: 'node --check', status: syntaxErrors.length > 0 ? 'failed' : 'passed', files: scripts.length });
+
+        // Startup smoke test
+        const entry = await findBackendEntry(dir);
+        if (!entry) {
+            tools.push({ tool: 'smoke test', status: 'skipped', reason: 'No server entry point found' });
+            return;
+        }
+        if (syntaxErrors.length > 0) {
+            tools.push({ tool: 'smoke test', status: 'skipped', reason: 'Syntax errors' });
+            return;
+        }
+        if (!this.runGeneratedCode) {
+            tools.push({ tool: 'smoke test', status: 'skipped', reason: 'Running generated code is disabled (VERIFY_RUN_GENERATED_CODE)' });
+            return;
+        }
+        if (!await fs.pathExists(path.join(dir, 'node_modules'))) {
+            if (!this.installDependencies) {
+                tools.push({ tool: 'smoke test', status: 'skipped', reason: 'Dependencies are not installed' });
+                return;
+            }
+
+            const install = await installDependencies(dir);
+            if (install.error) {
+                tools.push({ tool: 'smoke test', status: 'skipped', reason: install.error });
+                return;
+            }
+        }
+
+        const smoke = await smokeTestServer(entry, { cwd: dir });
+        if (smoke.started) {
+            tools.push({ tool: 'smoke test', status: 'passed', entry });
+        } else {
+            const location = smoke.output.match(new RegExp(`${escapeRegExp(path.resolve(dir))}[\\\\/]([^:\\s)]+):(\\d+)`));
+            diagnostics.push({
+                tool: 'smoke test',
+                severity: 'error',
+                file: location ? location[1] : entry,
+                line: location ? parseInt(location[2]) : undefined,
+                message: smoke.timedOut
+                    ? 'Server did not accept connections before the timeout'
+                    : `Server exited with code ${smoke.exitCode}: ${errorLine(smoke.output)}`
+            });
+            tools.push({ tool: 'smoke test', status: 'failed', entry });
+        }
+    }
+
+    // Runs the generated backend test suite with Jest. Other platforms need
+    // simulators or a full toolchain, so their tests are only generated.
+    async runTests(outputDir, platforms) {
+        const report = {};
+
+        if (platforms.includes('backend')) {
+            report.backend = await this.runBackendTests(path.join(outputDir, 'backend'));
+
+            logger.info({
+                message: 'Backend tests finished',
+                outputDir,
+                status: report.backend.status,
+                passed: report.backend.passed,
+                failed: report.backend.failed
+            });
+        }
+
+        return report;
+    }
+
+    // A suite that could not run is reported as `not_run` or `failed` with
+    // `testsRun: 0` and the reason, never as a silent skip. Dependencies are
+    // installed for the run when the verifying stage has not done so.
+    async runBackendTests(dir) {
+        const testFiles = (await fs.pathExists(dir))
+            ? (await walk(dir)).filter(file => /\.test\.js$/.test(file))
+            : [];
+        if (testFiles.length === 0) {
+            return { status: 'not_run', testsRun: 0, reason: 'No tests were generated' };
+        }
+        if (!this.runGeneratedCode) {
+            return { status: 'not_run', testsRun: 0, reason: 'Running generated code is disabled (VERIFY_RUN_GENERATED_CODE)' };
+        }
+        if (!await fs.pathExists(path.join(dir, 'node_modules'))) {
+            const install = await installDependencies(dir);
+            if (install.error) {
+                return { status: 'failed', testsRun: 0, reason: install.error };
+            }
+        }
+
+        const jest = await findBinary('jest', dir);
+        if (!jest) {
+            return { status: 'failed', testsRun: 0, reason: 'Jest is not installed' };
+        }
+
+        // PORT=0 keeps a server that listens on require off fixed ports
+        const result = await runCommand(jest, ['--ci', '--json', '--forceExit', '--testTimeout=10000'], {
+            cwd: dir,
+            timeout: 180000,
+            env: { PORT: '0' }
+        });
+
+        if (result.timedOut) {
+            return { status: 'failed', testsRun: 0, reason: 'Test run timed out' };
+        }
+
+        let summary;
+        try {
+            summary = JSON.parse(result.stdout);
+        } catch (error) {
+            return { status: 'failed', testsRun: 0, reason: firstLine(result.stderr) || 'Jest did not produce a report' };
+        }
+
+        const failures = summary.testResults.flatMap(suite => {
+            const file = path.relative(path.resolve(dir), suite.name).split(path.sep).join('/');
+            const failedTests = suite.assertionResults
+                .filter(test => test.status === 'failed')
+                .map(test => ({ file, test: test.fullName, message: firstLine(test.failureMessages.join('\n')) }));
+
+            // A suite that fails to load has no assertion results
+            return failedTests.length === 0 && suite.status === 'failed'
+                ? [{ file, test: null, message: firstLine(suite.message.replace(/^\s*●.*$/gm, '')) }]
+                : failedTests;
+        });
+
+        return {
+            status: summary.success ? 'passed' : 'failed',
+            testsRun: summary.numTotalTests,
+            total: summary.numTotalTests,
+            passed: summary.numPassedTests,
+            failed: summary.numFailedTests,
+            failedSuites: summary.numFailedTestSuites,
+            failures
+        };
+    }
+
+    async verifyIOS(dir, { tools, diagnostics }) {
+        const swiftc = await findBinary('swiftc', dir);
+        if (!swiftc) {
+            tools.push({ tool: 'swiftc -parse', status: 'skipped', reason: 'swiftc is not installed' });
+            return;
+        }
+
+        const files = (await walk(dir)).filter(file => file.endsWith('.swift'));
+        if (files.length === 0) {
+            tools.push({ tool: 'swiftc -parse', status: 'skipped', reason: 'No Swift files' });
+            return;
+        }
+
+        const result = await runCommand(swiftc, ['-parse', ...files], { cwd: dir });
+        const found = parseCompilerOutput('swiftc -parse', result.stderr);
+        diagnostics.push(...found);
+        tools.push(toolStatus('swiftc -parse', result, found));
+    }
+
+    async verifyAndroid(dir, { tools, diagnostics }) {
+        const ktlint = await findBinary('ktlint', dir);
+        if (!ktlint) {
+            tools.push({ tool: 'ktlint', status: 'skipped', reason: 'ktlint is not installed' });
+            return;
+        }
+
+        const result = await runCommand(ktlint, ['--relative', '**/*.kt', '**/*.kts'], { cwd: dir });
+        const found = parseKtlintOutput(result.stdout);
+        diagnostics.push(...found);
+        tools.push(toolStatus('ktlint', result, found));
+    }
+}
+
+// Resolves to {} once node_modules exists, or { error }. Install scripts
+// are not run, since they would execute code from the generated manifest.
+async function installDependencies(dir) {
+    if (!await fs.pathExists(path.join(dir, 'package.json'))) {
+        return { error: 'Dependencies are not installed (no package.json)' };
+    }
+
+    const install = await runCommand('npm', ['install', '--ignore-scripts', '--no-audit', '--no-fund'], { cwd: dir, timeout: 300000 });
+    return install.code === 0 ? {} : { error: `npm install failed: ${firstLine(install.stderr)}` };
+}
+
+async function missingTsconfigBase(dir) {
+    try {
+        const { extends: base } = await fs.readJson(path.join(dir, 'tsconfig.json'));
+        return typeof base === 'string' && base.startsWith('.') && !await fs.pathExists(path.join(dir, base));
+    } catch (error) {
+        return false;
+    }
+}
+
+function toolStatus(tool, result, found) {
+    if (result.timedOut) {
+        return { tool, status: 'skipped', reason: 'Timed out' };
+    }
+    if (result.code !== 0 && found.length === 0) {
+        return { tool, status: 'skipped', reason: firstLine(result.stderr || result.stdout) || `Exited with code ${result.code}` };
+    }
+    return { tool, status: found.some(d => d.severity === 'error') ? 'failed' : 'passed' };
+}
+
+// app/page.tsx(3,10): error TS2304: Cannot find name 'x'.
+function parseTscOutput(output) {
+    const diagnostics = [];
+    for (const match of output.matchAll(/^(.+?)\((\d+),(\d+)\): (error|warning) (TS\d+): (.*)$/gm)) {
+        diagnostics.push({
+            tool: 'tsc',
+            file: match[1],
+            line: parseInt(match[2]),
+            column: parseInt(match[3]),
+            severity: match[4],
+            message: `${match[5]}: ${match[6]}`
+        });
+    }
+    return diagnostics;
+}
+
+function parseEslintOutput(output) {
+    let results;
+    try {
+        results = JSON.parse(output);
+    } catch (error) {
+        return [];
+    }
+
+    return results.flatMap(result => result.messages.map(message => ({
+        tool: 'eslint',
+        file: result.filePath,
+        line: message.line,
+        column: message.column,
+        severity: message.severity === 2 ? 'error' : 'warning',
+        message: message.ruleId ? `${message.message} (${message.ruleId})` : message.message
+    })));
+}
+
+// /abs/file.js:12\n<source>\n   ^\n\nSyntaxError: Unexpected token
+function parseNodeCheckOutput(file, output) {
+    const location = output.match(/^.*?:(\d+)$/m);
+    const error = output.match(/^\w*Error: .*$/m);
+    return {
+        tool: 'node --check',
+        file,
+        line: location ? parseInt(location[1]) : undefined,
+        severity: 'error',
+        message: error ? error[0] : firstLine(output)
+    };
+}
+
+// file:line:col: error: message (swiftc and most compilers)
+function parseCompilerOutput(tool, output) {
+    const diagnostics = [];
+    for (const match of output.matchAll(/^(.+?):(\d+):(\d+): (error|warning): (.*)$/gm)) {
+        diagnostics.push({
+            tool,
+            file: match[1],
+            line: parseInt(match[2]),
+            column: parseInt(match[3]),
+            severity: match[4],
+            message: match[5]
+        });
+    }
+    return diagnostics;
+}
+
+// file:line:col: message (rule). Parse failures are errors, style issues warnings.
+function parseKtlintOutput(output) {
+    const diagnostics = [];
+    for (const match of output.matchAll(/^(.+?\.kts?):(\d+):(\d+): (.*)$/gm)) {
+        diagnostics.push({
+            tool: 'ktlint',
+            file: match[1],
+            line: parseInt(match[2]),
+            column: parseInt(match[3]),
+            severity: /not a valid kotlin file|parse|expecting/i.test(match[4]) ? 'error' : 'warning',
+            message: match[4]
+        });
+    }
+    return diagnostics;
+}
+
+async function findBackendEntry(dir) {
+    const packagePath = path.join(dir, 'package.json');
+    if (await fs.pathExists(packagePath)) {
+        try {
+            const pkg = await fs.readJson(packagePath);
+            const start = pkg.scripts && pkg.scripts.start && pkg.scripts.start.match(/\bnode\s+(\S+\.(?:c|m)?js)\b/);
+            const candidates = [start && start[1], pkg.main].filter(Boolean);
+            for (const candidate of candidates) {
+                if (await fs.pathExists(path.join(dir, candidate))) {
+                    return candidate;
+                }
+            }
+        } catch (error) {
+            // Fall back to the conventional entry points
+        }
+    }
+
+    for (const candidate of BACKEND_ENTRIES) {
+        if (await fs.pathExists(path.join(dir, candidate))) {
+            return candidate;
+        }
+    }
+    return null;
+}
+
+// Paths below `dir` relative to it, skipping dependencies and build output
+async function walk(dir, base = dir) {
+    const files = [];
+    for (const item of await fs.readdir(dir)) {
+        if (['node_modules', '.git', 'build', 'dist', '.next', '.nuxt'].includes(item)) continue;
+        const itemPath = path.join(dir, item);
+        const stat = await fs.stat(itemPath);
+        if (stat.isDirectory()) {
+            files.push(...await walk(itemPath, base));
+        } else {
+            files.push(path.relative(base, itemPath).split(path.sep).join('/'));
+        }
+    }
+    return files;
+}
+
+function firstLine(text = '') {
+    return text.trim().split('\n')[0] || '';
+}
+
+// The thrown error if the output has a stack trace, otherwise its last lines
+function errorLine(text = '') {
+    const error = text.match(/^\w*Error: .*$/m);
+    return error ? error[0] : text.trim().split('\n').slice(-5).join('\n');
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = CodeVerifier;
@@ -0,0 +1,74 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const CodeVerifier = require('./codeVerifier');
+
+describe('CodeVerifier', () => {
+    let outputDir;
+
+    beforeEach(async () => {
+        outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'code-verifier-'));
+        await fs.outputJson(path.join(outputDir, 'backend/package.json'), { scripts: { start: 'node server.js' } });
+        await fs.outputFile(path.join(outputDir, 'backend/server.js'), "require('fs').writeFileSync('started', '');");
+    });
+
+    afterEach(() => fs.remove(outputDir));
+
+    test('checks syntax but does not start the server unless running generated code is enabled', async () => {
+        const report = await new CodeVerifier({ runGeneratedCode: false }).verify(outputDir, ['backend']);
+
+        expect(report.passed).toBe(true);
+        expect(report.platforms.backend.tools).toEqual([
+            { tool: 'node --check', status: 'passed', files: 1 },
+            { tool: 'smoke test', status: 'skipped', reason: 'Running generated code is disabled (VERIFY_RUN_GENERATED_CODE)' }
+        ]);
+        expect(await fs.pathExists(path.join(outputDir, 'backend/started'))).toBe(false);
+    });
+
+    test('reports syntax errors by file and line', async () => {
+        await fs.outputFile(path.join(outputDir, 'backend/routes/users.js'), 'module.exports = {\n');
+
+        const report = await new CodeVerifier({ runGeneratedCode: false }).verify(outputDir, ['backend']);
+
+        expect(report.passed).toBe(false);
+        expect(report.platforms.backend.files['routes/users.js']).toEqual([
+            expect.objectContaining({ line: 2, severity: 'error', tool: 'node --check' })
+        ]);
+    });
+});
+
+describe('CodeVerifier.runBackendTests', () => {
+    let dir;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'backend-tests-'));
+    });
+
+    afterEach(() => fs.remove(dir));
+
+    test('reports a suite that was not run with the reason instead of skipping it', async () => {
+        const verifier = new CodeVerifier({ runGeneratedCode: false });
+
+        expect(await verifier.runBackendTests(dir)).toEqual({ status: 'not_run', testsRun: 0, reason: 'No tests were generated' });
+
+        await fs.outputFile(path.join(dir, 'tests/health.test.js'), "test('ok', () => {});");
+        expect(await verifier.runBackendTests(dir)).toEqual({
+            status: 'not_run',
+            testsRun: 0,
+            reason: 'Running generated code is disabled (VERIFY_RUN_GENERATED_CODE)'
+        });
+    });
+
+    test('counts the tests Jest ran and lists the failures', async () => {
+        // The project's own Jest stands in for the generated project's
+        await fs.ensureSymlink(require.resolve('jest/bin/jest'), path.join(dir, 'node_modules/.bin/jest'));
+        await fs.outputJson(path.join(dir, 'package.json'), { scripts: { test: 'jest' } });
+        await fs.outputFile(path.join(dir, 'tests/health.test.js'),
+            "test('passes', () => {});\ntest('fails', () => { expect(1).toBe(2); });");
+
+        const result = await new CodeVerifier({ runGeneratedCode: true }).runBackendTests(dir);
+
+        expect(result).toMatchObject({ status: 'failed', testsRun: 2, passed: 1, failed: 1 });
+        expect(result.failures).toEqual([{ file: 'tests/health.test.js', test: 'fails', message: expect.any(String) }]);
+    }, 60000);
+});
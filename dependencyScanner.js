@@ -0,0 +1,394 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { logger } = require('../middleware/logger');
+
+// Matches the dependencies declared in package.json/package-lock.json,
+// build.gradle(.kts), Podfile.lock and requirements.txt against an offline
+// advisory database in OSV format (https://ossf.github.io/osv-schema/), e.g.
+// the per-ecosystem `all.zip` exports unpacked into OSV_DB_DIR. No network
+// access is needed, and nothing is guessed: a dependency is only reported when
+// an advisory's ranges or version list contain its version.
+
+const DEFAULT_DB_DIR = process.env.OSV_DB_DIR || './advisories';
+
+// Dependency file -> parser and OSV ecosystem
+const DEPENDENCY_FILES = {
+    'package.json': { ecosystem: 'npm', parse: parsePackageJson },
+    'package-lock.json': { ecosystem: 'npm', parse: parsePackageLock },
+    'build.gradle': { ecosystem: 'Maven', parse: parseGradle },
+    'build.gradle.kts': { ecosystem: 'Maven', parse: parseGradle },
+    'Podfile.lock': { ecosystem: 'CocoaPods', parse: parsePodfileLock },
+    'requirements.txt': { ecosystem: 'PyPI', parse: parseRequirements }
+};
+
+// A lockfile replaces the ranges declared in the manifest next to it
+const LOCKFILE_OF = {
+    'package.json': 'package-lock.json'
+};
+
+const SKIPPED_DIRECTORIES = ['node_modules', '.git', 'build', 'Pods', '.gradle'];
+
+// Pre-release qualifiers sort before the release, post-release ones after
+const QUALIFIER_RANK = {
+    dev: -6, snapshot: -5, alpha: -4, a: -4, beta: -3, b: -3, milestone: -2, m: -2,
+    rc: -1, cr: -1, c: -1, pre: -1, preview: -1,
+    final: 0, ga: 0, release: 0,
+    post: 1, sp: 1, p: 1
+};
+
+const SEVERITY_LEVELS = {
+    CRITICAL: 'critical',
+    HIGH: 'high',
+    MODERATE: 'medium',
+    MEDIUM: 'medium',
+    LOW: 'low'
+};
+
+function isDependencyFile(fileName) {
+    return Object.prototype.hasOwnProperty.call(DEPENDENCY_FILES, path.basename(fileName));
+}
+
+// Lowest version a declared range allows, e.g. "^1.2.0" -> "1.2.0". Returns
+// { version, pinned } or null when the range names no version (tags, URLs,
+// variables).
+function lowerBound(range) {
+    const trimmed = String(range || '').trim();
+    const exact = trimmed.match(/^=?v?(\d+(?:\.[\w-]+)*)$/);
+    if (exact) {
+        return { version: exact[1], pinned: true };
+    }
+    const bounded = trimmed.match(/^(?:\^|~>?|>=|~=)\s*v?(\d+(?:\.[\w-]+)*)/);
+    if (bounded) {
+        return { version: bounded[1], pinned: false };
+    }
+    return null;
+}
+
+function parsePackageJson(content) {
+    const pkg = JSON.parse(content);
+    return Object.entries({ ...pkg.devDependencies, ...pkg.dependencies })
+        .map(([name, range]) => ({ name, ...lowerBound(range) }))
+        .filter(dependency => dependency.version);
+}
+
+// lockfileVersion 2/3 list "packages" keyed by their node_modules path,
+// version 1 nests "dependencies"
+function parsePackageLock(content) {
+    const lock = JSON.parse(content);
+    const dependencies = [];
+
+    if (lock.packages) {
+        for (const [packagePath, entry] of Object.entries(lock.packages)) {
+            if (!packagePath || !entry.version || entry.link) continue;
+            const name = entry.name || packagePath.substring(packagePath.lastIndexOf('node_modules/') + 'node_modules/'.length);
+            dependencies.push({ name, version: entry.version, pinned: true });
+        }
+        return dependencies;
+    }
+
+    (function collect(nested = {}) {
+        for (const [name, entry] of Object.entries(nested)) {
+            if (entry.version) {
+                dependencies.push({ name, version: entry.version, pinned: true });
+            }
+            collect(entry.dependencies);
+        }
+    })(lock.dependencies);
+    return dependencies;
+}
+
+// "group:artifact:version" coordinates; versions from variables or BOMs are
+// not resolved
+function parseGradle(content) {
+    return [...content.matchAll(/["']([\w.-]+):([\w.-]+):([\w.+-]+)["']/g)]
+        .map(([, group, artifact, version]) => ({ name: `${group}:${artifact}`, ...lowerBound(version) }))
+        .filter(dependency => dependency.version);
+}
+
+// Top-level entries of the PODS section, e.g. "  - Alamofire (5.6.0)".
+// Subspecs are reported under their root pod.
+function parsePodfileLock(content) {
+    const section = content.split(/^PODS:\s*$/m)[1];
+    if (!section) {
+        return [];
+    }
+
+    const pods = new Map();
+    for (const line of section.split(/^\S/m)[0].split('\n')) {
+        const match = line.match(/^ {2}- "?([^\s"(]+) \(([^)]+)\)/);
+        if (match) {
+            pods.set(match[1].split('/')[0], match[2]);
+        }
+    }
+    return [...pods].map(([name, version]) => ({ name, version, pinned: true }));
+}
+
+function parseRequirements(content) {
+    return content.split('\n')
+        .map(line => line.replace(/#.*/, '').trim())
+        .filter(line => line && !line.startsWith('-'))
+        .map(line => {
+            const match = line.match(/^([\w.-]+)(?:\[[^\]]*\])?\s*(==|>=|~=)\s*([\w.!+-]+)/);
+            return match && { name: match[1], version: match[3], pinned: match[2] === '==' };
+        })
+        .filter(Boolean);
+}
+
+function tokenize(version) {
+    return String(version).toLowerCase()
+        .replace(/^v/, '')
+        .replace(/\+.*$/, '')
+        .match(/\d+|[a-z]+/g) || [];
+}
+
+// Orders versions across ecosystems well enough for advisory ranges:
+// numeric segments compare as numbers, and pre-release qualifiers such as
+// alpha or rc sort before the release they precede.
+function compareVersions(a, b) {
+    const left = tokenize(a);
+    const right = tokenize(b);
+
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+        const x = left[i];
+        const y = right[i];
+
+        if (x === undefined || y === undefined) {
+            const next = x === undefined ? y : x;
+            const rank = /^\d+$/.test(next) ? (Number(next) > 0 ? 1 : 0) : (QUALIFIER_RANK[next] ?? -1);
+            if (rank === 0) continue;
+            return (x === undefined ? -1 : 1) * Math.sign(rank);
+        }
+
+        const xNumber = /^\d+$/.test(x);
+        const yNumber = /^\d+$/.test(y);
+        if (xNumber && yNumber) {
+            if (Number(x) !== Number(y)) return Number(x) < Number(y) ? -1 : 1;
+        } else if (xNumber !== yNumber) {
+            // 1.0.1 is newer than 1.0rc1
+            return xNumber ? 1 : -1;
+        } else if (x !== y) {
+            const xRank = QUALIFIER_RANK[x] ?? -1;
+            const yRank = QUALIFIER_RANK[y] ?? -1;
+            if (xRank !== yRank) return xRank < yRank ? -1 : 1;
+            return x < y ? -1 : 1;
+        }
+    }
+    return 0;
+}
+
+// OSV range evaluation: events in version order switch the affected state on
+// at "introduced" and off at "fixed" (or after "last_affected")
+function inRange(version, range) {
+    if (range.type !== 'SEMVER' && range.type !== 'ECOSYSTEM') {
+        return false;
+    }
+
+    const eventVersion = event => event.introduced ?? event.fixed ?? event.last_affected ?? event.limit;
+    const events = [...(range.events || [])].sort((a, b) => {
+        if (eventVersion(a) === '0') return -1;
+        if (eventVersion(b) === '0') return 1;
+        return compareVersions(eventVersion(a), eventVersion(b));
+    });
+
+    let affected = false;
+    for (const event of events) {
+        if (event.introduced !== undefined) {
+            if (event.introduced === '0' || compareVersions(version, event.introduced) >= 0) affected = true;
+        } else if (event.fixed !== undefined) {
+            if (compareVersions(version, event.fixed) >= 0) affected = false;
+        } else if (event.last_affected !== undefined) {
+            if (compareVersions(version, event.last_affected) > 0) affected = false;
+        }
+    }
+    return affected;
+}
+
+function packageKey(ecosystem, name) {
+    // PyPI names are case-insensitive and treat -, _ and . alike
+    const normalized = ecosystem === 'PyPI' ? name.toLowerCase().replace(/[-_.]+/g, '-') : name;
+    return `${ecosystem}:${normalized}`;
+}
+
+function advisorySeverity(advisory, affected) {
+    const label = affected.database_specific?.severity
+        || affected.ecosystem_specific?.severity
+        || advisory.database_specific?.severity;
+    return SEVERITY_LEVELS[String(label || '').toUpperCase()] || 'unknown';
+}
+
+const databases = new Map();
+
+// Loads every *.json advisory below `dbDir` once and indexes it by
+// ecosystem and package. Resolves to { dir, advisories, packages } with
+// packages: Map(key -> [{ advisory, affected }]), or null when the directory
+// does not exist. Only a successful load is cached, so a database installed
+// later is picked up by the next scan.
+function loadAdvisoryDatabase(dbDir = DEFAULT_DB_DIR) {
+    const dir = path.resolve(dbDir);
+    if (!databases.has(dir)) {
+        const loading = readAdvisories(dir).then(database => {
+            if (!database) {
+                databases.delete(dir);
+            }
+            return database;
+        }, error => {
+            databases.delete(dir);
+            throw error;
+        });
+        databases.set(dir, loading);
+    }
+    return databases.get(dir);
+}
+
+async function readAdvisories(dir) {
+    if (!await fs.pathExists(dir)) {
+        logger.warn({ message: 'Advisory database not found, dependency scan skipped', dir });
+        return null;
+    }
+
+    const packages = new Map();
+    let advisories = 0;
+    let unreadable = 0;
+
+    async function readDirectory(current) {
+        for (const item of await fs.readdir(current, { withFileTypes: true })) {
+            const itemPath = path.join(current, item.name);
+            if (item.isDirectory()) {
+                await readDirectory(itemPath);
+                continue;
+            }
+            if (!item.isFile() || !item.name.endsWith('.json')) continue;
+
+            let advisory;
+            try {
+                advisory = await fs.readJson(itemPath);
+            } catch (error) {
+                unreadable++;
+                continue;
+            }
+            if (!advisory.id || !Array.isArray(advisory.affected) || advisory.withdrawn) continue;
+
+            advisories++;
+            for (const affected of advisory.affected) {
+                if (!affected.package?.ecosystem || !affected.package?.name) continue;
+                const key = packageKey(affected.package.ecosystem, affected.package.name);
+                if (!packages.has(key)) packages.set(key, []);
+                packages.get(key).push({ advisory, affected });
+            }
+        }
+    }
+
+    await readDirectory(dir);
+
+    logger.info({ message: 'Advisory database loaded', dir, advisories, packages: packages.size, unreadable });
+    return { dir, advisories, packages };
+}
+
+function matchDependency(database, ecosystem, dependency, manifest) {
+    const findings = [];
+    for (const { advisory, affected } of database.packages.get(packageKey(ecosystem, dependency.name)) || []) {
+        const listed = (affected.versions || []).includes(dependency.version);
+        if (!listed && !(affected.ranges || []).some(range => inRange(dependency.version, range))) continue;
+
+        const aliases = advisory.aliases || [];
+        findings.push({
+            id: advisory.id,
+            cves: [advisory.id, ...aliases].filter(id => id.startsWith('CVE-')),
+            aliases,
+            package: dependency.name,
+            version: dependency.version,
+            // false when the version is only the lower bound of a declared range
+            pinned: dependency.pinned,
+            ecosystem,
+            manifest,
+            severity: advisorySeverity(advisory, affected),
+            summary: advisory.summary || (advisory.details || '').substring(0, 200),
+            // Only fixes newer than the version in use, e.g. not the fix of
+            // an older release line
+            fixedVersions: [...new Set((affected.ranges || [])
+                .flatMap(range => range.events || [])
+                .filter(event => event.fixed && compareVersions(event.fixed, dependency.version) > 0)
+                .map(event => event.fixed))]
+        });
+    }
+    return findings;
+}
+
+// `files` are { name, content } dependency files (see isDependencyFile).
+// Resolves to { database, manifests: [{ path, ecosystem, dependencies }],
+// findings, summary: { severity: count } }; `database` is null when no
+// advisory database is installed.
+async function scanDependencies(files, { dbDir } = {}) {
+    const database = await loadAdvisoryDatabase(dbDir);
+    const names = new Set(files.map(file => file.name));
+    const manifests = [];
+    const findings = [];
+
+    for (const file of files) {
+        const baseName = path.basename(file.name);
+        const lockfile = LOCKFILE_OF[baseName];
+        if (lockfile && names.has(path.join(path.dirname(file.name), lockfile))) {
+            continue;
+        }
+
+        const { ecosystem, parse } = DEPENDENCY_FILES[baseName] || {};
+        if (!parse) continue;
+
+        let dependencies;
+        try {
+            dependencies = parse(file.content);
+        } catch (error) {
+            manifests.push({ path: file.name, ecosystem, dependencies: 0, error: `Could not parse: ${error.message}` });
+            continue;
+        }
+
+        manifests.push({ path: file.name, ecosystem, dependencies: dependencies.length });
+        if (database) {
+            for (const dependency of dependencies) {
+                findings.push(...matchDependency(database, ecosystem, dependency, file.name));
+            }
+        }
+    }
+
+    const summary = {};
+    for (const finding of findings) {
+        summary[finding.severity] = (summary[finding.severity] || 0) + 1;
+    }
+
+    return {
+        database: database && { dir: database.dir, advisories: database.advisories },
+        manifests,
+        findings,
+        summary
+    };
+}
+
+// Reads the dependency files below `dir` (skipping installed dependencies and
+// build output) and scans them; paths in the report are relative to `dir`
+async function scanDirectory(dir, options = {}) {
+    const files = [];
+
+    async function readDirectory(current) {
+        for (const item of await fs.readdir(current, { withFileTypes: true })) {
+            const itemPath = path.join(current, item.name);
+            if (item.isDirectory() && !SKIPPED_DIRECTORIES.includes(item.name)) {
+                await readDirectory(itemPath);
+            } else if (item.isFile() && isDependencyFile(item.name)) {
+                files.push({ name: path.relative(dir, itemPath), content: await fs.readFile(itemPath, 'utf8') });
+            }
+        }
+    }
+
+    if (await fs.pathExists(dir)) {
+        await readDirectory(dir);
+    }
+    return scanDependencies(files, options);
+}
+
+module.exports = {
+    scanDependencies,
+    scanDirectory,
+    loadAdvisoryDatabase,
+    isDependencyFile,
+    compareVersions
+};
@@ -0,0 +1,118 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { compareVersions, scanDependencies, scanDirectory } = require('./dependencyScanner');
+
+describe('compareVersions', () => {
+    test('compares numeric segments as numbers', () => {
+        expect(compareVersions('1.10.0', '1.9.9')).toBe(1);
+        expect(compareVersions('v2.0', '2.0.0')).toBe(0);
+        expect(compareVersions('1.0.0+build.5', '1.0.0')).toBe(0);
+    });
+
+    test('sorts pre-releases before their release and post-releases after it', () => {
+        const versions = ['1.0.0', '1.0.0-rc.1', '1.0.0.post1', '1.0.0-alpha', '1.0.1', '1.0.0-beta.2'];
+
+        expect(versions.sort(compareVersions)).toEqual(['1.0.0-alpha', '1.0.0-beta.2', '1.0.0-rc.1', '1.0.0', '1.0.0.post1', '1.0.1']);
+        expect(compareVersions('2.13.4.Final', '2.13.4')).toBe(0);
+    });
+});
+
+describe('advisory ranges', () => {
+    let dbDir;
+
+    beforeEach(async () => {
+        dbDir = await fs.mkdtemp(path.join(os.tmpdir(), 'osv-ranges-'));
+    });
+
+    afterEach(() => fs.remove(dbDir));
+
+    // The versions among `versions` that an advisory with `ranges` affects
+    async function affectedVersions(ranges, versions) {
+        await fs.outputJson(path.join(dbDir, 'npm/GHSA-left-pad.json'), {
+            id: 'GHSA-left-pad',
+            affected: [{ package: { ecosystem: 'npm', name: 'left-pad' }, ranges }]
+        });
+        const scan = await scanDependencies(versions.map(version => ({
+            name: `${version}/package.json`,
+            content: JSON.stringify({ dependencies: { 'left-pad': version } })
+        })), { dbDir });
+        return scan.findings.map(finding => finding.version);
+    }
+
+    test('is affected from "introduced" until "fixed"', async () => {
+        const ranges = [{ type: 'ECOSYSTEM', events: [{ introduced: '0' }, { fixed: '4.17.21' }] }];
+
+        expect(await affectedVersions(ranges, ['4.17.20', '4.17.21'])).toEqual(['4.17.20']);
+    });
+
+    test('handles several release lines and last_affected', async () => {
+        const ranges = [{ type: 'SEMVER', events: [{ introduced: '1.0.0' }, { fixed: '1.2.5' }, { introduced: '2.0.0' }, { last_affected: '2.1.0' }] }];
+
+        expect(await affectedVersions(ranges, ['0.9.0', '1.2.4', '1.5.0', '2.1.0', '2.1.1'])).toEqual(['1.2.4', '2.1.0']);
+    });
+
+    test('ignores git ranges', async () => {
+        expect(await affectedVersions([{ type: 'GIT', events: [{ introduced: '0' }] }], ['1.0.0'])).toEqual([]);
+    });
+});
+
+describe('scanDependencies', () => {
+    let dbDir;
+
+    beforeEach(async () => {
+        dbDir = await fs.mkdtemp(path.join(os.tmpdir(), 'osv-'));
+        await fs.outputJson(path.join(dbDir, 'npm/GHSA-lodash.json'), {
+            id: 'GHSA-lodash',
+            aliases: ['CVE-2021-23337'],
+            summary: 'Command injection in lodash',
+            affected: [{
+                package: { ecosystem: 'npm', name: 'lodash' },
+                ranges: [{ type: 'SEMVER', events: [{ introduced: '0' }, { fixed: '4.17.21' }] }],
+                database_specific: { severity: 'HIGH' }
+            }]
+        });
+        await fs.outputJson(path.join(dbDir, 'PyPI/PYSEC-requests.json'), {
+            id: 'PYSEC-requests',
+            affected: [{ package: { ecosystem: 'PyPI', name: 'Requests' }, versions: ['2.31.0'] }]
+        });
+    });
+
+    afterEach(() => fs.remove(dbDir));
+
+    test('reports exact versions as pinned and range lower bounds as not pinned', async () => {
+        const scan = await scanDependencies([
+            { name: 'web/package.json', content: JSON.stringify({ dependencies: { lodash: '^4.17.15', express: '4.18.2' } }) },
+            { name: 'api/requirements.txt', content: 'requests==2.31.0\n' },
+            { name: 'app/package.json', content: JSON.stringify({ dependencies: { lodash: '^4.17.0' } }) },
+            { name: 'app/package-lock.json', content: JSON.stringify({ packages: { '': {}, 'node_modules/lodash': { version: '4.17.20' } } }) }
+        ], { dbDir });
+
+        expect(scan.findings.map(({ package: name, version, pinned, manifest, severity }) => ({ name, version, pinned, manifest, severity })))
+            .toEqual([
+                { name: 'lodash', version: '4.17.15', pinned: false, manifest: 'web/package.json', severity: 'high' },
+                { name: 'requests', version: '2.31.0', pinned: true, manifest: 'api/requirements.txt', severity: 'unknown' },
+                { name: 'lodash', version: '4.17.20', pinned: true, manifest: 'app/package-lock.json', severity: 'high' }
+            ]);
+        expect(scan.findings[0]).toMatchObject({ cves: ['CVE-2021-23337'], fixedVersions: ['4.17.21'] });
+        expect(scan.manifests.map(manifest => manifest.path)).toEqual(['web/package.json', 'api/requirements.txt', 'app/package-lock.json']);
+        expect(scan.summary).toEqual({ high: 2, unknown: 1 });
+    });
+
+    test('reports nothing when no advisory database is installed', async () => {
+        const scan = await scanDirectory(dbDir, { dbDir: path.join(dbDir, 'missing') });
+
+        expect(scan).toEqual({ database: null, manifests: [], findings: [], summary: {} });
+    });
+
+    test('picks up a database installed after a scan found none', async () => {
+        const laterDir = path.join(dbDir, 'later');
+        const manifest = [{ name: 'package.json', content: JSON.stringify({ dependencies: { lodash: '4.17.20' } }) }];
+
+        expect((await scanDependencies(manifest, { dbDir: laterDir })).database).toBeNull();
+
+        await fs.copy(path.join(dbDir, 'npm'), path.join(laterDir, 'npm'));
+
+        expect((await scanDependencies(manifest, { dbDir: laterDir })).findings.map(finding => finding.id)).toEqual(['GHSA-lodash']);
+    });
+});
@@ -243,9 +243,10 @@ android {
     signingConfigs {
         release {
             storeFile file("${config.keystorePath || 'release-key.keystore'}")
-            storePassword "${config.keystorePassword || ''}"
+            // Passwords are read at build time and never written to the project
+            storePassword System.getenv("ANDROID_KEYSTORE_PASSWORD")
             keyAlias "${config.keyAlias || 'release'}"
-            keyPassword "${config.keyPassword || ''}"
+            keyPassword System.getenv("ANDROID_KEY_PASSWORD")
         }
     }
     
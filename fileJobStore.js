@@ -0,0 +1,130 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// One JSON file per job. Updates of a job are serialised through a per-job
+// lock and written to a temporary file that is renamed over the old one, so
+// concurrent updates cannot lose writes and readers never see a partial file.
+// The lock only covers this process; use the SQLite store when several
+// processes share the jobs. Queries read every file, which is fine for a few
+// thousand jobs.
+
+// Job ids are UUIDs; anything else could point outside the jobs directory
+const JOB_ID = /^[\w-]+$/;
+
+class FileJobStore {
+    constructor({ dir = process.env.JOBS_DIR || './jobs' } = {}) {
+        this.dir = dir;
+        this.locks = new Map();
+        this.ready = fs.ensureDir(this.dir);
+    }
+
+    jobPath(jobId) {
+        return JOB_ID.test(jobId) ? path.join(this.dir, `${jobId}.json`) : null;
+    }
+
+    // Runs `task` after every earlier task for the same job has finished
+    withLock(jobId, task) {
+        const previous = this.locks.get(jobId) || Promise.resolve();
+        const run = previous.then(task, task);
+        const settled = run.catch(() => {});
+        this.locks.set(jobId, settled);
+        settled.then(() => {
+            if (this.locks.get(jobId) === settled) {
+                this.locks.delete(jobId);
+            }
+        });
+        return run;
+    }
+
+    async write(jobPath, job) {
+        const tempPath = `${jobPath}.${process.pid}.${Date.now()}.tmp`;
+        await fs.writeJson(tempPath, job, { spaces: 2 });
+        await fs.rename(tempPath, jobPath);
+    }
+
+    async read(jobPath) {
+        try {
+            return await fs.readJson(jobPath);
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async create(job) {
+        const jobPath = this.jobPath(job.id);
+        if (!jobPath) {
+            throw new Error(`Invalid job id: ${job.id}`);
+        }
+
+        await this.ready;
+        return this.withLock(job.id, async () => {
+            if (await fs.pathExists(jobPath)) {
+                throw new Error(`Job ${job.id} already exists`);
+            }
+            await this.write(jobPath, job);
+            return job;
+        });
+    }
+
+    async get(jobId) {
+        const jobPath = this.jobPath(jobId);
+        return jobPath ? this.read(jobPath) : null;
+    }
+
+    // Applies `mutate(job) -> job` atomically. Resolves to the stored job, or
+    // null when the job does not exist.
+    async update(jobId, mutate) {
+        const jobPath = this.jobPath(jobId);
+        if (!jobPath) return null;
+
+        return this.withLock(jobId, async () => {
+            const job = await this.read(jobPath);
+            if (!job) return null;
+
+            const updated = mutate(job);
+            await this.write(jobPath, updated);
+            return updated;
+        });
+    }
+
+    async delete(jobId) {
+        const jobPath = this.jobPath(jobId);
+        if (!jobPath) return;
+        await this.withLock(jobId, () => fs.remove(jobPath));
+    }
+
+    async all() {
+        await this.ready;
+        const jobs = [];
+        for (const file of await fs.readdir(this.dir)) {
+            if (!file.endsWith('.json')) continue;
+            const job = await this.read(path.join(this.dir, file)).catch(() => null);
+            if (job) jobs.push(job);
+        }
+        return jobs;
+    }
+
+    // Newest first. `status` and `type` may be a value or a list. Resolves to
+    // { jobs, total }, where total counts every matching job.
+    async list({ status, type, createdBefore, limit, offset = 0 } = {}) {
+        const statuses = status && [].concat(status);
+        const types = type && [].concat(type);
+        const before = createdBefore && new Date(createdBefore).toISOString();
+
+        const matching = (await this.all())
+            .filter(job => !statuses || statuses.includes(job.status))
+            .filter(job => !types || types.includes(job.type))
+            .filter(job => !before || job.createdAt < before)
+            .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || '') || a.id.localeCompare(b.id));
+
+        return {
+            jobs: matching.slice(offset, limit === undefined ? undefined : offset + limit),
+            total: matching.length
+        };
+    }
+
+    async close() {}
+}
+
+module.exports = FileJobStore;
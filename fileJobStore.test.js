@@ -0,0 +1,50 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const FileJobStore = require('./fileJobStore');
+
+describe('FileJobStore', () => {
+    let dir;
+    let store;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'file-job-store-'));
+        store = new FileJobStore({ dir });
+    });
+
+    afterEach(() => fs.remove(dir));
+
+    test('runs the tasks for one job in order, even after a failure', async () => {
+        const order = [];
+        const slow = store.withLock('job-1', async () => {
+            await new Promise(resolve => setTimeout(resolve, 20));
+            order.push('slow');
+            throw new Error('failed');
+        });
+        const fast = store.withLock('job-1', async () => order.push('fast'));
+        const other = store.withLock('job-2', async () => order.push('other'));
+
+        await expect(slow).rejects.toThrow('failed');
+        await Promise.all([fast, other]);
+        expect(order).toEqual(['other', 'slow', 'fast']);
+        await new Promise(setImmediate);
+        expect(store.locks.size).toBe(0);
+    });
+
+    test('keeps the stored job when an update throws', async () => {
+        await store.create({ id: 'job-1', status: 'pending' });
+
+        await expect(store.update('job-1', () => {
+            throw new Error('invalid transition');
+        })).rejects.toThrow('invalid transition');
+
+        expect(await store.get('job-1')).toEqual({ id: 'job-1', status: 'pending' });
+        expect(await fs.readdir(dir)).toEqual(['job-1.json']);
+    });
+
+    test('never resolves a job id outside its directory', async () => {
+        await expect(store.create({ id: '../escape' })).rejects.toThrow('Invalid job id: ../escape');
+        expect(await store.get('../../etc/passwd')).toBeNull();
+        expect(await store.update('../escape', job => job)).toBeNull();
+    });
+});
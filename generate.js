@@ -4,11 +4,20 @@ const Joi = require('joi');
 const PlanningEngine = require('../services/planningEngine');
 const CodeGenerator = require('../services/codeGenerator');
 const JobManager = require('../services/jobManager');
+const { validatePlan } = require('../services/planningSchema');
+const { applyStackPreferences } = require('../services/stackTemplates');
+const CodeVerifier = require('../services/codeVerifier');
+const { scanDirectory } = require('../services/dependencyScanner');
+const { protectDirectory } = require('../services/secretScanner');
+const { jobEvents } = require('../services/jobEvents');
+const { jobQueue, RetryError } = require('../services/jobQueue');
+const { currentSignal, throwIfCancelled, isCancellation } = require('../services/cancellation');
 const { logger } = require('../middleware/logger');
 
 const router = express.Router();
 const planningEngine = new PlanningEngine();
 const codeGenerator = new CodeGenerator();
+const codeVerifier = new CodeVerifier();
 const jobManager = new JobManager();
 
 // Validation schema
@@ -18,11 +27,33 @@ const generateSchema = Joi.object({
         Joi.string().valid('ios', 'android', 'web', 'backend')
     ).min(1).default(['ios', 'android', 'web', 'backend']),
     preferences: Joi.object({
-        ui_framework: Joi.string().valid('swiftui', 'uikit', 'compose', 'react', 'vue', 'angular'),
+        ui_framework: Joi.string().valid('swiftui', 'uikit', 'compose', 'react', 'vue'),
         database: Joi.string().valid('mongodb', 'postgresql', 'mysql', 'firebase'),
         deployment: Joi.string().valid('aws', 'gcp', 'azure', 'vercel', 'netlify'),
         authentication: Joi.string().valid('firebase', 'auth0', 'custom', 'supabase')
-    }).default({})
+    }).default({}),
+    review: Joi.boolean().default(false),
+    fix_errors: Joi.boolean().default(false),
+    priority: Joi.string().valid('low', 'normal', 'high').default('normal')
+});
+
+// Fields a client may edit while a plan is awaiting approval
+const planPatchSchema = Joi.object({
+    features: Joi.array().items(Joi.string()).min(1),
+    api_endpoints: Joi.array().items(Joi.object({
+        method: Joi.string().valid('GET', 'POST', 'PUT', 'PATCH', 'DELETE').required(),
+        path: Joi.string().pattern(/^\//).required(),
+        description: Joi.string().allow('').required()
+    })).min(1),
+    database_schema: Joi.object().pattern(Joi.string(), Joi.object({
+        fields: Joi.array().items(Joi.string()).required(),
+        relationships: Joi.array().items(Joi.string())
+    })),
+    tech_stack: Joi.object().pattern(Joi.string(), Joi.string()).min(1)
+}).min(1);
+
+const refineSchema = Joi.object({
+    instruction: Joi.string().min(5).max(2000).required()
 });
 
 // POST /api/generate - Generate multi-platform app
@@ -37,7 +68,7 @@ router.post('/', async (req, res) => {
             });
         }
 
-        const { description, platforms, preferences } = value;
+        const { description, platforms, preferences, review, fix_errors: fixErrors, priority } = value;
         const jobId = uuidv4();
 
         logger.info({
@@ -45,7 +76,10 @@ router.post('/', async (req, res) => {
             jobId,
             description: description.substring(0, 100),
             platforms,
-            preferences
+            preferences,
+            review,
+            fixErrors,
+            priority
         });
 
         // Create job
@@ -54,16 +88,19 @@ router.post('/', async (req, res) => {
             description,
             platforms,
             preferences,
+            review,
+            fixErrors,
+            priority,
             status: 'planning',
             createdAt: new Date()
         });
 
-        // Start async generation process
-        generateAppAsync(jobId, description, platforms, preferences);
+        // Queue the generation; it starts once a generate worker is free
+        await jobQueue.enqueue(jobId, 'generate', { description, platforms, preferences, review }, { priority });
 
         res.json({
             jobId,
-            status: 'started',
+            status: 'queued',
             message: 'App generation started. Use /api/status/:jobId to check progress.',
             estimatedTime: '5-10 minutes',
             statusUrl: `/api/status/${jobId}`
@@ -81,52 +118,486 @@ router.post('/', async (req, res) => {
     }
 });
 
+// GET /api/generate/:jobId/plan - Get the plan of a generation job
+router.get('/:jobId/plan', async (req, res) => {
+    try {
+        const { jobId } = req.params;
+        const job = await jobManager.getJob(jobId);
+
+        if (!job || job.type !== 'generate') {
+            return res.status(404).json({
+                error: 'Job not found',
+                jobId
+            });
+        }
+
+        if (!job.planningData) {
+            return res.status(409).json({
+                error: 'Plan not available yet',
+                status: job.status
+            });
+        }
+
+        res.json({
+            jobId,
+            status: job.status,
+            planningData: job.planningData,
+            planningValidation: job.planningValidation
+        });
+
+    } catch (error) {
+        logger.error({
+            message: 'Get plan error',
+            jobId: req.params.jobId,
+            error: error.message
+        });
+        res.status(500).json({
+            error: 'Failed to get plan',
+            details: error.message
+        });
+    }
+});
+
+// PATCH /api/generate/:jobId/plan - Edit a plan awaiting approval
+router.patch('/:jobId/plan', async (req, res) => {
+    try {
+        const { jobId } = req.params;
+        const job = await jobManager.getJob(jobId);
+
+        if (!job || job.type !== 'generate') {
+            return res.status(404).json({
+                error: 'Job not found',
+                jobId
+            });
+        }
+
+        if (job.status !== 'awaiting_approval') {
+            return res.status(409).json({
+                error: 'Plan can only be edited while awaiting approval',
+                status: job.status
+            });
+        }
+
+        const { error, value } = planPatchSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: error.details.map(d => d.message)
+            });
+        }
+
+        const planningData = { ...job.planningData, ...value };
+        const validation = validatePlan(planningData);
+        if (!validation.valid) {
+            return res.status(400).json({
+                error: 'Edited plan is invalid',
+                details: validation.errors
+            });
+        }
+
+        // The plan may have been approved since it was read
+        const edited = await jobManager.updateJob(jobId, {
+            planningData,
+            planEditedAt: new Date()
+        }, { fromStatus: 'awaiting_approval' });
+        if (!edited) {
+            return res.status(409).json({
+                error: 'Plan can only be edited while awaiting approval',
+                status: (await jobManager.getJob(jobId)).status
+            });
+        }
+
+        logger.info({
+            message: 'Plan edited',
+            jobId,
+            fields: Object.keys(value)
+        });
+
+        res.json({
+            jobId,
+            status: job.status,
+            planningData
+        });
+
+    } catch (error) {
+        logger.error({
+            message: 'Edit plan error',
+            jobId: req.params.jobId,
+            error: error.message
+        });
+        res.status(500).json({
+            error: 'Failed to edit plan',
+            details: error.message
+        });
+    }
+});
+
+// POST /api/generate/:jobId/approve - Approve the plan and resume generation
+router.post('/:jobId/approve', async (req, res) => {
+    try {
+        const { jobId } = req.params;
+        const job = await jobManager.getJob(jobId);
+
+        if (!job || job.type !== 'generate') {
+            return res.status(404).json({
+                error: 'Job not found',
+                jobId
+            });
+        }
+
+        if (job.status !== 'awaiting_approval') {
+            return res.status(409).json({
+                error: 'Job is not awaiting approval',
+                status: job.status
+            });
+        }
+
+        // Only the request that moves the job out of awaiting_approval
+        // queues it, so concurrent approvals cannot start two generations
+        const approved = await jobManager.updateJob(jobId, {
+            status: 'queued',
+            approvedAt: new Date()
+        }, { fromStatus: 'awaiting_approval' });
+        if (!approved) {
+            return res.status(409).json({
+                error: 'Job is not awaiting approval',
+                status: (await jobManager.getJob(jobId)).status
+            });
+        }
+
+        logger.info({ message: 'Plan approved', jobId });
+
+        await jobQueue.enqueue(jobId, 'generate', { fromPlan: true }, { priority: job.priority });
+
+        res.json({
+            jobId,
+            status: 'queued',
+            message: 'Plan approved. Code generation resumed.',
+            statusUrl: `/api/status/${jobId}`
+        });
+
+    } catch (error) {
+        logger.error({
+            message: 'Approve plan error',
+            jobId: req.params.jobId,
+            error: error.message
+        });
+        res.status(500).json({
+            error: 'Failed to approve plan',
+            details: error.message
+        });
+    }
+});
+
+// POST /api/generate/:jobId/refine - Apply a follow-up instruction to a completed job
+router.post('/:jobId/refine', async (req, res) => {
+    try {
+        const { jobId } = req.params;
+        const parentJob = await jobManager.getJob(jobId);
+
+        if (!parentJob || !['generate', 'refine'].includes(parentJob.type)) {
+            return res.status(404).json({
+                error: 'Job not found',
+                jobId
+            });
+        }
+
+        if (parentJob.status !== 'completed') {
+            return res.status(409).json({
+                error: 'Only completed jobs can be refined',
+                status: parentJob.status
+            });
+        }
+
+        const { error, value } = refineSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: error.details.map(d => d.message)
+            });
+        }
+
+        const { instruction } = value;
+        const refineJobId = uuidv4();
+        const rootJobId = parentJob.rootJobId || jobId;
+
+        // Versions count every refinement of the root job, so concurrent
+        // refinements (of the same or different parents) never share one
+        const rootJob = await jobManager.updateJob(rootJobId, job => ({
+            latestVersion: (job.latestVersion || job.version || 1) + 1
+        }));
+        const version = rootJob.latestVersion;
+
+        logger.info({
+            message: 'New refinement request',
+            jobId: refineJobId,
+            parentJobId: jobId,
+            instruction: instruction.substring(0, 100)
+        });
+
+        await jobManager.createJob(refineJobId, {
+            type: 'refine',
+            parentJobId: jobId,
+            rootJobId,
+            version,
+            instruction,
+            platforms: parentJob.platforms,
+            preferences: parentJob.preferences,
+            fixErrors: parentJob.fixErrors,
+            priority: parentJob.priority,
+            status: 'planning',
+            createdAt: new Date()
+        });
+
+        await jobManager.updateJob(jobId, job => ({
+            refinements: [...(job.refinements || []), refineJobId]
+        }));
+
+        await jobQueue.enqueue(refineJobId, 'refine', { parentJobId: jobId, instruction }, { priority: parentJob.priority });
+
+        res.json({
+            jobId: refineJobId,
+            parentJobId: jobId,
+            version,
+            status: 'queued',
+            message: 'Refinement started. Use /api/status/:jobId to check progress.',
+            statusUrl: `/api/status/${refineJobId}`
+        });
+
+    } catch (error) {
+        logger.error({
+            message: 'Refine endpoint error',
+            jobId: req.params.jobId,
+            error: error.message
+        });
+        res.status(500).json({
+            error: 'Failed to start refinement',
+            details: error.message
+        });
+    }
+});
+
+// Queue workers. An interrupted or retried generation resumes from its
+// stored plan when planning had finished, and from the description
+// otherwise. Platforms that were already generated are kept, and a job whose
+// code was generated and tested only needs packaging.
+jobQueue.register('generate', (jobId, payload, job) => {
+    if (payload.fromPlan || job.planningData) {
+        return generateFromPlanAsync(jobId, job.planningData, {
+            reuse: successfulPlatforms(job.platformResults),
+            generationResult: job.generationResult
+        });
+    }
+    return generateAppAsync(jobId, payload.description, payload.platforms, payload.preferences, payload.review);
+}, { cleanup: removeJobOutput, retry: prepareGenerationRetry });
+
+jobQueue.register('refine', async (jobId, payload, job) => {
+    const parentJob = await jobManager.getJob(payload.parentJobId);
+    if (!parentJob) {
+        throw new Error(`Parent job ${payload.parentJobId} not found`);
+    }
+    return refineAppAsync(jobId, parentJob, payload.instruction, job.version);
+}, { cleanup: removeJobOutput });
+
+// Stages a generation can be retried from, in pipeline order
+const RETRY_STAGES = ['planning', 'generating', 'packaging'];
+
+function successfulPlatforms(platformResults = {}) {
+    return Object.fromEntries(Object.entries(platformResults).filter(([, result]) => result.success));
+}
+
+// Retry hook for POST /api/status/:jobId/retry. Without `fromStage` the job
+// starts over from the latest stage it has the input for: packaging when its
+// code was generated and tested, generating when it has a plan, planning
+// otherwise. Resetting the stored outputs makes the handler redo the stages
+// from `fromStage` on.
+function prepareGenerationRetry(job, fromStage) {
+    const fs = require('fs-extra');
+
+    const generated = job.generationResult && fs.pathExistsSync(job.generationResult.outputDir);
+    const stage = fromStage || (generated ? 'packaging' : job.planningData ? 'generating' : 'planning');
+
+    if (!RETRY_STAGES.includes(stage)) {
+        throw new RetryError(`Unknown stage ${stage} (expected ${RETRY_STAGES.join(', ')})`);
+    }
+    if (stage === 'packaging' && !generated) {
+        throw new RetryError('The job has no generated code to package; retry from generating');
+    }
+    if (stage === 'generating' && !job.planningData) {
+        throw new RetryError('The job has no plan; retry from planning');
+    }
+
+    const updates = {
+        error: undefined,
+        failedAt: undefined,
+        cancelledAt: undefined,
+        secretFindings: undefined,
+        result: undefined
+    };
+    if (stage !== 'packaging') {
+        updates.generationResult = undefined;
+    }
+    if (stage === 'planning') {
+        Object.assign(updates, {
+            planningData: undefined,
+            planningValidation: undefined,
+            platformResults: undefined,
+            platformProgress: undefined
+        });
+    }
+
+    return {
+        fromStage: stage,
+        updates,
+        payload: stage === 'planning'
+            ? { description: job.description, platforms: job.platforms, preferences: job.preferences, review: job.review }
+            : { fromPlan: true }
+    };
+}
+
+// Removes the partial output of a cancelled generation or refinement
+async function removeJobOutput(jobId) {
+    const fs = require('fs-extra');
+    const path = require('path');
+
+    await fs.remove(path.join('./generated', jobId));
+    await fs.remove(path.join('./generated', `${jobId}.zip`));
+}
+
 // Async generation function
-async function generateAppAsync(jobId, description, platforms, preferences) {
+async function generateAppAsync(jobId, description, platforms, preferences, review = false) {
+    const planningValidation = [];
+    let planningData;
+
     try {
         // Update job status
         await jobManager.updateJob(jobId, { status: 'planning' });
 
         // Step 1: Planning phase
         logger.info({ message: 'Starting planning phase', jobId });
-        const planningData = await planningEngine.analyzeDescription(description);
+        planningData = await planningEngine.analyzeDescription(description, {
+            preferences,
+            onValidationAttempt: attempt => planningValidation.push(attempt)
+        });
         
-        // Apply user preferences
-        if (preferences.database) {
-            planningData.tech_stack.backend = planningData.tech_stack.backend.replace(/MongoDB|PostgreSQL|MySQL/, preferences.database);
-        }
+        // Pin the plan to the user's stack choices
+        planningData = applyStackPreferences(planningData, preferences);
         
         planningData.platforms = platforms;
+        throwIfCancelled();
         
+        // Pause for review; POST /:jobId/approve resumes with the edited plan
+        if (review) {
+            await jobManager.updateJob(jobId, {
+                status: 'awaiting_approval',
+                planningData,
+                planningValidation,
+                progress: 25
+            });
+
+            logger.info({ message: 'Plan awaiting approval', jobId });
+            return;
+        }
+
         await jobManager.updateJob(jobId, { 
             status: 'generating',
             planningData,
+            planningValidation,
             progress: 25
         });
 
-        // Step 2: Code generation phase
-        logger.info({ message: 'Starting code generation phase', jobId });
-        const generationResult = await codeGenerator.generateMultiPlatformApp(planningData, jobId);
+    } catch (error) {
+        if (isCancellation(error)) {
+            logger.info({ message: 'Generation cancelled during planning', jobId });
+            return;
+        }
+
+        logger.error({
+            message: 'Generation failed',
+            jobId,
+            error: error.message
+        });
+        
+        await jobManager.updateJob(jobId, {
+            status: 'failed',
+            error: error.message,
+            ...(planningValidation.length > 0 && { planningValidation }),
+            failedAt: new Date()
+        });
+        return;
+    }
+
+    await generateFromPlanAsync(jobId, planningData);
+}
+
+// `reuse` holds platforms generated by an earlier attempt. With a
+// `generationResult` (generated, verified and tested code) only packaging
+// is left to do.
+async function generateFromPlanAsync(jobId, planningData, { reuse = {}, generationResult } = {}) {
+    const tracker = createProgressTracker(jobId, reuse);
+
+    try {
+        let testedResult = generationResult;
+
+        if (!testedResult) {
+            await jobManager.updateJob(jobId, { status: 'generating', progress: 25 });
+
+            // Step 2: Code generation phase
+            logger.info({ message: 'Starting code generation phase', jobId, reused: Object.keys(reuse) });
+            const generatedResult = await codeGenerator.generateMultiPlatformApp(planningData, jobId, {
+                onProgress: tracker.onProgress,
+                onPlatformResult: tracker.onPlatformResult,
+                reuse
+            });
+            await tracker.flush();
+            throwIfCancelled();
+
+            // Step 3: Compile, lint and smoke-test the output, then run its tests
+            const verifiedResult = await verifyGeneratedCode(jobId, planningData, generatedResult);
+            throwIfCancelled();
+            testedResult = await runGeneratedTests(jobId, planningData, verifiedResult);
+            throwIfCancelled();
+        }
         
+        // Kept until the job completes, so a failed packaging can be retried
         await jobManager.updateJob(jobId, {
             status: 'packaging',
-            progress: 80
+            progress: 90,
+            generationResult: testedResult
         });
 
-        // Step 3: Package results
+        // Step 4: Check the declared dependencies, then package results
+        const scannedResult = await scanGeneratedDependencies(jobId, testedResult);
         logger.info({ message: 'Packaging results', jobId });
-        const packagedResult = await packageGeneratedCode(jobId, generationResult);
+        const packagedResult = await packageGeneratedCode(jobId, scannedResult);
+
+        // The zip holds the platforms that succeeded; their results stay on a
+        // partially completed job so a retry only generates the failed ones
+        const failedPlatforms = failedPlatformsOf(packagedResult);
         
         await jobManager.updateJob(jobId, {
-            status: 'completed',
+            status: failedPlatforms.length > 0 ? 'partially_completed' : 'completed',
             progress: 100,
             result: packagedResult,
+            generationResult: undefined,
+            ...(failedPlatforms.length === 0 && { platformResults: undefined }),
             completedAt: new Date()
         });
 
-        logger.info({ message: 'Generation completed successfully', jobId });
+        if (failedPlatforms.length > 0) {
+            logger.warn({ message: 'Generation partially completed', jobId, failedPlatforms });
+        } else {
+            logger.info({ message: 'Generation completed successfully', jobId });
+        }
 
     } catch (error) {
+        await tracker.flush();
+
+        if (isCancellation(error)) {
+            logger.info({ message: 'Generation cancelled', jobId });
+            return;
+        }
+
         logger.error({
             message: 'Generation failed',
             jobId,
@@ -136,26 +607,314 @@ async function generateAppAsync(jobId, description, platforms, preferences) {
         await jobManager.updateJob(jobId, {
             status: 'failed',
             error: error.message,
+            ...(error.findings && { secretFindings: error.findings }),
+            failedAt: new Date()
+        });
+    }
+}
+
+function failedPlatformsOf(generationResult) {
+    return Object.entries(generationResult.results)
+        .filter(([, result]) => !result.success)
+        .map(([platform]) => platform);
+}
+
+// Runs the offline checks and, if the job asked for it, lets the agents fix
+// the reported errors for up to VERIFY_MAX_FIX_PASSES passes (default 1)
+async function verifyGeneratedCode(jobId, planningData, generationResult) {
+    const job = await jobManager.getJob(jobId);
+    const maxFixPasses = job.fixErrors
+        ? parseInt(process.env.VERIFY_MAX_FIX_PASSES || '1')
+        : 0;
+
+    await jobManager.updateJob(jobId, {
+        status: 'verifying',
+        progress: 80
+    });
+
+    logger.info({ message: 'Verifying generated code', jobId });
+    let verification = await codeVerifier.verify(generationResult.outputDir, planningData.platforms);
+    const fixPasses = [];
+
+    for (let pass = 1; pass <= maxFixPasses && !verification.passed; pass++) {
+        logger.info({ message: 'Fixing verification errors', jobId, pass, errors: verification.errorCount });
+
+        const changedFiles = await codeGenerator.fixVerificationErrors(planningData, generationResult.outputDir, verification);
+        const errorsBefore = verification.errorCount;
+        verification = await codeVerifier.verify(generationResult.outputDir, planningData.platforms);
+
+        fixPasses.push({
+            pass,
+            changedFiles,
+            errorsBefore,
+            errorsAfter: verification.errorCount
+        });
+    }
+
+    return {
+        ...generationResult,
+        verification: {
+            ...verification,
+            fixPasses
+        }
+    };
+}
+
+// Runs the generated backend tests and records the counts on the job
+async function runGeneratedTests(jobId, planningData, generationResult) {
+    await jobManager.updateJob(jobId, {
+        status: 'testing',
+        progress: 85
+    });
+
+    logger.info({ message: 'Running generated tests', jobId });
+    const runs = await codeVerifier.runTests(generationResult.outputDir, planningData.platforms);
+
+    const generated = Object.fromEntries(
+        Object.entries(generationResult.results)
+            .filter(([, result]) => result.tests)
+            .map(([platform, result]) => [platform, result.tests])
+    );
+    const summary = {
+        testsRun: Object.values(runs).reduce((sum, run) => sum + run.testsRun, 0),
+        total: Object.values(runs).reduce((sum, run) => sum + (run.total || 0), 0),
+        passed: Object.values(runs).reduce((sum, run) => sum + (run.passed || 0), 0),
+        failed: Object.values(runs).reduce((sum, run) => sum + (run.failed || 0), 0)
+    };
+
+    // Suites that never ran are listed with the reason instead of reading as 0 failures
+    const notRun = Object.entries(runs).filter(([, run]) => run.testsRun === 0 && run.reason);
+    if (notRun.length > 0) {
+        summary.notRun = Object.fromEntries(notRun.map(([platform, run]) => [platform, run.reason]));
+        logger.warn({
+            message: 'Generated tests were not run',
+            jobId,
+            notRun: summary.notRun
+        });
+    }
+
+    await jobManager.updateJob(jobId, { testSummary: summary });
+
+    return {
+        ...generationResult,
+        tests: {
+            generated,
+            runs,
+            summary
+        }
+    };
+}
+
+// Matches the generated projects' dependencies against the advisory database
+async function scanGeneratedDependencies(jobId, generationResult) {
+    const vulnerabilities = await scanDirectory(generationResult.outputDir);
+
+    if (vulnerabilities.findings.length > 0) {
+        logger.warn({
+            message: 'Generated project depends on vulnerable packages',
+            jobId,
+            findings: vulnerabilities.summary
+        });
+    }
+
+    return { ...generationResult, vulnerabilities };
+}
+
+// Records per-platform file progress and finished platform results on the
+// job and forwards every progress event to live subscribers. Writes are
+// chained so concurrent agents cannot reorder them. `reuse` holds the results
+// kept from an earlier attempt.
+function createProgressTracker(jobId, reuse = {}) {
+    const platformProgress = {};
+    const platformResults = { ...reuse };
+    let pendingWrite = Promise.resolve();
+
+    const write = (updates) => {
+        pendingWrite = pendingWrite
+            .then(() => jobManager.updateJob(jobId, updates))
+            .catch(error => logger.warn({
+                message: 'Failed to record generation progress',
+                jobId,
+                error: error.message
+            }));
+        return pendingWrite;
+    };
+
+    const onProgress = (event) => {
+        const current = platformProgress[event.platform] || {
+            status: 'generating',
+            filesCompleted: 0,
+            filesTotal: 0,
+            currentFile: null
+        };
+
+        switch (event.type) {
+            case 'manifest':
+                current.filesTotal = event.filesTotal;
+                break;
+            case 'file_started':
+                current.currentFile = event.file;
+                break;
+            case 'file_completed':
+                current.filesCompleted = event.filesCompleted;
+                if (current.currentFile === event.file) {
+                    current.currentFile = null;
+                }
+                break;
+            case 'platform_completed':
+                current.status = 'completed';
+                current.currentFile = null;
+                break;
+            case 'platform_failed':
+                current.status = 'failed';
+                current.error = event.error;
+                current.currentFile = null;
+                break;
+        }
+        platformProgress[event.platform] = current;
+
+        jobEvents.publish(jobId, event);
+
+        // Generation spans 25% to 80% of the overall job progress
+        const platforms = Object.values(platformProgress);
+        const filesTotal = platforms.reduce((sum, p) => sum + p.filesTotal, 0);
+        const filesCompleted = platforms.reduce((sum, p) => sum + p.filesCompleted, 0);
+        const progress = filesTotal > 0 ? 25 + Math.floor((55 * filesCompleted) / filesTotal) : 25;
+        const snapshot = JSON.parse(JSON.stringify(platformProgress));
+
+        write({ platformProgress: snapshot, progress });
+    };
+
+    // A platform's result is stored as soon as it is done, so a retry can
+    // keep it when another platform fails
+    const onPlatformResult = (platform, result) => {
+        platformResults[platform] = result;
+        return write({ platformResults: { ...platformResults } });
+    };
+
+    return {
+        onProgress,
+        onPlatformResult,
+        flush: () => pendingWrite
+    };
+}
+
+async function refineAppAsync(jobId, parentJob, instruction, version) {
+    try {
+        await jobManager.updateJob(jobId, { status: 'planning' });
+
+        // Step 1: Scope the change against the stored plan and files
+        logger.info({ message: 'Starting refinement planning', jobId });
+        const sourceDir = parentJob.result.outputDir;
+        const existingFiles = await codeGenerator.listGeneratedFiles(sourceDir, parentJob.planningData.platforms);
+        const refinement = await planningEngine.planRefinement(parentJob.planningData, instruction, existingFiles);
+
+        const planningData = planningEngine.applyPlanningUpdates(parentJob.planningData, refinement.planning_updates);
+
+        await jobManager.updateJob(jobId, {
+            status: 'generating',
+            planningData,
+            refinement,
+            progress: 25
+        });
+
+        // Step 2: Regenerate only the affected platforms and files
+        logger.info({ message: 'Starting refinement generation', jobId, platforms: refinement.platforms });
+        const generationResult = await codeGenerator.refineApp(planningData, {
+            jobId,
+            sourceDir,
+            instruction,
+            refinement
+        });
+        throwIfCancelled();
+
+        // Step 3: Verify the changed output against the existing tests
+        const verifiedResult = await verifyGeneratedCode(jobId, planningData, generationResult);
+        throwIfCancelled();
+        const testedResult = await runGeneratedTests(jobId, planningData, verifiedResult);
+        throwIfCancelled();
+
+        await jobManager.updateJob(jobId, {
+            status: 'packaging',
+            progress: 90
+        });
+
+        // Step 4: Package the new version next to the previous one
+        const scannedResult = await scanGeneratedDependencies(jobId, testedResult);
+        logger.info({ message: 'Packaging refinement', jobId });
+        const packagedResult = await packageGeneratedCode(jobId, scannedResult);
+
+        // Platforms whose refinement failed keep the parent's version
+        const failedPlatforms = failedPlatformsOf(packagedResult);
+
+        await jobManager.updateJob(jobId, {
+            status: failedPlatforms.length > 0 ? 'partially_completed' : 'completed',
+            progress: 100,
+            result: {
+                ...packagedResult,
+                parentJobId: parentJob.id,
+                version,
+                summary: refinement.summary
+            },
+            completedAt: new Date()
+        });
+
+        if (failedPlatforms.length > 0) {
+            logger.warn({ message: 'Refinement partially completed', jobId, failedPlatforms });
+        } else {
+            logger.info({ message: 'Refinement completed successfully', jobId });
+        }
+
+    } catch (error) {
+        if (isCancellation(error)) {
+            logger.info({ message: 'Refinement cancelled', jobId });
+            return;
+        }
+
+        logger.error({
+            message: 'Refinement failed',
+            jobId,
+            error: error.message
+        });
+
+        await jobManager.updateJob(jobId, {
+            status: 'failed',
+            error: error.message,
+            ...(error.findings && { secretFindings: error.findings }),
             failedAt: new Date()
         });
     }
 }
 
-async function packageGeneratedCode(jobId, generationResult) {
+async function packageGeneratedCode(jobId, generationResult, signal = currentSignal()) {
     const archiver = require('archiver');
     const fs = require('fs-extra');
     const path = require('path');
 
     const outputDir = generationResult.outputDir;
     const zipPath = path.join('./generated', `${jobId}.zip`);
+
+    // Inline keys must not end up in the download (see SECRET_SCAN_MODE)
+    const secrets = await protectDirectory(outputDir);
+    throwIfCancelled(signal);
     
     const output = fs.createWriteStream(zipPath);
     const archive = archiver('zip', { zlib: { level: 9 } });
     
     return new Promise((resolve, reject) => {
+        // Stop zipping when the job is cancelled; the queue removes the partial zip
+        const onAbort = () => {
+            archive.abort();
+            output.destroy();
+            reject(signal.reason);
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+
         output.on('close', () => {
+            signal?.removeEventListener('abort', onAbort);
             resolve({
                 ...generationResult,
+                secrets,
                 zipPath,
                 zipSize: archive.pointer(),
                 downloadUrl: `/api/download/${jobId}`
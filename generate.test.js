@@ -0,0 +1,89 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const express = require('express');
+const request = require('supertest');
+
+// The routes use the default job store and provider registry; every model call
+// is answered from the committed recordings in fixtures/llm
+const jobsDir = path.join(os.tmpdir(), `generate-routes-${process.pid}`);
+process.env.JOBS_DIR = jobsDir;
+process.env.LLM_FIXTURE_MODE = 'replay';
+process.env.LLM_FIXTURE_DIR = path.join(__dirname, '..', '..', 'fixtures', 'llm');
+
+const generateRoutes = require('./generate');
+const statusRoutes = require('./status');
+
+const app = express();
+app.use(express.json());
+app.use('/api/generate', generateRoutes);
+app.use('/api/status', statusRoutes);
+
+async function waitForStatus(jobId, status, timeout = 20000) {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+        const { body } = await request(app).get(`/api/status/${jobId}`);
+        if (body.status === status) {
+            return body;
+        }
+        if (['failed', 'cancelled'].includes(body.status)) {
+            throw new Error(`Job ${jobId} ${body.status}: ${body.error}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    throw new Error(`Job ${jobId} did not reach ${status} in time`);
+}
+
+describe('plan review to download', () => {
+    const cwd = process.cwd();
+    let workDir;
+
+    // Generated apps and archives are written under ./generated
+    beforeAll(async () => {
+        workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'generate-routes-work-'));
+        process.chdir(workDir);
+    });
+
+    afterAll(async () => {
+        process.chdir(cwd);
+        await fs.remove(workDir);
+        await fs.remove(jobsDir);
+        delete process.env.JOBS_DIR;
+        delete process.env.LLM_FIXTURE_MODE;
+        delete process.env.LLM_FIXTURE_DIR;
+    });
+
+    test('pauses for the plan, generates after approval and serves the archive', async () => {
+        const created = await request(app).post('/api/generate').send({
+            description: 'A REST API for browsing and adding catalog products',
+            platforms: ['backend'],
+            review: true
+        });
+        expect(created.status).toBe(200);
+        const { jobId } = created.body;
+
+        await waitForStatus(jobId, 'awaiting_approval');
+        const plan = await request(app).get(`/api/generate/${jobId}/plan`);
+        expect(plan.status).toBe(200);
+        expect(plan.body.planningData).toMatchObject({ app_name: 'product-catalog', platforms: ['backend'] });
+
+        const approved = await request(app).post(`/api/generate/${jobId}/approve`).send({});
+        expect(approved.status).toBe(200);
+
+        const job = await waitForStatus(jobId, 'completed');
+        expect(job.result.results.backend.files).toEqual(expect.arrayContaining(['server.js', 'routes/products.js']));
+        expect(job.result.apiConsistency.consistent).toBe(true);
+        expect(job.result.verification.passed).toBe(true);
+        expect(job.result.tests.generated.backend).toEqual(['__tests__/products.test.js']);
+
+        const download = await request(app).get(`/api/status/download/${jobId}`).buffer(true).parse((res, done) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => done(null, Buffer.concat(chunks)));
+        });
+        expect(download.status).toBe(200);
+        expect(download.headers['content-type']).toBe('application/zip');
+        // Local file header signature
+        expect(download.body.subarray(0, 4)).toEqual(Buffer.from([0x50, 0x4b, 0x03, 0x04]));
+    });
+});
@@ -12,6 +12,7 @@ dotenv.config();
 const generateRoutes = require('./routes/generate');
 const analyzeRoutes = require('./routes/analyze');
 const statusRoutes = require('./routes/status');
+const { jobQueue } = require('./services/jobQueue');
 
 // Import middleware
 const logger = require('./middleware/logger');
@@ -70,6 +71,15 @@ app.get('/', (req, res) => {
 // Error handling
 app.use(errorHandler);
 
+// Resume or fail the jobs a previous process left queued or running; the
+// routes above have registered the queue workers
+jobQueue.recover().catch(error => {
+    logger.logger.error({
+        message: 'Job queue recovery failed',
+        error: error.message
+    });
+});
+
 // Start server
 app.listen(PORT, () => {
     console.log(`🚀 Codemia AI server running on port ${PORT}`);
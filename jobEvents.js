@@ -0,0 +1,26 @@
+const { EventEmitter } = require('events');
+
+// In-process bus for live job updates (status changes, per-file generation
+// progress). Consumed by the server-sent events endpoint in routes/status.js.
+class JobEvents extends EventEmitter {
+    constructor() {
+        super();
+        this.setMaxListeners(0);
+    }
+
+    publish(jobId, event) {
+        this.emit(jobId, {
+            ...event,
+            jobId,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    subscribe(jobId, listener) {
+        this.on(jobId, listener);
+        return () => this.off(jobId, listener);
+    }
+}
+
+module.exports = JobEvents;
+module.exports.jobEvents = new JobEvents();
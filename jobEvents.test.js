@@ -0,0 +1,19 @@
+const JobEvents = require('./jobEvents');
+
+describe('JobEvents', () => {
+    test('delivers a job\'s events to its subscribers until they unsubscribe', () => {
+        const events = new JobEvents();
+        const received = [];
+        const unsubscribe = events.subscribe('job-1', event => received.push(event));
+
+        events.publish('job-1', { type: 'status', status: 'generating' });
+        events.publish('job-2', { type: 'status', status: 'failed' });
+        unsubscribe();
+        events.publish('job-1', { type: 'status', status: 'completed' });
+
+        expect(received).toEqual([
+            { type: 'status', status: 'generating', jobId: 'job-1', timestamp: expect.any(String) }
+        ]);
+        expect(events.listenerCount('job-1')).toBe(0);
+    });
+});
@@ -1,20 +1,37 @@
 const fs = require('fs-extra');
 const path = require('path');
+const { jobEvents } = require('./jobEvents');
+const { getDefaultJobStore } = require('./jobStore');
 const { logger } = require('../middleware/logger');
 
-class JobManager {
-    constructor() {
-        this.jobsDir = './jobs';
-        this.ensureJobsDirectory();
+// Statuses that end an attempt of a job
+const FINAL_STATUSES = ['completed', 'partially_completed', 'failed', 'cancelled'];
+
+// Retried jobs keep one `history` entry per attempt (see JobQueue.retry);
+// the open entry gets its outcome and timing once the job settles
+function closeAttempt(history, { status, error }) {
+    const current = history[history.length - 1];
+    if (!current || current.endedAt) {
+        return history;
     }
 
-    async ensureJobsDirectory() {
-        await fs.ensureDir(this.jobsDir);
+    const endedAt = new Date().toISOString();
+    return [...history.slice(0, -1), {
+        ...current,
+        status,
+        error: error ?? null,
+        endedAt,
+        durationMs: Date.parse(endedAt) - Date.parse(current.startedAt)
+    }];
+}
+
+class JobManager {
+    constructor(store = getDefaultJobStore()) {
+        this.store = store;
     }
 
     async createJob(jobId, jobData) {
         try {
-            const jobPath = path.join(this.jobsDir, `${jobId}.json`);
             const job = {
                 id: jobId,
                 ...jobData,
@@ -22,7 +39,7 @@ class JobManager {
                 updatedAt: new Date().toISOString()
             };
 
-            await fs.writeJson(jobPath, job, { spaces: 2 });
+            await this.store.create(job);
             
             logger.info({
                 message: 'Job created',
@@ -43,13 +60,7 @@ class JobManager {
 
     async getJob(jobId) {
         try {
-            const jobPath = path.join(this.jobsDir, `${jobId}.json`);
-            
-            if (!await fs.pathExists(jobPath)) {
-                return null;
-            }
-
-            return await fs.readJson(jobPath);
+            return await this.store.get(jobId);
         } catch (error) {
             logger.error({
                 message: 'Failed to get job',
@@ -60,21 +71,55 @@ class JobManager {
         }
     }
 
-    async updateJob(jobId, updates) {
+    // `updates` may be a function of the current job, for changes that
+    // depend on it (counters, appending to lists). With `fromStatus` the
+    // update is a compare-and-set: it only applies while the job is still in
+    // that status, and resolves to null otherwise.
+    async updateJob(jobId, updates, { fromStatus } = {}) {
         try {
-            const job = await this.getJob(jobId);
-            if (!job) {
+            // Read and write happen atomically in the store, so concurrent
+            // updates of the same job cannot overwrite each other
+            let ignored = false;
+            let statusChanged = false;
+            let changes = updates;
+            const updatedJob = await this.store.update(jobId, job => {
+                if (fromStatus && job.status !== fromStatus) {
+                    statusChanged = true;
+                    return job;
+                }
+                changes = typeof updates === 'function' ? updates(job) : updates;
+                // A cancelled job stays cancelled while its pipeline winds
+                // down; updates that would give it another status are dropped.
+                // Only a retry may queue it again.
+                if (job.status === 'cancelled' && changes.status && !['cancelled', 'queued'].includes(changes.status)) {
+                    ignored = true;
+                    return job;
+                }
+                return {
+                    ...job,
+                    ...changes,
+                    ...(job.history && FINAL_STATUSES.includes(changes.status) && {
+                        history: closeAttempt(changes.history || job.history, changes)
+                    }),
+                    updatedAt: new Date().toISOString()
+                };
+            });
+            if (!updatedJob) {
                 throw new Error(`Job ${jobId} not found`);
             }
 
-            const updatedJob = {
-                ...job,
-                ...updates,
-                updatedAt: new Date().toISOString()
-            };
+            if (statusChanged) {
+                return null;
+            }
 
-            const jobPath = path.join(this.jobsDir, `${jobId}.json`);
-            await fs.writeJson(jobPath, updatedJob, { spaces: 2 });
+            if (ignored) {
+                logger.info({
+                    message: 'Ignored status change of cancelled job',
+                    jobId,
+                    status: changes.status
+                });
+                return updatedJob;
+            }
 
             logger.info({
                 message: 'Job updated',
@@ -83,6 +128,12 @@ class JobManager {
                 progress: updatedJob.progress
             });
 
+            jobEvents.publish(jobId, {
+                type: 'status',
+                status: updatedJob.status,
+                progress: updatedJob.progress
+            });
+
             return updatedJob;
         } catch (error) {
             logger.error({
@@ -96,8 +147,7 @@ class JobManager {
 
     async deleteJob(jobId) {
         try {
-            const jobPath = path.join(this.jobsDir, `${jobId}.json`);
-            await fs.remove(jobPath);
+            await this.store.delete(jobId);
             
             logger.info({
                 message: 'Job deleted',
@@ -113,24 +163,14 @@ class JobManager {
         }
     }
 
-    async listJobs(limit = 50, offset = 0) {
+    // Newest first; `filters` may narrow by `status` and `type`
+    async listJobs(limit = 50, offset = 0, filters = {}) {
         try {
-            const files = await fs.readdir(this.jobsDir);
-            const jobFiles = files.filter(f => f.endsWith('.json'));
-            
-            const jobs = [];
-            for (const file of jobFiles.slice(offset, offset + limit)) {
-                const jobPath = path.join(this.jobsDir, file);
-                const job = await fs.readJson(jobPath);
-                jobs.push(job);
-            }
-
-            // Sort by creation date (newest first)
-            jobs.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+            const { jobs, total } = await this.store.list({ ...filters, limit, offset });
 
             return {
                 jobs,
-                total: jobFiles.length,
+                total,
                 limit,
                 offset
             };
@@ -145,28 +185,22 @@ class JobManager {
 
     async cleanupOldJobs(maxAge = 7 * 24 * 60 * 60 * 1000) { // 7 days
         try {
-            const files = await fs.readdir(this.jobsDir);
-            const now = new Date();
+            const { jobs } = await this.store.list({
+                status: ['completed', 'partially_completed', 'failed'],
+                createdBefore: new Date(Date.now() - maxAge)
+            });
             let cleaned = 0;
 
-            for (const file of files) {
-                if (!file.endsWith('.json')) continue;
-
-                const jobPath = path.join(this.jobsDir, file);
-                const job = await fs.readJson(jobPath);
-                const jobAge = now - new Date(job.createdAt);
-
-                if (jobAge > maxAge && (job.status === 'completed' || job.status === 'failed')) {
-                    await fs.remove(jobPath);
-                    
-                    // Also cleanup generated files
-                    const generatedPath = path.join('./generated', `${job.id}.zip`);
-                    if (await fs.pathExists(generatedPath)) {
-                        await fs.remove(generatedPath);
-                    }
-                    
-                    cleaned++;
+            for (const job of jobs) {
+                await this.store.delete(job.id);
+
+                // Also cleanup generated files
+                const generatedPath = path.join('./generated', `${job.id}.zip`);
+                if (await fs.pathExists(generatedPath)) {
+                    await fs.remove(generatedPath);
                 }
+
+                cleaned++;
             }
 
             logger.info({
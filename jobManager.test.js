@@ -0,0 +1,44 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const JobManager = require('./jobManager');
+const FileJobStore = require('./fileJobStore');
+
+describe('JobManager.updateJob', () => {
+    let dir;
+    let jobManager;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'job-manager-'));
+        jobManager = new JobManager(new FileJobStore({ dir }));
+    });
+
+    afterEach(() => fs.remove(dir));
+
+    test('with fromStatus, only one of several concurrent updates applies', async () => {
+        await jobManager.createJob('plan-1', { type: 'generate', status: 'awaiting_approval' });
+
+        const results = await Promise.all([1, 2, 3].map(() =>
+            jobManager.updateJob('plan-1', { status: 'queued' }, { fromStatus: 'awaiting_approval' })
+        ));
+
+        expect(results.filter(Boolean)).toHaveLength(1);
+        expect(await jobManager.updateJob('plan-1', { features: [] }, { fromStatus: 'awaiting_approval' })).toBeNull();
+        expect((await jobManager.getJob('plan-1')).features).toBeUndefined();
+    });
+
+    test('function updates see the current job, so concurrent counters do not collide', async () => {
+        await jobManager.createJob('root-1', { type: 'generate', status: 'completed', version: 1 });
+
+        const versions = await Promise.all([1, 2, 3].map(async () => {
+            const job = await jobManager.updateJob('root-1', current => ({
+                latestVersion: (current.latestVersion || current.version) + 1,
+                refinements: [...(current.refinements || []), `refine-${(current.latestVersion || 1) + 1}`]
+            }));
+            return job.latestVersion;
+        }));
+
+        expect(versions.sort()).toEqual([2, 3, 4]);
+        expect((await jobManager.getJob('root-1')).refinements).toEqual(['refine-2', 'refine-3', 'refine-4']);
+    });
+});
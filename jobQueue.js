@@ -0,0 +1,278 @@
+const JobManager = require('./jobManager');
+const cancellation = require('./cancellation');
+const { logger } = require('../middleware/logger');
+
+// Runs long jobs (generation, refinement, analysis, modernization) in the
+// background with a concurrency limit per job type. Queued work is recorded
+// on the job itself (`job.queue`), so it survives a restart: on startup,
+// recover() re-queues waiting jobs and resumes or fails the ones that were
+// running when the process stopped. Each running job gets an AbortSignal
+// (see cancellation.js) so cancel() can stop it mid-pipeline.
+
+const PRIORITIES = {
+    low: 0,
+    normal: 1,
+    high: 2
+};
+
+// Jobs in these states are not waiting for a worker
+const SETTLED_STATUSES = ['completed', 'partially_completed', 'failed', 'cancelled', 'awaiting_approval'];
+
+// Jobs in these states can be run again with retry()
+const RETRYABLE_STATUSES = ['failed', 'cancelled', 'partially_completed'];
+
+const DEFAULT_CONCURRENCY = parseInt(process.env.QUEUE_CONCURRENCY) || 2;
+
+// A job interrupted this many times is failed instead of resumed again
+const MAX_ATTEMPTS = parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 2;
+
+// QUEUE_CONCURRENCY_GENERATE, QUEUE_CONCURRENCY_ANALYZE, ...
+function concurrencyFor(type) {
+    return parseInt(process.env[`QUEUE_CONCURRENCY_${type.toUpperCase()}`]) || DEFAULT_CONCURRENCY;
+}
+
+class RetryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RetryError';
+    }
+}
+
+// The history entry for the attempt a job made before its first retry
+function firstAttempt(job) {
+    const endedAt = job.failedAt || job.cancelledAt || job.updatedAt;
+    return {
+        attempt: 1,
+        fromStage: null,
+        startedAt: job.createdAt,
+        status: job.status,
+        error: job.error ?? null,
+        endedAt,
+        durationMs: Date.parse(endedAt) - Date.parse(job.createdAt)
+    };
+}
+
+class JobQueue {
+    constructor(jobManager = new JobManager()) {
+        this.jobManager = jobManager;
+        this.handlers = {};
+        this.pending = [];
+        this.running = {};
+        this.sequence = 0;
+    }
+
+    // `handler(jobId, payload, job)` runs a job of `type` and records its own
+    // failures on the job. `canResume(job)` tells whether an interrupted job
+    // can be run again from its payload. `cleanup(jobId, payload)` removes
+    // what a cancelled job left behind. `retry(job, fromStage)` prepares a
+    // failed job for another attempt (see retry()); types without it cannot
+    // be retried.
+    register(type, handler, { concurrency = concurrencyFor(type), canResume = () => true, cleanup = async () => {}, retry = null } = {}) {
+        this.handlers[type] = { handler, concurrency, canResume, cleanup, retry };
+        this.running[type] = this.running[type] || 0;
+    }
+
+    // Records the job as queued and starts it once a worker for its type is
+    // free. `payload` must be JSON-serialisable.
+    async enqueue(jobId, type, payload = {}, { priority = 'normal' } = {}) {
+        if (!this.handlers[type]) {
+            throw new Error(`No handler registered for ${type} jobs`);
+        }
+
+        const queue = {
+            type,
+            payload,
+            priority,
+            attempts: 0,
+            enqueuedAt: new Date().toISOString()
+        };
+        await this.jobManager.updateJob(jobId, { status: 'queued', queue });
+
+        this.add(jobId, queue);
+    }
+
+    add(jobId, queue) {
+        this.pending.push({ jobId, queue, sequence: this.sequence++ });
+        this.pending.sort((a, b) =>
+            (PRIORITIES[b.queue.priority] ?? PRIORITIES.normal) - (PRIORITIES[a.queue.priority] ?? PRIORITIES.normal)
+            || a.sequence - b.sequence
+        );
+        this.drain();
+    }
+
+    // Starts the highest-priority jobs whose type has a free worker
+    drain() {
+        for (let i = 0; i < this.pending.length;) {
+            const { jobId, queue } = this.pending[i];
+            const { concurrency } = this.handlers[queue.type];
+            if (this.running[queue.type] >= concurrency) {
+                i++;
+                continue;
+            }
+
+            this.pending.splice(i, 1);
+            this.running[queue.type]++;
+            this.run(jobId, queue).finally(() => {
+                this.running[queue.type]--;
+                this.drain();
+            });
+        }
+    }
+
+    async run(jobId, queue) {
+        const { handler } = this.handlers[queue.type];
+        const controller = cancellation.createCancellation(jobId);
+        try {
+            const job = await this.jobManager.updateJob(jobId, {
+                queue: { ...queue, attempts: queue.attempts + 1, startedAt: new Date().toISOString() }
+            });
+            await cancellation.runWithSignal(controller.signal, () => handler(jobId, queue.payload, job));
+        } catch (error) {
+            if (cancellation.isCancellation(error)) {
+                return;
+            }
+            logger.error({
+                message: 'Queued job failed',
+                jobId,
+                type: queue.type,
+                error: error.message
+            });
+            await this.jobManager.updateJob(jobId, {
+                status: 'failed',
+                error: error.message,
+                failedAt: new Date()
+            }).catch(() => {});
+        } finally {
+            cancellation.releaseCancellation(jobId, controller);
+            if (controller.signal.aborted) {
+                await this.cleanup(jobId, queue);
+            }
+        }
+    }
+
+    // Stops a job: a waiting job is removed from the queue, a running one is
+    // aborted and cleaned up once its pipeline has stopped. Resolves to
+    // 'queued', 'running' or null when this process is not handling the job.
+    async cancel(jobId) {
+        const index = this.pending.findIndex(entry => entry.jobId === jobId);
+        if (index !== -1) {
+            const [{ queue }] = this.pending.splice(index, 1);
+            await this.cleanup(jobId, queue);
+            return 'queued';
+        }
+        return cancellation.cancel(jobId) ? 'running' : null;
+    }
+
+    async cleanup(jobId, queue) {
+        try {
+            await this.handlers[queue.type].cleanup(jobId, queue.payload);
+            logger.info({ message: 'Cancelled job cleaned up', jobId, type: queue.type });
+        } catch (error) {
+            logger.error({
+                message: 'Failed to clean up cancelled job',
+                jobId,
+                error: error.message
+            });
+        }
+    }
+
+    // Queues a failed, cancelled or partially completed job again. The type's retry hook returns
+    // { fromStage, updates, payload }: the stage the new attempt starts from,
+    // the job fields to reset and the handler payload. It throws a RetryError
+    // when the job cannot be retried from `fromStage`. Every attempt is
+    // recorded in `job.history`. Resolves to the new history entry.
+    async retry(jobId, fromStage) {
+        const job = await this.jobManager.getJob(jobId);
+        const registered = job && job.queue && this.handlers[job.queue.type];
+
+        if (!registered || !registered.retry) {
+            throw new RetryError(`${job ? job.type : 'This'} jobs cannot be retried`);
+        }
+        if (!RETRYABLE_STATUSES.includes(job.status)) {
+            throw new RetryError(`Only failed, cancelled or partially completed jobs can be retried (status: ${job.status})`);
+        }
+        if (cancellation.isRunning(jobId)) {
+            throw new RetryError('The cancelled job is still stopping; try again shortly');
+        }
+
+        const next = registered.retry(job, fromStage);
+        const history = job.history || [firstAttempt(job)];
+        const attempt = {
+            attempt: history.length + 1,
+            fromStage: next.fromStage,
+            startedAt: new Date().toISOString()
+        };
+
+        await this.jobManager.updateJob(jobId, {
+            ...next.updates,
+            history: [...history, attempt],
+            retriedAt: attempt.startedAt
+        });
+        await this.enqueue(jobId, job.queue.type, next.payload, { priority: job.queue.priority });
+
+        logger.info({
+            message: 'Job queued for retry',
+            jobId,
+            attempt: attempt.attempt,
+            fromStage: attempt.fromStage
+        });
+
+        return attempt;
+    }
+
+    // Re-queues jobs left waiting or running by a previous process. Running
+    // jobs start over from their payload when their handler can resume them
+    // and they have not been interrupted MAX_ATTEMPTS times; otherwise they
+    // are marked as failed. Resolves to { resumed, failed }.
+    async recover() {
+        const { jobs } = await this.jobManager.store.list();
+        const unfinished = jobs
+            .filter(job => !SETTLED_STATUSES.includes(job.status))
+            // Oldest first, so they keep their place in the queue
+            .reverse();
+        const summary = { resumed: [], failed: [] };
+
+        for (const job of unfinished) {
+            const queue = job.queue;
+            const registered = queue && this.handlers[queue.type];
+            const reason = !registered
+                ? 'Job was interrupted by a server restart'
+                : queue.attempts >= MAX_ATTEMPTS
+                    ? `Job was interrupted ${queue.attempts} times`
+                    : !registered.canResume(job)
+                        ? 'Job was interrupted by a server restart and cannot be resumed'
+                        : null;
+
+            if (reason) {
+                await this.jobManager.updateJob(job.id, { status: 'failed', error: reason, failedAt: new Date() });
+                summary.failed.push(job.id);
+                continue;
+            }
+
+            await this.jobManager.updateJob(job.id, { status: 'queued', resumedAt: new Date() });
+            this.add(job.id, queue);
+            summary.resumed.push(job.id);
+        }
+
+        logger.info({
+            message: 'Job queue recovered',
+            resumed: summary.resumed.length,
+            failed: summary.failed.length
+        });
+
+        return summary;
+    }
+
+    stats() {
+        return Object.fromEntries(Object.entries(this.handlers).map(([type, { concurrency }]) => [type, {
+            running: this.running[type],
+            pending: this.pending.filter(entry => entry.queue.type === type).length,
+            concurrency
+        }]));
+    }
+}
+
+module.exports = JobQueue;
+module.exports.jobQueue = new JobQueue();
+module.exports.PRIORITIES = PRIORITIES;
+module.exports.RetryError = RetryError;
@@ -0,0 +1,218 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+// The module's shared queue opens the default store when it is loaded
+const defaultJobsDir = path.join(os.tmpdir(), `job-queue-default-${process.pid}`);
+process.env.JOBS_DIR = defaultJobsDir;
+
+const JobQueue = require('./jobQueue');
+const JobManager = require('./jobManager');
+const FileJobStore = require('./fileJobStore');
+const cancellation = require('./cancellation');
+
+function deferred() {
+    let resolve;
+    const promise = new Promise(done => {
+        resolve = done;
+    });
+    return { promise, resolve };
+}
+
+// Resolves once `condition()` holds, polling every few milliseconds
+async function until(condition, timeout = 2000) {
+    const deadline = Date.now() + timeout;
+    while (!await condition()) {
+        if (Date.now() > deadline) {
+            throw new Error('Condition not met in time');
+        }
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+describe('JobQueue', () => {
+    let dir;
+    let jobManager;
+    let queue;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'job-queue-'));
+        jobManager = new JobManager(new FileJobStore({ dir }));
+        queue = new JobQueue(jobManager);
+    });
+
+    afterEach(() => fs.remove(dir));
+
+    afterAll(() => fs.remove(defaultJobsDir));
+
+    async function createJobs(...ids) {
+        for (const id of ids) {
+            await jobManager.createJob(id, { type: 'generate', status: 'pending' });
+        }
+    }
+
+    test('runs at most `concurrency` jobs of a type, highest priority first', async () => {
+        const started = [];
+        const finish = {};
+        queue.register('generate', async jobId => {
+            started.push(jobId);
+            finish[jobId] = deferred();
+            await finish[jobId].promise;
+            await jobManager.updateJob(jobId, { status: 'completed' });
+        }, { concurrency: 1 });
+        await createJobs('first', 'low', 'high', 'normal');
+
+        await queue.enqueue('first', 'generate');
+        await queue.enqueue('low', 'generate', {}, { priority: 'low' });
+        await queue.enqueue('high', 'generate', {}, { priority: 'high' });
+        await queue.enqueue('normal', 'generate');
+        await until(() => finish.first);
+
+        expect(queue.stats()).toEqual({ generate: { running: 1, pending: 3, concurrency: 1 } });
+
+        for (const jobId of ['first', 'high', 'normal', 'low']) {
+            await until(() => finish[jobId]);
+            finish[jobId].resolve();
+        }
+        await until(async () => (await jobManager.getJob('low')).status === 'completed');
+
+        expect(started).toEqual(['first', 'high', 'normal', 'low']);
+        expect((await jobManager.getJob('first')).queue).toMatchObject({ type: 'generate', attempts: 1, priority: 'normal' });
+    });
+
+    test('records a handler\'s unexpected error on the job', async () => {
+        queue.register('generate', async () => {
+            throw new Error('provider unavailable');
+        });
+        await createJobs('job-1');
+
+        await queue.enqueue('job-1', 'generate');
+        await until(async () => (await jobManager.getJob('job-1')).status === 'failed');
+
+        expect((await jobManager.getJob('job-1')).error).toBe('provider unavailable');
+    });
+
+    test('cancels a waiting job without running it and cleans up after it', async () => {
+        const cleanup = jest.fn(async () => {});
+        const block = deferred();
+        const handler = jest.fn(() => block.promise);
+        queue.register('generate', handler, { concurrency: 1, cleanup });
+        await createJobs('running', 'waiting');
+
+        await queue.enqueue('running', 'generate');
+        await queue.enqueue('waiting', 'generate', { outputDir: 'generated/waiting' });
+
+        expect(await queue.cancel('waiting')).toBe('queued');
+        expect(cleanup).toHaveBeenCalledWith('waiting', { outputDir: 'generated/waiting' });
+        expect(await queue.cancel('unknown')).toBeNull();
+
+        block.resolve();
+        await until(() => queue.stats().generate.running === 0);
+        expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    test('aborts a running job and cleans up once its pipeline has stopped', async () => {
+        const cleanup = jest.fn(async () => {});
+        const started = deferred();
+        queue.register('generate', async jobId => {
+            const signal = cancellation.currentSignal();
+            started.resolve();
+            await new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)));
+            await jobManager.updateJob(jobId, { status: 'completed' });
+        }, { cleanup });
+        await createJobs('job-1');
+
+        await queue.enqueue('job-1', 'generate', { outputDir: 'generated/job-1' });
+        await started.promise;
+        await jobManager.updateJob('job-1', { status: 'cancelled' });
+
+        expect(await queue.cancel('job-1')).toBe('running');
+        await until(() => cleanup.mock.calls.length > 0);
+
+        expect(cleanup).toHaveBeenCalledWith('job-1', { outputDir: 'generated/job-1' });
+        expect((await jobManager.getJob('job-1')).status).toBe('cancelled');
+        expect(cancellation.isRunning('job-1')).toBe(false);
+    });
+
+    describe('retry', () => {
+        // Starts over from planning, or from generating once a plan exists
+        const retryHook = (job, fromStage) => {
+            const stage = fromStage || (job.planningData ? 'generating' : 'planning');
+            if (stage === 'generating' && !job.planningData) {
+                throw new JobQueue.RetryError('The job has no plan; retry from planning');
+            }
+            return { fromStage: stage, updates: { error: undefined }, payload: { stage } };
+        };
+
+        test('queues the job again and records every attempt', async () => {
+            const outcomes = ['failed', 'completed'];
+            queue.register('generate', async (jobId, payload) => {
+                const status = outcomes.shift();
+                await jobManager.updateJob(jobId, { status, error: status === 'failed' ? `${payload.stage} failed` : undefined, planningData: {} });
+            }, { retry: retryHook });
+            await jobManager.createJob('job-1', { type: 'generate', status: 'pending' });
+            await jobManager.updateJob('job-1', { status: 'failed', error: 'Planning timed out', failedAt: new Date().toISOString() });
+            await jobManager.updateJob('job-1', { queue: { type: 'generate', payload: {}, priority: 'high', attempts: 1 } });
+
+            expect(await queue.retry('job-1', 'planning')).toMatchObject({ attempt: 2, fromStage: 'planning' });
+            await until(async () => (await jobManager.getJob('job-1')).status === 'failed');
+            expect(await queue.retry('job-1')).toMatchObject({ attempt: 3, fromStage: 'generating' });
+            await until(async () => (await jobManager.getJob('job-1')).status === 'completed');
+
+            const job = await jobManager.getJob('job-1');
+            expect(job.history.map(({ attempt, fromStage, status, error }) => ({ attempt, fromStage, status, error }))).toEqual([
+                { attempt: 1, fromStage: null, status: 'failed', error: 'Planning timed out' },
+                { attempt: 2, fromStage: 'planning', status: 'failed', error: 'planning failed' },
+                { attempt: 3, fromStage: 'generating', status: 'completed', error: null }
+            ]);
+            expect(job.history.every(entry => entry.durationMs >= 0)).toBe(true);
+            expect(job.queue.priority).toBe('high');
+        });
+
+        test('refuses jobs that cannot be retried', async () => {
+            queue.register('generate', async () => {}, { retry: retryHook });
+            queue.register('refine', async () => {});
+            const queued = type => ({ type, payload: {}, priority: 'normal', attempts: 1 });
+            await jobManager.createJob('done', { type: 'generate', status: 'completed', queue: queued('generate') });
+            await jobManager.createJob('no-plan', { type: 'generate', status: 'failed', queue: queued('generate') });
+            await jobManager.createJob('refinement', { type: 'refine', status: 'failed', queue: queued('refine') });
+
+            await expect(queue.retry('done')).rejects.toThrow('Only failed, cancelled or partially completed jobs can be retried (status: completed)');
+            await expect(queue.retry('no-plan', 'generating')).rejects.toThrow(JobQueue.RetryError);
+            await expect(queue.retry('refinement')).rejects.toThrow('refine jobs cannot be retried');
+            await expect(queue.retry('missing')).rejects.toThrow(JobQueue.RetryError);
+            expect((await jobManager.getJob('no-plan')).history).toBeUndefined();
+        });
+    });
+
+    describe('recover', () => {
+        const queued = (attempts, payload = {}) => ({ type: 'generate', payload, priority: 'normal', attempts });
+
+        test('resumes interrupted jobs and fails those it cannot run again', async () => {
+            const ran = [];
+            queue.register('generate', async jobId => {
+                ran.push(jobId);
+                await jobManager.updateJob(jobId, { status: 'completed' });
+            }, { canResume: job => !job.queue.payload.approvedPlan });
+
+            await jobManager.createJob('waiting', { type: 'generate', status: 'queued', queue: queued(0) });
+            await jobManager.createJob('interrupted', { type: 'generate', status: 'generating', queue: queued(1) });
+            await jobManager.createJob('twice', { type: 'generate', status: 'generating', queue: queued(2) });
+            await jobManager.createJob('unresumable', { type: 'generate', status: 'generating', queue: queued(1, { approvedPlan: true }) });
+            await jobManager.createJob('unknown-type', { type: 'export', status: 'processing', queue: { ...queued(0), type: 'export' } });
+            await jobManager.createJob('done', { type: 'generate', status: 'completed', queue: queued(1) });
+
+            const summary = await queue.recover();
+
+            expect(summary.resumed.sort()).toEqual(['interrupted', 'waiting']);
+            expect(summary.failed.sort()).toEqual(['twice', 'unknown-type', 'unresumable']);
+            expect((await jobManager.getJob('twice')).error).toBe('Job was interrupted 2 times');
+            expect((await jobManager.getJob('unresumable')).error).toBe('Job was interrupted by a server restart and cannot be resumed');
+
+            await until(async () => (await jobManager.getJob('interrupted')).status === 'completed'
+                && (await jobManager.getJob('waiting')).status === 'completed');
+            expect(ran.sort()).toEqual(['interrupted', 'waiting']);
+            expect((await jobManager.getJob('interrupted')).queue.attempts).toBe(2);
+        });
+    });
+});
@@ -0,0 +1,44 @@
+const FileJobStore = require('./fileJobStore');
+
+// Storage behind JobManager, selected with JOB_STORE: `file` (default, one
+// JSON file per job in JOBS_DIR) or `sqlite` (JOB_DB_PATH). Every store
+// implements:
+//
+//   create(job)                  -> job; rejects when the id exists
+//   get(jobId)                   -> job | null
+//   update(jobId, mutate)        -> job | null; mutate(job) -> job runs atomically
+//   delete(jobId)
+//   list({ status, type, createdBefore, limit, offset })
+//                                -> { jobs, total }, newest first
+//   close()
+
+const JOB_STORES = {
+    file: options => new FileJobStore(options),
+    // Loaded on demand so the file store works without the native module
+    sqlite: options => new (require('./sqliteJobStore'))(options)
+};
+
+function createJobStore(type = process.env.JOB_STORE || 'file', options = {}) {
+    const create = JOB_STORES[type];
+    if (!create) {
+        throw new Error(`Unknown job store: ${type} (expected ${Object.keys(JOB_STORES).join(' or ')})`);
+    }
+    return create(options);
+}
+
+let defaultStore = null;
+
+// The store shared by every JobManager in this process, so per-job locks and
+// the database connection are not duplicated
+function getDefaultJobStore() {
+    if (!defaultStore) {
+        defaultStore = createJobStore();
+    }
+    return defaultStore;
+}
+
+module.exports = {
+    createJobStore,
+    getDefaultJobStore,
+    JOB_STORES
+};
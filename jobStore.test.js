@@ -0,0 +1,63 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { createJobStore } = require('./jobStore');
+
+// The contract every store implements (see jobStore.js)
+describe.each(['file', 'sqlite'])('%s job store', type => {
+    let dir;
+    let store;
+
+    const job = (id, createdAt, fields = {}) => ({ id, status: 'pending', type: 'generation', createdAt, ...fields });
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'job-store-'));
+        store = createJobStore(type, type === 'file' ? { dir } : { file: path.join(dir, 'jobs.sqlite') });
+    });
+
+    afterEach(async () => {
+        await store.close();
+        await fs.remove(dir);
+    });
+
+    test('creates, reads, updates and deletes a job', async () => {
+        await store.create(job('job-1', '2026-01-01T00:00:00.000Z'));
+        await expect(store.create(job('job-1', '2026-01-01T00:00:00.000Z'))).rejects.toThrow('Job job-1 already exists');
+
+        const updated = await store.update('job-1', current => ({ ...current, status: 'completed' }));
+        expect(updated.status).toBe('completed');
+        expect(await store.get('job-1')).toEqual(updated);
+
+        await store.delete('job-1');
+        expect(await store.get('job-1')).toBeNull();
+        expect(await store.update('job-1', current => current)).toBeNull();
+    });
+
+    test('does not lose concurrent updates', async () => {
+        await store.create(job('job-1', '2026-01-01T00:00:00.000Z', { progress: 0 }));
+
+        await Promise.all(Array.from({ length: 20 }, () =>
+            store.update('job-1', current => ({ ...current, progress: current.progress + 1 }))));
+
+        expect((await store.get('job-1')).progress).toBe(20);
+    });
+
+    test('lists matching jobs newest first with the total', async () => {
+        await store.create(job('a', '2026-01-01T00:00:00.000Z'));
+        await store.create(job('b', '2026-01-02T00:00:00.000Z', { status: 'failed' }));
+        await store.create(job('c', '2026-01-03T00:00:00.000Z', { type: 'modernization' }));
+        await store.create(job('d', '2026-01-04T00:00:00.000Z'));
+
+        const ids = result => result.jobs.map(found => found.id);
+        expect(ids(await store.list())).toEqual(['d', 'c', 'b', 'a']);
+        expect(await store.list({ status: ['pending'], type: 'generation', limit: 1, offset: 1 }))
+            .toEqual({ jobs: [expect.objectContaining({ id: 'a' })], total: 2 });
+        expect(ids(await store.list({ createdBefore: '2026-01-03T00:00:00.000Z' }))).toEqual(['b', 'a']);
+    });
+});
+
+describe('createJobStore', () => {
+    test('rejects an unknown store type', () => {
+        expect(() => createJobStore('redis')).toThrow('Unknown job store: redis (expected file or sqlite)');
+    });
+});
@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { logger } = require('../middleware/logger');
+
+// Records prompt/response pairs to disk and serves them back offline.
+// Fixtures are keyed by a hash of the system prompt and user prompt only, so a
+// recording stays valid when the provider or model configuration changes.
+class FixtureStore {
+    constructor({ dir = './fixtures/llm', mode } = {}) {
+        if (!['record', 'replay'].includes(mode)) {
+            throw new Error(`Invalid LLM fixture mode: ${mode}. Use "record" or "replay".`);
+        }
+
+        this.dir = dir;
+        this.mode = mode;
+    }
+
+    keyFor({ system, prompt }) {
+        return crypto
+            .createHash('sha256')
+            .update(JSON.stringify({ system: system || '', prompt }))
+            .digest('hex');
+    }
+
+    fixturePath(key) {
+        return path.join(this.dir, `${key}.json`);
+    }
+
+    async record(task, request, response, { provider, model }) {
+        const key = this.keyFor(request);
+        await fs.ensureDir(this.dir);
+        await fs.writeJson(this.fixturePath(key), {
+            key,
+            task,
+            provider,
+            model,
+            system: request.system || '',
+            prompt: request.prompt,
+            response,
+            recordedAt: new Date().toISOString()
+        }, { spaces: 2 });
+
+        logger.debug({
+            message: 'LLM fixture recorded',
+            task,
+            key
+        });
+
+        return key;
+    }
+
+    async replay(task, request) {
+        const key = this.keyFor(request);
+        const fixturePath = this.fixturePath(key);
+
+        if (!await fs.pathExists(fixturePath)) {
+            throw new Error(`No recorded LLM fixture for task "${task}" (key ${key}) in ${this.dir}`);
+        }
+
+        const fixture = await fs.readJson(fixturePath);
+
+        logger.debug({
+            message: 'LLM fixture replayed',
+            task,
+            key
+        });
+
+        return fixture.response;
+    }
+}
+
+function createFixtureStoreFromEnv(env = process.env) {
+    if (!env.LLM_FIXTURE_MODE) {
+        return null;
+    }
+
+    return new FixtureStore({
+        dir: env.LLM_FIXTURE_DIR || './fixtures/llm',
+        mode: env.LLM_FIXTURE_MODE
+    });
+}
+
+module.exports = FixtureStore;
+module.exports.createFixtureStoreFromEnv = createFixtureStoreFromEnv;
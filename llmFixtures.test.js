@@ -0,0 +1,54 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const FixtureStore = require('./llmFixtures');
+const { createFixtureStoreFromEnv } = require('./llmFixtures');
+const { ProviderRegistry, FakeProvider } = require('./llmProvider');
+
+describe('FixtureStore', () => {
+    let dir;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'llm-fixtures-'));
+    });
+
+    afterEach(() => fs.remove(dir));
+
+    function registry(mode, responder) {
+        return new ProviderRegistry({
+            env: { LLM_PROVIDER: 'fake' },
+            registerDefaults: false,
+            fixtures: new FixtureStore({ dir, mode })
+        }).register('fake', new FakeProvider({ responder }));
+    }
+
+    test('replays what was recorded without calling a provider', async () => {
+        const request = { system: 'You plan apps.', prompt: 'Plan a todo app' };
+        await registry('record', '{"app_name":"Todo"}').complete('planning', request);
+
+        const responder = jest.fn();
+        const replayed = await registry('replay', responder).complete('planning', request);
+
+        expect(replayed).toBe('{"app_name":"Todo"}');
+        expect(responder).not.toHaveBeenCalled();
+        expect(await fs.readdir(dir)).toHaveLength(1);
+    });
+
+    test('keys fixtures by system prompt and prompt only', () => {
+        const store = new FixtureStore({ dir, mode: 'replay' });
+
+        expect(store.keyFor({ system: 's', prompt: 'p' })).toBe(store.keyFor({ system: 's', prompt: 'p' }));
+        expect(store.keyFor({ system: 's', prompt: 'p' })).not.toBe(store.keyFor({ system: 'other', prompt: 'p' }));
+    });
+
+    test('fails a replay with no recording', async () => {
+        await expect(registry('replay').complete('planning', { prompt: 'never recorded' }))
+            .rejects.toThrow('No recorded LLM fixture for task "planning"');
+    });
+
+    test('is only created when LLM_FIXTURE_MODE is set', () => {
+        expect(createFixtureStoreFromEnv({})).toBeNull();
+        expect(createFixtureStoreFromEnv({ LLM_FIXTURE_MODE: 'replay', LLM_FIXTURE_DIR: dir })).toMatchObject({ mode: 'replay', dir });
+        expect(() => createFixtureStoreFromEnv({ LLM_FIXTURE_MODE: 'live' })).toThrow('Invalid LLM fixture mode: live');
+    });
+});
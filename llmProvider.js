@@ -0,0 +1,292 @@
+const OpenAI = require('openai');
+const Anthropic = require('@anthropic-ai/sdk');
+const { createFixtureStoreFromEnv } = require('./llmFixtures');
+const { currentSignal, throwIfCancelled } = require('./cancellation');
+const { logger } = require('../middleware/logger');
+
+// Default provider for every AI task. Each task can be overridden with
+// LLM_<TASK>_PROVIDER / LLM_<TASK>_MODEL (e.g. LLM_CODE_ANALYSIS_MODEL),
+// and LLM_PROVIDER routes every task without an override to one provider.
+const TASK_DEFAULTS = {
+    planning: 'openai',
+    refinement: 'openai',
+    codeAnalysis: 'anthropic',
+    recommendations: 'anthropic',
+    iosAgent: 'openai',
+    androidAgent: 'openai',
+    webAgent: 'openai',
+    backendAgent: 'openai',
+    modernization: 'anthropic',
+    complexityAnalysis: 'openai',
+    migrationGuide: 'openai',
+    healthAnalysis: 'openai',
+    performanceAnalysis: 'anthropic',
+    securityAnalysis: 'openai',
+    codeOptimization: 'anthropic',
+    statusReport: 'openai'
+};
+
+class OpenAIProvider {
+    constructor({ name = 'openai', apiKey, baseURL, defaultModel }) {
+        this.name = name;
+        this.apiKey = apiKey;
+        this.baseURL = baseURL;
+        this.defaultModel = defaultModel;
+        this.client = null;
+    }
+
+    getClient() {
+        if (!this.client) {
+            this.client = new OpenAI({
+                apiKey: this.apiKey,
+                ...(this.baseURL && { baseURL: this.baseURL })
+            });
+        }
+        return this.client;
+    }
+
+    async complete({ model, system, prompt, temperature, maxTokens, onToken, signal }) {
+        const messages = [];
+        if (system) {
+            messages.push({ role: 'system', content: system });
+        }
+        messages.push({ role: 'user', content: prompt });
+
+        const body = {
+            model,
+            messages,
+            ...(temperature !== undefined && { temperature }),
+            max_tokens: maxTokens
+        };
+
+        if (!onToken) {
+            const response = await this.getClient().chat.completions.create(body, { signal });
+            return response.choices[0].message.content;
+        }
+
+        const stream = await this.getClient().chat.completions.create({ ...body, stream: true }, { signal });
+        let text = '';
+        for await (const chunk of stream) {
+            const delta = chunk.choices[0]?.delta?.content;
+            if (delta) {
+                text += delta;
+                onToken(delta);
+            }
+        }
+        return text;
+    }
+}
+
+class AnthropicProvider {
+    constructor({ name = 'anthropic', apiKey, defaultModel }) {
+        this.name = name;
+        this.apiKey = apiKey;
+        this.defaultModel = defaultModel;
+        this.client = null;
+    }
+
+    getClient() {
+        if (!this.client) {
+            this.client = new Anthropic({ apiKey: this.apiKey });
+        }
+        return this.client;
+    }
+
+    async complete({ model, system, prompt, temperature, maxTokens, onToken, signal }) {
+        const body = {
+            model,
+            max_tokens: maxTokens,
+            ...(system && { system }),
+            ...(temperature !== undefined && { temperature }),
+            messages: [
+                {
+                    role: 'user',
+                    content: prompt
+                }
+            ]
+        };
+
+        if (!onToken) {
+            const response = await this.getClient().messages.create(body, { signal });
+            return response.content[0].text;
+        }
+
+        const stream = await this.getClient().messages.create({ ...body, stream: true }, { signal });
+        let text = '';
+        for await (const event of stream) {
+            if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+                text += event.delta.text;
+                onToken(event.delta.text);
+            }
+        }
+        return text;
+    }
+}
+
+// Deterministic provider for tests and offline runs. `responder` is either a
+// fixed string or a function that receives the request and returns the text.
+class FakeProvider {
+    constructor({ name = 'fake', defaultModel = 'fake-model', responder = '{}' } = {}) {
+        this.name = name;
+        this.defaultModel = defaultModel;
+        this.responder = responder;
+        this.calls = [];
+    }
+
+    async complete(request) {
+        throwIfCancelled(request.signal);
+        this.calls.push(request);
+        const text = typeof this.responder === 'function'
+            ? await this.responder(request)
+            : this.responder;
+        throwIfCancelled(request.signal);
+
+        if (request.onToken) {
+            request.onToken(text);
+        }
+        return text;
+    }
+}
+
+class ProviderRegistry {
+    constructor({ env = process.env, registerDefaults = true, fixtures } = {}) {
+        this.env = env;
+        this.factories = new Map();
+        this.providers = new Map();
+        this.taskOverrides = {};
+        this.fixtures = fixtures === undefined ? createFixtureStoreFromEnv(env) : fixtures;
+
+        if (registerDefaults) {
+            this.registerDefaultProviders();
+        }
+    }
+
+    registerDefaultProviders() {
+        const env = this.env;
+
+        this.register('openai', () => new OpenAIProvider({
+            apiKey: env.OPENAI_API_KEY,
+            baseURL: env.OPENAI_BASE_URL,
+            defaultModel: env.OPENAI_MODEL || 'gpt-4-turbo-preview'
+        }));
+
+        this.register('anthropic', () => new AnthropicProvider({
+            apiKey: env.ANTHROPIC_API_KEY,
+            defaultModel: env.ANTHROPIC_MODEL || 'claude-3-opus-20240229'
+        }));
+
+        // Any OpenAI-compatible server (Ollama, vLLM, LM Studio, ...)
+        this.register('local', () => new OpenAIProvider({
+            name: 'local',
+            apiKey: env.LOCAL_LLM_API_KEY || 'not-needed',
+            baseURL: env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+            defaultModel: env.LOCAL_LLM_MODEL || 'llama3'
+        }));
+
+        this.register('fake', () => new FakeProvider());
+    }
+
+    // `provider` may be an instance or a factory that builds one on first use
+    register(name, provider) {
+        this.providers.delete(name);
+        if (typeof provider === 'function') {
+            this.factories.set(name, provider);
+        } else {
+            this.factories.delete(name);
+            this.providers.set(name, provider);
+        }
+        return this;
+    }
+
+    getProvider(name) {
+        if (!this.providers.has(name)) {
+            const factory = this.factories.get(name);
+            if (!factory) {
+                throw new Error(`Unknown LLM provider: ${name}`);
+            }
+            this.providers.set(name, factory());
+        }
+        return this.providers.get(name);
+    }
+
+    // Pin a task to a provider/model in code, taking precedence over env config
+    configureTask(task, { provider, model } = {}) {
+        this.taskOverrides[task] = { provider, model };
+        return this;
+    }
+
+    resolve(task) {
+        const envKey = task.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+        const override = this.taskOverrides[task] || {};
+
+        const providerName = override.provider
+            || this.env[`LLM_${envKey}_PROVIDER`]
+            || this.env.LLM_PROVIDER
+            || TASK_DEFAULTS[task]
+            || 'openai';
+        const provider = this.getProvider(providerName);
+        const model = override.model
+            || this.env[`LLM_${envKey}_MODEL`]
+            || provider.defaultModel;
+
+        return { provider, model };
+    }
+
+    useFixtures(fixtures) {
+        this.fixtures = fixtures;
+        return this;
+    }
+
+    // Pass `onToken` to stream the response; it receives each text delta.
+    // `signal` aborts the request and defaults to the running job's signal.
+    async complete(task, { system, prompt, temperature, maxTokens = 4000, onToken, signal = currentSignal() }) {
+        throwIfCancelled(signal);
+
+        // Replay never resolves a provider, so it works without API keys
+        if (this.fixtures && this.fixtures.mode === 'replay') {
+            const responseText = await this.fixtures.replay(task, { system, prompt });
+            if (onToken) {
+                onToken(responseText);
+            }
+            return responseText;
+        }
+
+        const { provider, model } = this.resolve(task);
+
+        logger.debug({
+            message: 'LLM completion requested',
+            task,
+            provider: provider.name,
+            model
+        });
+
+        const responseText = await provider.complete({ model, system, prompt, temperature, maxTokens, onToken, signal });
+
+        if (this.fixtures && this.fixtures.mode === 'record') {
+            await this.fixtures.record(task, { system, prompt }, responseText, {
+                provider: provider.name,
+                model
+            });
+        }
+
+        return responseText;
+    }
+}
+
+let defaultRegistry = null;
+
+function getDefaultRegistry() {
+    if (!defaultRegistry) {
+        defaultRegistry = new ProviderRegistry();
+    }
+    return defaultRegistry;
+}
+
+module.exports = {
+    ProviderRegistry,
+    OpenAIProvider,
+    AnthropicProvider,
+    FakeProvider,
+    getDefaultRegistry,
+    TASK_DEFAULTS
+};
@@ -0,0 +1,55 @@
+const { ProviderRegistry, FakeProvider } = require('./llmProvider');
+
+function registry(env = {}) {
+    return new ProviderRegistry({ env, registerDefaults: false, fixtures: null })
+        .register('openai', new FakeProvider({ name: 'openai', defaultModel: 'gpt', responder: 'from openai' }))
+        .register('anthropic', new FakeProvider({ name: 'anthropic', defaultModel: 'claude', responder: 'from anthropic' }));
+}
+
+describe('ProviderRegistry', () => {
+    test('routes each task to its default provider', async () => {
+        const providers = registry();
+
+        expect(await providers.complete('planning', { prompt: 'p' })).toBe('from openai');
+        expect(await providers.complete('codeAnalysis', { prompt: 'p' })).toBe('from anthropic');
+    });
+
+    test('per-task environment overrides win over LLM_PROVIDER', () => {
+        const providers = registry({
+            LLM_PROVIDER: 'anthropic',
+            LLM_CODE_ANALYSIS_PROVIDER: 'openai',
+            LLM_CODE_ANALYSIS_MODEL: 'gpt-mini'
+        });
+
+        expect(providers.resolve('planning')).toMatchObject({ provider: { name: 'anthropic' }, model: 'claude' });
+        expect(providers.resolve('codeAnalysis')).toMatchObject({ provider: { name: 'openai' }, model: 'gpt-mini' });
+    });
+
+    test('configureTask takes precedence over the environment', () => {
+        const providers = registry({ LLM_PLANNING_PROVIDER: 'openai' })
+            .configureTask('planning', { provider: 'anthropic', model: 'pinned' });
+
+        expect(providers.resolve('planning')).toMatchObject({ provider: { name: 'anthropic' }, model: 'pinned' });
+    });
+
+    test('factories are built once, on first use', () => {
+        const factory = jest.fn(() => new FakeProvider({ name: 'local' }));
+        const providers = registry({ LLM_PROVIDER: 'local' }).register('local', factory);
+
+        expect(factory).not.toHaveBeenCalled();
+        providers.resolve('planning');
+        providers.resolve('webAgent');
+        expect(factory).toHaveBeenCalledTimes(1);
+    });
+
+    test('rejects unknown providers', () => {
+        expect(() => registry({ LLM_PROVIDER: 'nope' }).resolve('planning')).toThrow('Unknown LLM provider: nope');
+    });
+
+    test('streams the response through onToken', async () => {
+        const tokens = [];
+        await registry().complete('planning', { prompt: 'p', onToken: token => tokens.push(token) });
+
+        expect(tokens).toEqual(['from openai']);
+    });
+});
@@ -0,0 +1,63 @@
+// Imports the JSON jobs of the file store into the SQLite store. Jobs that
+// already exist in the database are left as they are, so the command can be
+// re-run safely.
+//
+//   npm run migrate:jobs -- [--from ./jobs] [--to ./jobs/jobs.sqlite]
+
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const FileJobStore = require('../services/fileJobStore');
+const SqliteJobStore = require('../services/sqliteJobStore');
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--from' || argv[i] === '--to') {
+            args[argv[i].substring(2)] = argv[++i];
+        }
+    }
+    return args;
+}
+
+async function migrateJobs({ from, to } = {}) {
+    const source = new FileJobStore(from && { dir: from });
+    const target = new SqliteJobStore(to && { file: to });
+    const summary = { imported: 0, skipped: 0, failed: [] };
+
+    try {
+        for (const job of await source.all()) {
+            try {
+                if (await target.import(job)) {
+                    summary.imported++;
+                } else {
+                    summary.skipped++;
+                }
+            } catch (error) {
+                summary.failed.push({ id: job.id, error: error.message });
+            }
+        }
+    } finally {
+        await target.close();
+    }
+
+    return { ...summary, from: source.dir, to: target.file };
+}
+
+if (require.main === module) {
+    migrateJobs(parseArgs(process.argv.slice(2)))
+        .then(summary => {
+            console.log(`Imported ${summary.imported} job(s) from ${summary.from} into ${summary.to}; ${summary.skipped} already present`);
+            for (const failure of summary.failed) {
+                console.error(`Failed to import ${failure.id}: ${failure.error}`);
+            }
+            process.exitCode = summary.failed.length > 0 ? 1 : 0;
+        })
+        .catch(error => {
+            console.error(`Migration failed: ${error.message}`);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = { migrateJobs };
@@ -0,0 +1,31 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { migrateJobs } = require('./migrateJobs');
+const SqliteJobStore = require('../services/sqliteJobStore');
+
+describe('migrateJobs', () => {
+    let dir;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'migrate-jobs-'));
+        await fs.outputJson(path.join(dir, 'jobs/job-1.json'), { id: 'job-1', status: 'completed', createdAt: '2026-01-01T00:00:00.000Z' });
+        await fs.outputJson(path.join(dir, 'jobs/job-2.json'), { id: 'job-2', status: 'failed', createdAt: '2026-01-02T00:00:00.000Z' });
+    });
+
+    afterEach(() => fs.remove(dir));
+
+    test('imports the file jobs and can be run again', async () => {
+        const options = { from: path.join(dir, 'jobs'), to: path.join(dir, 'jobs.sqlite') };
+
+        expect(await migrateJobs(options)).toMatchObject({ imported: 2, skipped: 0, failed: [] });
+        expect(await migrateJobs(options)).toMatchObject({ imported: 0, skipped: 2, failed: [] });
+
+        const store = new SqliteJobStore({ file: options.to });
+        try {
+            expect((await store.list()).jobs.map(job => job.id)).toEqual(['job-2', 'job-1']);
+        } finally {
+            await store.close();
+        }
+    });
+});
@@ -0,0 +1,343 @@
+const { parseDatabaseSchema, toCamelCase } = require('./schemaModels');
+const { databaseFor } = require('./stackTemplates');
+const { androidBasePackage, sourceRoot } = require('./scaffoldTemplates');
+
+// Deterministic model files generated from planningData.database_schema, so
+// every platform shares the same field names and types. The agents import
+// these files and are not allowed to overwrite them.
+
+const SWIFT_TYPES = {
+    id: 'String',
+    string: 'String',
+    number: 'Double',
+    integer: 'Int',
+    boolean: 'Bool',
+    date: 'Date',
+    object: '[String: String]'
+};
+
+const KOTLIN_TYPES = {
+    id: 'String',
+    string: 'String',
+    number: 'Double',
+    integer: 'Int',
+    boolean: 'Boolean',
+    date: 'String',
+    object: 'Map<String, String>'
+};
+
+const TYPESCRIPT_TYPES = {
+    id: 'string',
+    string: 'string',
+    number: 'number',
+    integer: 'number',
+    boolean: 'boolean',
+    date: 'string',
+    object: 'Record<string, unknown>'
+};
+
+const MONGOOSE_TYPES = {
+    string: 'String',
+    number: 'Number',
+    integer: 'Number',
+    boolean: 'Boolean',
+    date: 'Date',
+    object: 'mongoose.Schema.Types.Mixed',
+    id: 'String'
+};
+
+const SQL_TYPES = {
+    postgresql: {
+        id: 'UUID',
+        string: 'TEXT',
+        number: 'DOUBLE PRECISION',
+        integer: 'INTEGER',
+        boolean: 'BOOLEAN',
+        date: 'TIMESTAMPTZ',
+        object: 'JSONB'
+    },
+    // The column types Prisma itself creates for the MySQL schema
+    mysql: {
+        id: 'VARCHAR(191)',
+        string: 'VARCHAR(191)',
+        number: 'DOUBLE',
+        integer: 'INT',
+        boolean: 'BOOLEAN',
+        date: 'DATETIME(3)',
+        object: 'JSON'
+    }
+};
+
+const PRISMA_TYPES = {
+    id: 'String',
+    string: 'String',
+    number: 'Float',
+    integer: 'Int',
+    boolean: 'Boolean',
+    date: 'DateTime',
+    object: 'Json'
+};
+
+const HEADER = 'Generated from the database schema. Do not edit; regenerate instead.';
+
+function androidPackage(planningData) {
+    return `${androidBasePackage(planningData)}.data.models`;
+}
+
+function swiftModel(model) {
+    const properties = model.fields.map(field => {
+        const type = field.isArray ? `[${SWIFT_TYPES[field.type]}]` : SWIFT_TYPES[field.type];
+        return { name: toCamelCase(field.name), key: field.name, type: field.required ? type : `${type}?` };
+    });
+    const needsCodingKeys = properties.some(property => property.name !== property.key);
+
+    return `// ${HEADER}
+// Dates are ISO 8601; decode with JSONDecoder.dateDecodingStrategy = .iso8601.
+import Foundation
+
+struct ${model.name}: Codable, Identifiable, Hashable {
+${properties.map(property => `    let ${property.name}: ${property.type}`).join('\n')}
+${needsCodingKeys ? `
+    enum CodingKeys: String, CodingKey {
+${properties.map(property => `        case ${property.name}${property.name !== property.key ? ` = "${property.key}"` : ''}`).join('\n')}
+    }
+` : ''}}
+`;
+}
+
+function kotlinModel(model, packageName) {
+    const properties = model.fields.map(field => {
+        const type = field.isArray ? `List<${KOTLIN_TYPES[field.type]}>` : KOTLIN_TYPES[field.type];
+        const name = toCamelCase(field.name);
+        const annotation = name !== field.name ? `@SerializedName("${field.name}") ` : '';
+        return `    ${annotation}val ${name}: ${field.required ? type : `${type}? = null`}`;
+    });
+    const needsSerializedName = properties.some(property => property.includes('@SerializedName'));
+
+    return `// ${HEADER}
+package ${packageName}
+${needsSerializedName ? '\nimport com.google.gson.annotations.SerializedName\n' : ''}
+data class ${model.name}(
+${properties.join(',\n')}
+)
+`;
+}
+
+function typescriptModels(models) {
+    const interfaces = models.map(model => `export interface ${model.name} {
+${model.fields.map(field => {
+        const type = field.isArray ? `${TYPESCRIPT_TYPES[field.type]}[]` : TYPESCRIPT_TYPES[field.type];
+        const name = /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(field.name) ? field.name : `'${field.name}'`;
+        return `  ${name}${field.required ? '' : '?'}: ${type};${field.ref ? ` // ${field.ref} id` : ''}`;
+    }).join('\n')}
+}`);
+
+    return `// ${HEADER}
+// Dates are ISO 8601 strings.
+
+${interfaces.join('\n\n')}
+`;
+}
+
+function mongooseModel(model) {
+    // `timestamps: true` maintains createdAt/updatedAt
+    const fields = model.fields
+        .filter(field => !['id', 'createdAt', 'updatedAt'].includes(field.name))
+        .map(field => {
+            const base = field.ref
+                ? `{ type: mongoose.Schema.Types.ObjectId, ref: '${field.ref}'${field.required && !field.isArray ? ', required: true' : ''} }`
+                : `{ type: ${MONGOOSE_TYPES[field.type]}${field.required && !field.isArray ? ', required: true' : ''} }`;
+            return `    ${field.name}: ${field.isArray ? `[${base}]` : base}`;
+        });
+
+    return `// ${HEADER}
+const mongoose = require('mongoose');
+
+const ${toCamelCase(model.name)}Schema = new mongoose.Schema({
+${fields.join(',\n')}
+}, {
+    timestamps: true,
+    toJSON: {
+        virtuals: true,
+        versionKey: false,
+        transform: (doc, ret) => {
+            ret.id = ret._id.toString();
+            delete ret._id;
+            return ret;
+        }
+    }
+});
+
+module.exports = mongoose.model('${model.name}', ${toCamelCase(model.name)}Schema);
+`;
+}
+
+// Column names keep the API casing, so mixed-case names are quoted
+function sqlIdentifier(name, provider = 'postgresql') {
+    if (/^[a-z_][a-z0-9_]*$/.test(name)) {
+        return name;
+    }
+    return provider === 'mysql' ? `\`${name}\`` : `"${name}"`;
+}
+
+function sqlSchema(models, provider = 'postgresql') {
+    const postgres = provider === 'postgresql';
+    const types = SQL_TYPES[provider];
+    const identifier = name => sqlIdentifier(name, provider);
+    const timestamp = postgres ? 'TIMESTAMPTZ NOT NULL DEFAULT now()' : 'DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3)';
+    const tableFor = Object.fromEntries(models.map(model => [model.name, model.collection]));
+    const foreignKeys = [];
+
+    const tables = models.map(model => {
+        const table = identifier(model.collection);
+        const columns = model.fields.map(field => {
+            if (field.name === 'id') {
+                return postgres
+                    ? '    id UUID PRIMARY KEY DEFAULT gen_random_uuid()'
+                    : '    id VARCHAR(191) NOT NULL PRIMARY KEY';
+            }
+
+            let type = types[field.type];
+            if (field.isArray) {
+                // MySQL has no array columns; Prisma stores them as JSON
+                type = postgres && field.type !== 'object' ? `${type}[]` : types.object;
+            }
+            if (field.ref && !field.isArray && tableFor[field.ref]) {
+                foreignKeys.push(`ALTER TABLE ${table} ADD FOREIGN KEY (${identifier(field.name)}) REFERENCES ${identifier(tableFor[field.ref])}(id);`);
+            }
+            return `    ${identifier(field.name)} ${type}${field.required ? ' NOT NULL' : ''}`;
+        });
+
+        const names = model.fields.map(field => field.name);
+        if (!names.includes('created_at') && !names.includes('createdAt')) {
+            columns.push(`    created_at ${timestamp}`);
+        }
+        if (!names.includes('updated_at') && !names.includes('updatedAt')) {
+            columns.push(`    updated_at ${timestamp}`);
+        }
+
+        return `CREATE TABLE IF NOT EXISTS ${table} (\n${columns.join(',\n')}\n);`;
+    });
+
+    // Added after every table exists, so declaration order does not matter
+    return `-- ${HEADER}
+${postgres ? 'CREATE EXTENSION IF NOT EXISTS pgcrypto;\n\n' : ''}${tables.join('\n\n')}
+${foreignKeys.length > 0 ? `\n${foreignKeys.join('\n')}\n` : ''}`;
+}
+
+// Models map to the same tables and columns as sqlSchema, so the initial
+// migration generated from it matches the Prisma schema
+function prismaSchema(models, provider) {
+    const postgres = provider === 'postgresql';
+    const uuid = postgres ? ' @db.Uuid' : '';
+    const backRelations = Object.fromEntries(models.map(model => [model.name, []]));
+
+    const blocks = models.map(model => {
+        const lines = [];
+
+        for (const field of model.fields) {
+            if (field.name === 'id') {
+                lines.push(`  id String @id @default(uuid())${uuid}`);
+                continue;
+            }
+
+            let type = PRISMA_TYPES[field.type];
+            if (field.isArray) {
+                type = postgres && field.type !== 'object' ? `${type}[]` : 'Json';
+            } else if (!field.required) {
+                type = `${type}?`;
+            }
+            lines.push(`  ${field.name} ${type}${field.type === 'id' && !(field.isArray && !postgres) ? uuid : ''}`);
+
+            // Prisma needs both sides of a relation
+            if (field.ref && !field.isArray && backRelations[field.ref]) {
+                const relation = `${model.name}${field.name.charAt(0).toUpperCase()}${field.name.slice(1)}`;
+                const relationField = field.name.replace(/(Id|_id)$/, '') !== field.name
+                    ? field.name.replace(/(Id|_id)$/, '')
+                    : `${field.name}Ref`;
+                lines.push(`  ${relationField} ${field.ref}${field.required ? '' : '?'} @relation("${relation}", fields: [${field.name}], references: [id])`);
+                backRelations[field.ref].push(`  ${toCamelCase(model.collection)}By${relation.slice(model.name.length)} ${model.name}[] @relation("${relation}")`);
+            }
+        }
+
+        const names = model.fields.map(field => field.name);
+        if (!names.includes('created_at') && !names.includes('createdAt')) {
+            lines.push('  createdAt DateTime @default(now()) @map("created_at")');
+        }
+        if (!names.includes('updated_at') && !names.includes('updatedAt')) {
+            lines.push('  updatedAt DateTime @default(now()) @updatedAt @map("updated_at")');
+        }
+
+        return { model, lines };
+    });
+
+    return `// ${HEADER}
+generator client {
+  provider = "prisma-client-js"
+}
+
+datasource db {
+  provider = "${provider}"
+  url      = env("DATABASE_URL")
+}
+
+${blocks.map(({ model, lines }) => `model ${model.name} {
+${[...lines, ...backRelations[model.name]].join('\n')}
+
+  @@map("${model.collection}")
+}`).join('\n\n')}
+`;
+}
+
+function backendModels(planningData, models) {
+    switch (databaseFor(planningData)) {
+        case 'postgresql':
+            return {
+                'prisma/schema.prisma': prismaSchema(models, 'postgresql'),
+                'prisma/migrations/00000000000000_init/migration.sql': sqlSchema(models),
+                'prisma/migrations/migration_lock.toml': 'provider = "postgresql"\n'
+            };
+        case 'mysql':
+            return {
+                'prisma/schema.prisma': prismaSchema(models, 'mysql'),
+                'prisma/migrations/00000000000000_init/migration.sql': sqlSchema(models, 'mysql'),
+                'prisma/migrations/migration_lock.toml': 'provider = "mysql"\n'
+            };
+        case 'firebase':
+            // Firestore is schemaless; the clients still get typed models
+            return {};
+        default:
+            return Object.fromEntries(models.map(model => [`models/${model.name}.js`, mongooseModel(model)]));
+    }
+}
+
+// { [path relative to the platform directory]: content }
+function generateModels(planningData, platform) {
+    const models = parseDatabaseSchema(planningData.database_schema);
+    if (models.length === 0) {
+        return {};
+    }
+
+    // Native sources live below the skeleton's source root
+    const root = sourceRoot(planningData, platform);
+
+    switch (platform) {
+        case 'ios':
+            return Object.fromEntries(models.map(model => [`${root}Models/${model.name}.swift`, swiftModel(model)]));
+        case 'android': {
+            const packageName = androidPackage(planningData);
+            return Object.fromEntries(models.map(model => [`${root}data/models/${model.name}.kt`, kotlinModel(model, packageName)]));
+        }
+        case 'web':
+            return { 'lib/models.ts': typescriptModels(models) };
+        case 'backend':
+            return backendModels(planningData, models);
+        default:
+            return {};
+    }
+}
+
+module.exports = {
+    generateModels,
+    androidPackage
+};
@@ -0,0 +1,57 @@
+const { generateModels } = require('./modelGenerator');
+
+const planningData = {
+    app_name: 'Shop',
+    database_schema: {
+        users: { fields: ['email'] },
+        products: { fields: ['name', 'price: number', 'owner: ObjectId ref User'] }
+    },
+    tech_stack: { backend: 'Node.js, Express, MongoDB' }
+};
+
+function withDatabase(database) {
+    return { ...planningData, preferences: { database } };
+}
+
+describe('generateModels', () => {
+    test('writes one model file per collection in each platform\'s layout', () => {
+        expect(Object.keys(generateModels(planningData, 'ios'))).toEqual(['App/Models/User.swift', 'App/Models/Product.swift']);
+        expect(Object.keys(generateModels(planningData, 'android'))).toEqual([
+            'app/src/main/java/com/shop/data/models/User.kt',
+            'app/src/main/java/com/shop/data/models/Product.kt'
+        ]);
+        expect(Object.keys(generateModels(planningData, 'web'))).toEqual(['lib/models.ts']);
+        expect(Object.keys(generateModels(planningData, 'backend'))).toEqual(['models/User.js', 'models/Product.js']);
+    });
+
+    test('gives PostgreSQL and MySQL a Prisma schema with a matching initial migration', () => {
+        for (const database of ['postgresql', 'mysql']) {
+            const files = generateModels(withDatabase(database), 'backend');
+
+            expect(Object.keys(files)).toEqual([
+                'prisma/schema.prisma',
+                'prisma/migrations/00000000000000_init/migration.sql',
+                'prisma/migrations/migration_lock.toml'
+            ]);
+            expect(files['prisma/schema.prisma']).toContain(`provider = "${database}"`);
+            expect(files['prisma/migrations/migration_lock.toml']).toBe(`provider = "${database}"\n`);
+            expect(files['prisma/migrations/00000000000000_init/migration.sql'])
+                .toContain('ALTER TABLE products ADD FOREIGN KEY (owner) REFERENCES users(id);');
+        }
+    });
+
+    test('uses column types each database supports', () => {
+        const postgres = generateModels(withDatabase('postgresql'), 'backend')['prisma/migrations/00000000000000_init/migration.sql'];
+        const mysql = generateModels(withDatabase('mysql'), 'backend')['prisma/migrations/00000000000000_init/migration.sql'];
+
+        expect(postgres).toContain('id UUID PRIMARY KEY DEFAULT gen_random_uuid()');
+        expect(postgres).toContain('price DOUBLE PRECISION NOT NULL');
+        expect(mysql).toContain('id VARCHAR(191) NOT NULL PRIMARY KEY');
+        expect(mysql).toContain('price DOUBLE NOT NULL');
+        expect(mysql).not.toMatch(/UUID|TIMESTAMPTZ|pgcrypto/);
+    });
+
+    test('generates nothing without a database schema', () => {
+        expect(generateModels({ ...planningData, database_schema: {} }, 'web')).toEqual({});
+    });
+});
@@ -1,41 +1,48 @@
-const OpenAI = require('openai');
-const Anthropic = require('@anthropic-ai/sdk');
+const { getDefaultRegistry } = require('./llmProvider');
+const {
+    planningSchema,
+    refinementSchema,
+    recommendationsSchema,
+    validatePlan,
+    validateRefinement,
+    validateRecommendations
+} = require('./planningSchema');
+const { describePreferences } = require('./stackTemplates');
+const { buildBatches, estimateTokens, packByTokens } = require('./codeChunker');
+const { isCancellation } = require('./cancellation');
 const { logger } = require('../middleware/logger');
 
+// Paths listed in the recommendations prompt; larger uploads are cut off
+const MAX_LISTED_FILES = 500;
+
+// PLANNING_MAX_REPAIR_ATTEMPTS (default 2); 0 turns the repair loop off
+function repairAttempts() {
+    const configured = (process.env.PLANNING_MAX_REPAIR_ATTEMPTS || '').trim();
+    const attempts = Number(configured);
+    return configured !== '' && Number.isInteger(attempts) && attempts >= 0 ? attempts : 2;
+}
+
 class PlanningEngine {
-    constructor() {
-        this.openai = new OpenAI({
-            apiKey: process.env.OPENAI_API_KEY
-        });
-        
-        this.anthropic = new Anthropic({
-            apiKey: process.env.ANTHROPIC_API_KEY
-        });
+    constructor(providers = getDefaultRegistry()) {
+        this.providers = providers;
+        // Estimated prompt tokens per analysis batch, and for a whole upload
+        this.analysisBatchTokens = parseInt(process.env.ANALYSIS_BATCH_TOKENS) || 8000;
+        this.analysisTokenBudget = parseInt(process.env.ANALYSIS_TOKEN_BUDGET) || 400000;
     }
 
-    async analyzeDescription(description) {
+    async analyzeDescription(description, options = {}) {
         try {
-            const prompt = this.buildPlanningPrompt(description);
-            
-            // Use OpenAI GPT-4 for planning
-            const response = await this.openai.chat.completions.create({
-                model: "gpt-4-turbo-preview",
-                messages: [
-                    {
-                        role: "system",
-                        content: "You are an expert software architect. Analyze app descriptions and create detailed technical specifications."
-                    },
-                    {
-                        role: "user",
-                        content: prompt
-                    }
-                ],
+            const planningData = await this.completeWithValidation('planning', {
+                system: "You are an expert software architect. Analyze app descriptions and create detailed technical specifications.",
+                prompt: this.buildPlanningPrompt(description, options.preferences),
                 temperature: 0.3,
-                max_tokens: 4000
+                maxTokens: 4000
+            }, {
+                validate: validatePlan,
+                schema: planningSchema,
+                onAttempt: options.onValidationAttempt
             });
 
-            const planningData = await this.parseAIResponse(response.choices[0].message.content);
-            
             logger.info({
                 message: 'Planning analysis completed',
                 features: planningData.features?.length || 0,
@@ -49,18 +56,193 @@ class PlanningEngine {
                 error: error.message,
                 description: description.substring(0, 100)
             });
-            throw new Error(`Planning analysis failed: ${error.message}`);
+            throw new Error(`Planning analysis failed: ${error.message}`, { cause: error });
+        }
+    }
+
+    // Decides which platforms and files a follow-up instruction touches
+    async planRefinement(planningData, instruction, existingFiles) {
+        try {
+            const refinement = await this.completeWithValidation('refinement', {
+                system: "You are an expert software architect. Scope incremental changes to existing multi-platform codebases.",
+                prompt: this.buildRefinementPrompt(planningData, instruction, existingFiles),
+                temperature: 0.2,
+                maxTokens: 2000
+            }, {
+                validate: validateRefinement,
+                schema: refinementSchema
+            });
+
+            // Only platforms that were generated can be refined
+            refinement.platforms = refinement.platforms.filter(platform => planningData.platforms.includes(platform));
+            if (refinement.platforms.length === 0) {
+                throw new Error('Instruction does not affect any generated platform');
+            }
+
+            logger.info({
+                message: 'Refinement planned',
+                platforms: refinement.platforms
+            });
+
+            return refinement;
+        } catch (error) {
+            logger.error({
+                message: 'Refinement planning error',
+                error: error.message,
+                instruction: instruction.substring(0, 100)
+            });
+            throw new Error(`Refinement planning failed: ${error.message}`, { cause: error });
+        }
+    }
+
+    // Adds the features and endpoints a refinement introduces to the plan
+    applyPlanningUpdates(planningData, updates = {}) {
+        const features = [...planningData.features];
+        for (const feature of updates.features || []) {
+            if (!features.includes(feature)) {
+                features.push(feature);
+            }
+        }
+
+        const apiEndpoints = [...planningData.api_endpoints];
+        for (const endpoint of updates.api_endpoints || []) {
+            const exists = apiEndpoints.some(e => e.method === endpoint.method && e.path === endpoint.path);
+            if (!exists) {
+                apiEndpoints.push(endpoint);
+            }
+        }
+
+        return {
+            ...planningData,
+            features,
+            api_endpoints: apiEndpoints
+        };
+    }
+
+    buildRefinementPrompt(planningData, instruction, existingFiles) {
+        return `
+# TASK
+Decide which platforms and files must change to apply a follow-up instruction to an already generated application.
+
+# TECHNICAL SPECIFICATION
+${JSON.stringify(planningData, null, 2)}
+
+# EXISTING FILES
+${Object.entries(existingFiles).map(([platform, files]) => `## ${platform}
+${files.map(file => `- ${file}`).join('\n')}`).join('\n\n')}
+
+# INSTRUCTION
+"${instruction}"
+
+# INSTRUCTIONS
+1. ONLY provide a response that fully complies with the following JSON template.
+2. List ONLY the platforms the instruction affects.
+3. For each affected platform, list the existing files to modify and any new files to create, relative to the platform directory.
+4. Put new features or endpoints the instruction introduces in "planning_updates"; omit it if nothing changes.
+
+# JSON TEMPLATE
+\`\`\`json
+{
+"summary": "string",
+"platforms": ["web", "ios"],
+"files": {
+"web": ["app/layout.tsx", "components/ThemeToggle.tsx"],
+"ios": ["ContentView.swift"]
+},
+"planning_updates": {
+"features": ["string"]
+}
+}
+\`\`\`
+
+# IMPORTANT NOTICE
+Your response must be in JSON format ONLY. Please follow this rule.
+`;
+    }
+
+    // Asks for JSON, validates it and re-asks with the validation errors until
+    // the response passes or the attempt limit is reached. `onAttempt` receives
+    // the outcome of every attempt so callers can keep a record of them.
+    async completeWithValidation(task, request, { validate, schema, onAttempt, maxAttempts }) {
+        const attempts = maxAttempts || 1 + repairAttempts();
+        let prompt = request.prompt;
+        let errors = [];
+
+        for (let attempt = 1; attempt <= attempts; attempt++) {
+            const responseText = await this.providers.complete(task, { ...request, prompt });
+
+            let result = null;
+            try {
+                result = await this.parseAIResponse(responseText);
+                errors = validate(result).errors;
+            } catch (parseError) {
+                errors = [parseError.message];
+            }
+
+            if (onAttempt) {
+                onAttempt({
+                    attempt,
+                    valid: errors.length === 0,
+                    errors,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            if (errors.length === 0) {
+                return result;
+            }
+
+            logger.warn({
+                message: 'AI response failed schema validation',
+                task,
+                attempt,
+                errors
+            });
+
+            prompt = this.buildRepairPrompt(request.prompt, responseText, errors, schema);
         }
+
+        throw new Error(`Response failed schema validation after ${attempts} attempts: ${errors.join('; ')}`);
     }
 
-    buildPlanningPrompt(description) {
+    buildRepairPrompt(originalPrompt, previousResponse, errors, schema) {
+        return `${originalPrompt}
+
+# PREVIOUS RESPONSE
+Your previous response did not pass validation:
+\`\`\`json
+${previousResponse.substring(0, 12000)}
+\`\`\`
+
+# VALIDATION ERRORS
+${errors.map(error => `- ${error}`).join('\n')}
+
+# JSON SCHEMA
+\`\`\`json
+${JSON.stringify(schema, null, 2)}
+\`\`\`
+
+# REPAIR INSTRUCTIONS
+1. Fix ONLY the fields listed in the validation errors; keep every other value unchanged.
+2. Return the COMPLETE corrected JSON object, not just the changed fields.
+3. Your response must be in JSON format ONLY.
+`;
+    }
+
+    buildPlanningPrompt(description, preferences = {}) {
+        const stackPreferences = describePreferences(preferences);
+
         return `
 # TASK
 Analyze the following application description and create a comprehensive technical specification.
 
 # APPLICATION DESCRIPTION
 "${description}"
-
+${stackPreferences ? `
+# STACK PREFERENCES
+The user has chosen the following technologies. "tech_stack", "deployment", "integrations", "database_schema" and "api_endpoints" must be consistent with them.
+${stackPreferences}
+` : ''}
 # INSTRUCTIONS
 1. ONLY provide a response that fully complies with the following JSON template.
 2. Do not include any descriptions, comments, or additional text outside of the JSON.
@@ -162,37 +344,357 @@ Your response must be in JSON format ONLY. Please follow this rule.
         }
     }
 
-    async analyzeExistingCode(codeFiles) {
+    // Map-reduce analysis for codebases of any size: files are summarised in
+    // module-grouped batches that fit the token budget, the batch summaries
+    // are merged per module, and the module summaries into the final
+    // analysis. `onProgress` receives { batchesCompleted, batchesTotal,
+    // module } after every batch and may return a promise. `metrics` from
+    // codeMetrics grounds the final analysis. Resolves to { analysis, coverage }.
+    async analyzeExistingCode(codeFiles, { onProgress, metrics } = {}) {
         try {
-            const codeAnalysis = await this.anthropic.messages.create({
-                model: "claude-3-opus-20240229",
-                max_tokens: 4000,
-                messages: [
-                    {
-                        role: "user",
-                        content: `Analyze the following codebase and extract its structure, features, and technologies:
-
-${codeFiles.map(file => `
-File: ${file.name}
-\`\`\`${file.extension}
-${file.content}
-\`\`\`
-`).join('\n')}
+            const { batches, skipped } = buildBatches(codeFiles, {
+                batchTokens: this.analysisBatchTokens,
+                totalTokens: this.analysisTokenBudget
+            });
+            if (batches.length === 0) {
+                throw new Error('No code files fit the analysis budget');
+            }
+
+            // Map: summarise every batch; a failed batch only loses its files
+            const fileSummaries = {};
+            const failedBatches = [];
+            for (let index = 0; index < batches.length; index++) {
+                const batch = batches[index];
+                try {
+                    const result = await this.summarizeBatch(batch);
+                    for (const file of batch.files) {
+                        const summary = result.files && result.files[file.name];
+                        if (!summary) continue;
 
-Return a JSON object describing the codebase structure, identified features, technologies used, and suggestions for modernization.`
+                        // Parts of a split file are summarised separately
+                        const previous = fileSummaries[file.name];
+                        fileSummaries[file.name] = previous
+                            ? { ...previous, summary: `${previous.summary} ${summary.summary}` }
+                            : { module: batch.module, ...summary };
                     }
-                ]
+                } catch (error) {
+                    if (isCancellation(error)) throw error;
+                    logger.warn({
+                        message: 'Analysis batch failed',
+                        batch: index + 1,
+                        module: batch.module,
+                        error: error.message
+                    });
+                    failedBatches.push(index + 1);
+                }
+
+                if (onProgress) {
+                    await onProgress({ batchesCompleted: index + 1, batchesTotal: batches.length, module: batch.module });
+                }
+            }
+
+            if (Object.keys(fileSummaries).length === 0) {
+                throw new Error('No batch of the codebase could be summarised');
+            }
+
+            // Reduce: one summary per module, then the final analysis
+            const modules = {};
+            for (const [file, summary] of Object.entries(fileSummaries)) {
+                (modules[summary.module] = modules[summary.module] || {})[file] = summary;
+            }
+
+            let moduleSummaries = [];
+            for (const [module, files] of Object.entries(modules)) {
+                moduleSummaries.push(await this.mergeSummaries(module, files));
+            }
+
+            // Merge module summaries further until they fit one prompt
+            while (moduleSummaries.length > 1
+                && estimateTokens(JSON.stringify(moduleSummaries)) > this.analysisBatchTokens) {
+                const groups = packByTokens(moduleSummaries, this.analysisBatchTokens);
+                if (groups.length === moduleSummaries.length) break;
+
+                const merged = [];
+                for (const group of groups) {
+                    merged.push(group.length === 1
+                        ? group[0]
+                        : await this.mergeSummaries(group.map(summary => summary.module).join(', '), group));
+                }
+                moduleSummaries = merged;
+            }
+
+            const analysis = await this.completeAnalysis(moduleSummaries, codeFiles.length, metrics);
+            const coverage = this.buildCoverageReport(codeFiles, batches, fileSummaries, skipped, failedBatches);
+
+            logger.info({
+                message: 'Codebase analysis completed',
+                batches: batches.length,
+                filesCovered: coverage.filesCovered,
+                filesTotal: coverage.filesTotal
             });
 
-            return await this.parseAIResponse(codeAnalysis.content[0].text);
+            return { analysis, coverage };
         } catch (error) {
             logger.error({
                 message: 'Code analysis error',
                 error: error.message
             });
-            throw new Error(`Code analysis failed: ${error.message}`);
+            throw new Error(`Code analysis failed: ${error.message}`, { cause: error });
         }
     }
+
+    // Concrete, file-level recommendations for an analysed codebase.
+    // `files` are the analysed paths; recommendations may only cite those.
+    async recommendChanges(analysis, { instruction, targetPlatform, modernizationType, metrics, files = [], onValidationAttempt } = {}) {
+        try {
+            const recommendations = await this.completeWithValidation('recommendations', {
+                system: "You are an expert software architect. Give specific, actionable recommendations for existing codebases.",
+                prompt: this.buildRecommendationsPrompt(analysis, { instruction, targetPlatform, modernizationType, metrics, files }),
+                temperature: 0.3,
+                maxTokens: 4000
+            }, {
+                validate: result => validateRecommendations(result, { files, requireTarget: Boolean(modernizationType) }),
+                schema: recommendationsSchema,
+                onAttempt: onValidationAttempt
+            });
+
+            logger.info({
+                message: 'Recommendations generated',
+                recommendations: recommendations.recommendations.length
+            });
+
+            return recommendations;
+        } catch (error) {
+            logger.error({
+                message: 'Recommendation error',
+                error: error.message,
+                instruction: instruction && instruction.substring(0, 100)
+            });
+            throw new Error(`Recommendations failed: ${error.message}`, { cause: error });
+        }
+    }
+
+    buildRecommendationsPrompt(analysis, { instruction, targetPlatform, modernizationType, metrics, files }) {
+        return `
+# TASK
+Recommend changes to an existing codebase based on its analysis and the user's instruction.
+
+# USER INSTRUCTION
+"${instruction}"
+${targetPlatform ? `
+# TARGET PLATFORM
+${targetPlatform}
+` : ''}${modernizationType ? `
+# MODERNIZATION TYPE
+${modernizationType} - name the framework to move to in "target_framework", and per recommendation where it differs.
+` : ''}
+# CODEBASE ANALYSIS
+\`\`\`json
+${JSON.stringify(analysis, null, 2)}
+\`\`\`
+${metrics ? `
+# STATIC METRICS
+\`\`\`json
+${JSON.stringify(metrics, null, 2)}
+\`\`\`
+` : ''}
+# ANALYZED FILES
+${files.slice(0, MAX_LISTED_FILES).map(file => `- ${file}`).join('\n')}${files.length > MAX_LISTED_FILES ? `
+- ... and ${files.length - MAX_LISTED_FILES} more` : ''}
+
+# INSTRUCTIONS
+1. ONLY provide a response that fully complies with the following JSON template.
+2. Address the user instruction first; order recommendations by severity.
+3. Every recommendation must list the files it concerns, using exact paths from "ANALYZED FILES".
+4. "severity" is one of critical, high, medium, low; "effort.size" is one of small, medium, large, with "effort.estimate" in person-days or weeks.
+5. Use the static metrics (complexity, largest files, dependencies) to point at concrete hotspots.${modernizationType ? '' : `
+6. Omit "target_framework".`}
+
+# JSON TEMPLATE
+\`\`\`json
+{
+"summary": "string",${modernizationType ? `
+"target_framework": "string",` : ''}
+"recommendations": [
+{
+"title": "string",
+"description": "string",
+"category": "string",
+"severity": "high",
+"effort": { "size": "medium", "estimate": "3-5 days" },
+"files": ["path/to/file"]${modernizationType ? `,
+"target_framework": "string"` : ''}
+}
+],
+"estimated_effort": "string"
+}
+\`\`\`
+
+# IMPORTANT NOTICE
+Your response must be in JSON format ONLY. Please follow this rule.
+`;
+    }
+
+    async summarizeBatch(batch) {
+        const responseText = await this.providers.complete('codeAnalysis', {
+            system: "You are an expert software architect. Summarise source files precisely and concisely.",
+            prompt: `
+# TASK
+Summarise each of the following files from the "${batch.module}" module of a codebase.
+
+# FILES
+${batch.files.map(file => `## FILE: ${file.name}${file.parts > 1 ? ` (part ${file.part} of ${file.parts})` : ''}
+\`\`\`${file.extension}
+${file.content}
+\`\`\``).join('\n\n')}
+
+# INSTRUCTIONS
+1. ONLY provide a response that fully complies with the following JSON template.
+2. Include EVERY file above under its exact path; a file split into parts gets one entry covering the part shown.
+3. Keep each summary under 60 words.
+
+# JSON TEMPLATE
+\`\`\`json
+{
+"files": {
+"path/to/file": {
+"summary": "string",
+"responsibilities": ["string"],
+"technologies": ["string"],
+"dependencies": ["imported module or file"]
+}
+}
+}
+\`\`\`
+
+# IMPORTANT NOTICE
+Your response must be in JSON format ONLY. Please follow this rule.
+`,
+            temperature: 0.2,
+            maxTokens: 2000
+        });
+
+        return await this.parseAIResponse(responseText);
+    }
+
+    // Merges file or module summaries into one module summary
+    async mergeSummaries(module, summaries) {
+        const responseText = await this.providers.complete('codeAnalysis', {
+            system: "You are an expert software architect. Merge code summaries into concise module descriptions.",
+            prompt: `
+# TASK
+Merge the following summaries of the "${module}" part of a codebase into one module summary.
+
+# SUMMARIES
+\`\`\`json
+${JSON.stringify(summaries, null, 2)}
+\`\`\`
+
+# INSTRUCTIONS
+1. ONLY provide a response that fully complies with the following JSON template.
+2. Keep the summary under 150 words and list only the most important files.
+
+# JSON TEMPLATE
+\`\`\`json
+{
+"summary": "string",
+"responsibilities": ["string"],
+"technologies": ["string"],
+"key_files": ["path/to/file"]
+}
+\`\`\`
+
+# IMPORTANT NOTICE
+Your response must be in JSON format ONLY. Please follow this rule.
+`,
+            temperature: 0.2,
+            maxTokens: 1500
+        });
+
+        return { module, ...await this.parseAIResponse(responseText) };
+    }
+
+    async completeAnalysis(moduleSummaries, fileCount, metrics) {
+        const responseText = await this.providers.complete('codeAnalysis', {
+            maxTokens: 4000,
+            prompt: `
+# TASK
+Analyze a codebase of ${fileCount} files from the following module summaries and extract its structure, features, and technologies.
+
+# MODULE SUMMARIES
+\`\`\`json
+${JSON.stringify(moduleSummaries, null, 2)}
+\`\`\`
+${metrics ? `
+# STATIC METRICS
+Measured locally from the source; treat these numbers as facts.
+\`\`\`json
+${JSON.stringify(metrics, null, 2)}
+\`\`\`
+` : ''}
+# INSTRUCTIONS
+1. ONLY provide a response that fully complies with the following JSON template.
+2. Base every statement on the summaries${metrics ? ' and the static metrics' : ''}; do not guess at code that is not described.
+
+# JSON TEMPLATE
+\`\`\`json
+{
+"structure": {
+"architecture": "string",
+"modules": [{ "name": "string", "summary": "string" }]
+},
+"features": ["string"],
+"technologies": ["string"],
+"suggestions": ["modernization suggestion"]
+}
+\`\`\`
+
+# IMPORTANT NOTICE
+Your response must be in JSON format ONLY. Please follow this rule.
+`
+        });
+
+        return await this.parseAIResponse(responseText);
+    }
+
+    // Which files the analysis actually saw. A file split across batches is
+    // "partial" when only some of its batches succeeded.
+    buildCoverageReport(codeFiles, batches, fileSummaries, skipped, failedBatches) {
+        const batchesByFile = {};
+        batches.forEach((batch, index) => {
+            for (const file of batch.files) {
+                (batchesByFile[file.name] = batchesByFile[file.name] || []).push(index + 1);
+            }
+        });
+
+        const files = codeFiles.map(file => {
+            const fileBatches = [...new Set(batchesByFile[file.name] || [])];
+            let status;
+            if (skipped.includes(file.name)) {
+                status = 'skipped';
+            } else if (!fileSummaries[file.name]) {
+                status = 'failed';
+            } else if (fileBatches.some(batch => failedBatches.includes(batch))) {
+                status = 'partial';
+            } else {
+                status = 'covered';
+            }
+            return { name: file.name, status, batches: fileBatches };
+        });
+
+        const count = status => files.filter(file => file.status === status).length;
+
+        return {
+            filesTotal: files.length,
+            filesCovered: count('covered'),
+            filesPartial: count('partial'),
+            filesFailed: count('failed'),
+            filesSkipped: count('skipped'),
+            batchesTotal: batches.length,
+            failedBatches,
+            files
+        };
+    }
 }
 
 module.exports = PlanningEngine;
@@ -0,0 +1,91 @@
+const PlanningEngine = require('./planningEngine');
+const { ProviderRegistry, FakeProvider } = require('./llmProvider');
+
+function engineWith(responses) {
+    const provider = new FakeProvider({ responder: () => responses.shift() });
+    const providers = new ProviderRegistry({ env: { LLM_PROVIDER: 'fake' }, registerDefaults: false, fixtures: null })
+        .register('fake', provider);
+    return { engine: new PlanningEngine(providers), provider };
+}
+
+const validate = result => ({ errors: result.ok ? [] : ['/ok must be true'] });
+
+describe('PlanningEngine.completeWithValidation', () => {
+    const configured = process.env.PLANNING_MAX_REPAIR_ATTEMPTS;
+
+    afterEach(() => {
+        if (configured === undefined) {
+            delete process.env.PLANNING_MAX_REPAIR_ATTEMPTS;
+        } else {
+            process.env.PLANNING_MAX_REPAIR_ATTEMPTS = configured;
+        }
+    });
+
+    test('re-asks with the validation errors until the response passes', async () => {
+        const { engine, provider } = engineWith(['{"ok":false}', '{"ok":true}']);
+        const attempts = [];
+
+        const result = await engine.completeWithValidation('planning', { prompt: 'plan it' }, {
+            validate,
+            schema: {},
+            onAttempt: attempt => attempts.push(attempt.valid)
+        });
+
+        expect(result).toEqual({ ok: true });
+        expect(attempts).toEqual([false, true]);
+        expect(provider.calls[1].prompt).toContain('- /ok must be true');
+    });
+
+    test('gives up after PLANNING_MAX_REPAIR_ATTEMPTS repairs', async () => {
+        process.env.PLANNING_MAX_REPAIR_ATTEMPTS = '1';
+        const { engine, provider } = engineWith(['{"ok":false}', '{"ok":false}', '{"ok":true}']);
+
+        await expect(engine.completeWithValidation('planning', { prompt: 'p' }, { validate, schema: {} }))
+            .rejects.toThrow('Response failed schema validation after 2 attempts');
+        expect(provider.calls).toHaveLength(2);
+    });
+
+    test('PLANNING_MAX_REPAIR_ATTEMPTS=0 turns repair off', async () => {
+        process.env.PLANNING_MAX_REPAIR_ATTEMPTS = '0';
+        const { engine, provider } = engineWith(['{"ok":false}', '{"ok":true}']);
+
+        await expect(engine.completeWithValidation('planning', { prompt: 'p' }, { validate, schema: {} }))
+            .rejects.toThrow('after 1 attempts');
+        expect(provider.calls).toHaveLength(1);
+    });
+});
+
+describe('PlanningEngine.recommendChanges', () => {
+    const recommendation = files => ({
+        title: 'Split the order service',
+        description: 'createOrder has the highest complexity in the codebase.',
+        severity: 'high',
+        effort: { size: 'medium', estimate: '3-5 days' },
+        files
+    });
+    const response = files => JSON.stringify({
+        summary: 'Reduce complexity in the order flow',
+        recommendations: [recommendation(files)],
+        estimated_effort: '1 week'
+    });
+
+    test('re-asks until every recommendation cites an analysed file', async () => {
+        const { engine, provider } = engineWith([response(['src/orderService.js']), response(['src/orders.js'])]);
+
+        const result = await engine.recommendChanges({ summary: 'An order API' }, {
+            instruction: 'Make it maintainable',
+            files: ['src/orders.js', 'src/users.js']
+        });
+
+        expect(result.recommendations).toEqual([recommendation(['src/orders.js'])]);
+        expect(provider.calls[0].prompt).toContain('- src/orders.js\n- src/users.js');
+        expect(provider.calls[1].prompt).toContain('/recommendations/0/files references unknown file "src/orderService.js"');
+    });
+
+    test('requires a target framework for a modernization', async () => {
+        const { engine } = engineWith([response(['src/orders.js']), response(['src/orders.js']), response(['src/orders.js'])]);
+
+        await expect(engine.recommendChanges({}, { instruction: 'Move to TypeScript', modernizationType: 'framework', files: ['src/orders.js'] }))
+            .rejects.toThrow("must have required property 'target_framework'");
+    });
+});
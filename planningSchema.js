@@ -0,0 +1,214 @@
+const Ajv = require('ajv');
+
+const stringList = {
+    type: 'array',
+    items: { type: 'string' }
+};
+
+const platformMap = {
+    type: 'object',
+    minProperties: 1,
+    additionalProperties: { type: 'string' }
+};
+
+// JSON Schema for the technical specification produced by PlanningEngine.
+// Mirrors the JSON template in buildPlanningPrompt.
+const planningSchema = {
+    $id: 'planning',
+    type: 'object',
+    required: [
+        'app_name',
+        'description',
+        'platforms',
+        'features',
+        'user_stories',
+        'database_schema',
+        'ui_components',
+        'integrations',
+        'api_endpoints',
+        'tech_stack',
+        'deployment'
+    ],
+    properties: {
+        app_name: {
+            type: 'string',
+            pattern: '^[A-Za-z0-9]+(-[A-Za-z0-9]+)*$'
+        },
+        description: { type: 'string', minLength: 1 },
+        platforms: {
+            type: 'array',
+            items: { type: 'string', enum: ['ios', 'android', 'web', 'backend'] }
+        },
+        features: { ...stringList, minItems: 1 },
+        user_stories: stringList,
+        database_schema: {
+            type: 'object',
+            additionalProperties: {
+                type: 'object',
+                required: ['fields'],
+                properties: {
+                    fields: stringList,
+                    relationships: stringList
+                }
+            }
+        },
+        ui_components: {
+            type: 'object',
+            additionalProperties: stringList
+        },
+        integrations: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['name', 'service', 'purpose'],
+                properties: {
+                    name: { type: 'string' },
+                    service: { type: 'string' },
+                    purpose: { type: 'string' }
+                }
+            }
+        },
+        api_endpoints: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['method', 'path', 'description'],
+                properties: {
+                    method: { type: 'string', enum: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'] },
+                    path: { type: 'string', pattern: '^/' },
+                    description: { type: 'string' }
+                }
+            }
+        },
+        tech_stack: platformMap,
+        deployment: platformMap
+    }
+};
+
+// Scope of a follow-up change to a completed generation job
+const refinementSchema = {
+    $id: 'refinement',
+    type: 'object',
+    required: ['summary', 'platforms', 'files'],
+    properties: {
+        summary: { type: 'string', minLength: 1 },
+        platforms: {
+            type: 'array',
+            minItems: 1,
+            items: { type: 'string', enum: ['ios', 'android', 'web', 'backend'] }
+        },
+        files: {
+            type: 'object',
+            additionalProperties: stringList
+        },
+        planning_updates: {
+            type: 'object',
+            properties: {
+                features: stringList,
+                api_endpoints: planningSchema.properties.api_endpoints
+            }
+        }
+    }
+};
+
+// Recommendations for an analysed codebase
+const recommendationsSchema = {
+    $id: 'recommendations',
+    type: 'object',
+    required: ['summary', 'recommendations', 'estimated_effort'],
+    properties: {
+        summary: { type: 'string', minLength: 1 },
+        target_framework: { type: 'string', minLength: 1 },
+        recommendations: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['title', 'description', 'severity', 'effort', 'files'],
+                properties: {
+                    title: { type: 'string', minLength: 1 },
+                    description: { type: 'string', minLength: 1 },
+                    category: { type: 'string' },
+                    severity: { type: 'string', enum: ['critical', 'high', 'medium', 'low'] },
+                    effort: {
+                        type: 'object',
+                        required: ['size', 'estimate'],
+                        properties: {
+                            size: { type: 'string', enum: ['small', 'medium', 'large'] },
+                            estimate: { type: 'string', minLength: 1 }
+                        }
+                    },
+                    files: { ...stringList, minItems: 1 },
+                    target_framework: { type: 'string' }
+                }
+            }
+        },
+        estimated_effort: { type: 'string', minLength: 1 }
+    }
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validatePlanningSchema = ajv.compile(planningSchema);
+const validateRefinementSchema = ajv.compile(refinementSchema);
+const validateRecommendationsSchema = ajv.compile(recommendationsSchema);
+
+function formatErrors(errors) {
+    return (errors || []).map(error => {
+        const location = error.instancePath || '(root)';
+        const allowed = error.params && error.params.allowedValues
+            ? ` (${error.params.allowedValues.join(', ')})`
+            : '';
+        return `${location} ${error.message}${allowed}`;
+    });
+}
+
+function validatePlan(planningData) {
+    const valid = validatePlanningSchema(planningData);
+    return {
+        valid,
+        errors: valid ? [] : formatErrors(validatePlanningSchema.errors)
+    };
+}
+
+function validateRefinement(refinement) {
+    const valid = validateRefinementSchema(refinement);
+    return {
+        valid,
+        errors: valid ? [] : formatErrors(validateRefinementSchema.errors)
+    };
+}
+
+// `files` are the analysed paths every recommendation must point at; with
+// `requireTarget` a target framework must be named
+function validateRecommendations(result, { files = [], requireTarget = false } = {}) {
+    const valid = validateRecommendationsSchema(result);
+    if (!valid) {
+        return { valid, errors: formatErrors(validateRecommendationsSchema.errors) };
+    }
+
+    const errors = [];
+    const known = new Set(files);
+    result.recommendations.forEach((recommendation, index) => {
+        for (const file of recommendation.files) {
+            if (known.size > 0 && !known.has(file)) {
+                errors.push(`/recommendations/${index}/files references unknown file "${file}"`);
+            }
+        }
+    });
+    if (requireTarget && !result.target_framework) {
+        errors.push('(root) must have required property \'target_framework\'');
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+module.exports = {
+    planningSchema,
+    refinementSchema,
+    recommendationsSchema,
+    validatePlan,
+    validateRefinement,
+    validateRecommendations,
+    formatErrors
+};
@@ -0,0 +1,58 @@
+const { validatePlan, validateRecommendations } = require('./planningSchema');
+
+const plan = {
+    app_name: 'todo-app',
+    description: 'A shared todo list',
+    platforms: ['web', 'backend'],
+    features: ['Lists'],
+    user_stories: [],
+    database_schema: { todos: { fields: ['title', 'done: boolean'] } },
+    ui_components: { web: ['TodoList'] },
+    integrations: [],
+    api_endpoints: [{ method: 'GET', path: '/api/todos', description: 'List todos' }],
+    tech_stack: { web: 'Next.js', backend: 'Express' },
+    deployment: { web: 'Vercel' }
+};
+
+const recommendation = {
+    title: 'Extract the API client',
+    description: 'Move fetch calls into one module',
+    severity: 'medium',
+    effort: { size: 'small', estimate: '1 day' },
+    files: ['src/app.js']
+};
+
+describe('validatePlan', () => {
+    test('accepts a complete plan', () => {
+        expect(validatePlan(plan)).toEqual({ valid: true, errors: [] });
+    });
+
+    test('lists every problem with its location', () => {
+        const { valid, errors } = validatePlan({
+            ...plan,
+            platforms: ['web', 'desktop'],
+            api_endpoints: [{ method: 'FETCH', path: 'todos', description: 'x' }]
+        });
+
+        expect(valid).toBe(false);
+        expect(errors).toEqual(expect.arrayContaining([
+            '/platforms/1 must be equal to one of the allowed values (ios, android, web, backend)',
+            '/api_endpoints/0/path must match pattern "^/"'
+        ]));
+    });
+});
+
+describe('validateRecommendations', () => {
+    const result = { summary: 's', estimated_effort: '1 week', recommendations: [recommendation] };
+
+    test('requires recommendations to point at analysed files', () => {
+        expect(validateRecommendations(result, { files: ['src/app.js'] }).valid).toBe(true);
+        expect(validateRecommendations(result, { files: ['src/other.js'] }).errors)
+            .toEqual(['/recommendations/0/files references unknown file "src/app.js"']);
+    });
+
+    test('requires a target framework when asked to', () => {
+        expect(validateRecommendations(result, { requireTarget: true }).valid).toBe(false);
+        expect(validateRecommendations({ ...result, target_framework: 'React' }, { requireTarget: true }).valid).toBe(true);
+    });
+});
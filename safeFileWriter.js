@@ -0,0 +1,178 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { currentSignal, throwIfCancelled } = require('./cancellation');
+const { logger } = require('../middleware/logger');
+
+// The single place where model-produced files reach the disk. Paths come from
+// AI responses, so each one is normalised and must stay inside the output
+// directory; file count, sizes and extensions are capped as well. Entries that
+// fail a check are skipped and reported instead of failing the whole write.
+
+const LIMITS = {
+    maxFiles: parseInt(process.env.WRITE_MAX_FILES) || 500,
+    maxFileBytes: parseInt(process.env.WRITE_MAX_FILE_BYTES) || 1024 * 1024,
+    maxTotalBytes: parseInt(process.env.WRITE_MAX_TOTAL_BYTES) || 20 * 1024 * 1024
+};
+
+const COMMON_EXTENSIONS = ['.json', '.md', '.txt', '.yml', '.yaml'];
+
+const ALLOWED_EXTENSIONS = {
+    ios: ['.swift', '.plist', '.strings', '.entitlements', '.xcconfig', '.h', '.m'],
+    android: ['.kt', '.kts', '.java', '.xml', '.gradle', '.properties', '.pro'],
+    web: ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs', '.vue', '.css', '.scss', '.html', '.svg'],
+    backend: ['.js', '.mjs', '.cjs', '.ts', '.sql', '.prisma', '.toml', '.graphql'],
+    // Modernized code may be in any language the analyzer accepts
+    modernization: ['.js', '.mjs', '.cjs', '.ts', '.jsx', '.tsx', '.vue', '.css', '.scss', '.html',
+        '.swift', '.kt', '.kts', '.java', '.xml', '.gradle', '.py', '.go', '.rs']
+};
+
+// Extensionless or dot files every platform may contain
+const ALLOWED_NAMES = ['.gitignore', '.dockerignore', '.editorconfig', '.env.example', '.nvmrc', '.prettierrc', 'Dockerfile'];
+
+// Directories generated code must never write into
+const BLOCKED_SEGMENTS = ['.git', 'node_modules'];
+
+// Normalised forward-slash path relative to the output directory, or
+// { reason } when the path is not acceptable
+function normalizeFilePath(filePath) {
+    if (typeof filePath !== 'string' || filePath.trim() === '') {
+        return { reason: 'Empty path' };
+    }
+    if (filePath.includes('\0')) {
+        return { reason: 'Path contains a null byte' };
+    }
+
+    const slashed = filePath.trim().replace(/\\/g, '/');
+    if (slashed.startsWith('/') || /^[a-zA-Z]:/.test(slashed)) {
+        return { reason: 'Absolute paths are not allowed' };
+    }
+
+    const normalized = path.posix.normalize(slashed).replace(/^(\.\/)+/, '');
+    if (normalized === '..' || normalized.startsWith('../')) {
+        return { reason: 'Path escapes the output directory' };
+    }
+    if (normalized === '.' || normalized.endsWith('/')) {
+        return { reason: 'Path does not name a file' };
+    }
+    if (normalized.split('/').some(segment => BLOCKED_SEGMENTS.includes(segment))) {
+        return { reason: 'Path is inside a protected directory' };
+    }
+
+    return { path: normalized };
+}
+
+function isAllowedExtension(filePath, platform) {
+    const name = path.posix.basename(filePath);
+    if (ALLOWED_NAMES.includes(name)) {
+        return true;
+    }
+
+    const allowed = ALLOWED_EXTENSIONS[platform];
+    if (!allowed) {
+        return true;
+    }
+    return [...COMMON_EXTENSIONS, ...allowed].includes(path.posix.extname(name).toLowerCase());
+}
+
+// Whether `dir`, resolved through existing symlinks, is inside `root`
+async function staysInside(root, dir) {
+    let existing = dir;
+    while (!await fs.pathExists(existing) && existing !== root) {
+        existing = path.dirname(existing);
+    }
+
+    await fs.ensureDir(root);
+    const realRoot = await fs.realpath(root);
+    const realDir = await fs.realpath(existing);
+    return realDir === realRoot || realDir.startsWith(realRoot + path.sep);
+}
+
+// Running totals for the limits, shared by every writeFiles call of one
+// platform (or job) so maxFiles and maxTotalBytes hold across calls.
+// A file written again replaces its earlier size.
+function createBudget(limits = {}) {
+    return { ...LIMITS, ...limits, sizes: new Map(), totalBytes: 0 };
+}
+
+// Writes { path: content } below outputDir. Resolves to
+// { written: [path], rejected: [{ path, reason }] }. Without a `budget` the
+// limits only apply to this call. Stops with the job's cancellation error
+// once `signal` is aborted.
+async function writeFiles(files, outputDir, { platform, limits = {}, budget = createBudget(limits), signal = currentSignal() } = {}) {
+    const { maxFiles, maxFileBytes, maxTotalBytes } = budget;
+    const root = path.resolve(outputDir);
+    const written = [];
+    const rejected = [];
+
+    for (const [filePath, content] of Object.entries(files || {})) {
+        throwIfCancelled(signal);
+        const reject = reason => rejected.push({ path: filePath, reason });
+
+        const normalized = normalizeFilePath(filePath);
+        if (normalized.reason) {
+            reject(normalized.reason);
+            continue;
+        }
+        if (typeof content !== 'string') {
+            reject('Content is not a string');
+            continue;
+        }
+        if (!isAllowedExtension(normalized.path, platform)) {
+            reject(`File type is not allowed for ${platform}`);
+            continue;
+        }
+
+        const fullPath = path.resolve(root, normalized.path);
+        const previousSize = budget.sizes.get(fullPath);
+        if (previousSize === undefined && budget.sizes.size >= maxFiles) {
+            reject(`More than ${maxFiles} files`);
+            continue;
+        }
+
+        const size = Buffer.byteLength(content, 'utf8');
+        if (size > maxFileBytes) {
+            reject(`File is larger than ${maxFileBytes} bytes`);
+            continue;
+        }
+        if (budget.totalBytes - (previousSize || 0) + size > maxTotalBytes) {
+            reject(`Total size would exceed ${maxTotalBytes} bytes`);
+            continue;
+        }
+
+        // Guard against symlinks already present in the output directory,
+        // before any directory is created through them
+        if (!await staysInside(root, path.dirname(fullPath))) {
+            reject('Path escapes the output directory');
+            continue;
+        }
+        if ((await fs.lstat(fullPath).catch(() => null))?.isSymbolicLink()) {
+            reject('Path is a symbolic link');
+            continue;
+        }
+
+        await fs.ensureDir(path.dirname(fullPath));
+        await fs.writeFile(fullPath, content);
+        written.push(normalized.path);
+        budget.sizes.set(fullPath, size);
+        budget.totalBytes += size - (previousSize || 0);
+    }
+
+    if (rejected.length > 0) {
+        logger.warn({
+            message: 'Rejected unsafe generated files',
+            outputDir,
+            platform,
+            rejected
+        });
+    }
+
+    return { written, rejected };
+}
+
+module.exports = {
+    writeFiles,
+    createBudget,
+    normalizeFilePath,
+    isAllowedExtension,
+    ALLOWED_EXTENSIONS
+};
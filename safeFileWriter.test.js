@@ -0,0 +1,86 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { writeFiles, createBudget, normalizeFilePath, isAllowedExtension } = require('./safeFileWriter');
+
+describe('normalizeFilePath', () => {
+    test('rejects paths that leave the output directory', () => {
+        expect(normalizeFilePath('../server.js')).toEqual({ reason: 'Path escapes the output directory' });
+        expect(normalizeFilePath('src/../../.env')).toEqual({ reason: 'Path escapes the output directory' });
+        expect(normalizeFilePath('/etc/passwd')).toEqual({ reason: 'Absolute paths are not allowed' });
+        expect(normalizeFilePath('C:\\Windows\\win.ini')).toEqual({ reason: 'Absolute paths are not allowed' });
+        expect(normalizeFilePath('node_modules/express/index.js')).toEqual({ reason: 'Path is inside a protected directory' });
+    });
+
+    test('normalises separators and redundant segments', () => {
+        expect(normalizeFilePath('./src\\routes/../app.js')).toEqual({ path: 'src/app.js' });
+    });
+});
+
+describe('isAllowedExtension', () => {
+    test('allows each platform its own file types', () => {
+        expect(isAllowedExtension('App/ContentView.swift', 'ios')).toBe(true);
+        expect(isAllowedExtension('App/run.sh', 'ios')).toBe(false);
+        expect(isAllowedExtension('Dockerfile', 'backend')).toBe(true);
+        expect(isAllowedExtension('anything.bin', undefined)).toBe(true);
+    });
+});
+
+describe('writeFiles', () => {
+    let outputDir;
+
+    beforeEach(async () => {
+        outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'safe-writer-'));
+    });
+
+    afterEach(() => fs.remove(outputDir));
+
+    test('writes the safe files and reports the rest', async () => {
+        const result = await writeFiles({
+            'server.js': 'require("express");',
+            '../escape.js': 'x',
+            'deploy.sh': 'rm -rf /',
+            'config.json': { not: 'a string' }
+        }, outputDir, { platform: 'backend' });
+
+        expect(result.written).toEqual(['server.js']);
+        expect(result.rejected.map(entry => entry.path)).toEqual(['../escape.js', 'deploy.sh', 'config.json']);
+        expect(await fs.readdir(outputDir)).toEqual(['server.js']);
+    });
+
+    test('does not write through a symlink in the output directory', async () => {
+        const outside = await fs.mkdtemp(path.join(os.tmpdir(), 'safe-writer-outside-'));
+        try {
+            await fs.symlink(outside, path.join(outputDir, 'linked'));
+
+            const result = await writeFiles({ 'linked/app.js': 'x' }, outputDir, { platform: 'backend' });
+
+            expect(result.rejected).toEqual([{ path: 'linked/app.js', reason: 'Path escapes the output directory' }]);
+            expect(await fs.readdir(outside)).toEqual([]);
+        } finally {
+            await fs.remove(outside);
+        }
+    });
+
+    test('applies a shared budget across calls and counts a rewritten file once', async () => {
+        const budget = createBudget({ maxFiles: 2, maxTotalBytes: 10 });
+
+        await writeFiles({ 'a.js': '1234' }, outputDir, { platform: 'backend', budget });
+        const rewrite = await writeFiles({ 'a.js': '12345', 'b.js': '12345' }, outputDir, { platform: 'backend', budget });
+        const extra = await writeFiles({ 'c.js': '1' }, outputDir, { platform: 'backend', budget });
+        const tooBig = await writeFiles({ 'b.js': '123456' }, outputDir, { platform: 'backend', budget });
+
+        expect(rewrite.written).toEqual(['a.js', 'b.js']);
+        expect(budget.totalBytes).toBe(10);
+        expect(extra.rejected).toEqual([{ path: 'c.js', reason: 'More than 2 files' }]);
+        expect(tooBig.rejected).toEqual([{ path: 'b.js', reason: 'Total size would exceed 10 bytes' }]);
+    });
+
+    test('stops once the signal is aborted', async () => {
+        const controller = new AbortController();
+        controller.abort();
+
+        await expect(writeFiles({ 'a.js': 'x' }, outputDir, { signal: controller.signal })).rejects.toThrow();
+        expect(await fs.readdir(outputDir)).toEqual([]);
+    });
+});
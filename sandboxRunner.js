@@ -0,0 +1,174 @@
+const fs = require('fs-extra');
+const path = require('path');
+const net = require('net');
+const http = require('http');
+const { spawn } = require('child_process');
+const { currentSignal } = require('./cancellation');
+
+// Runs tools against generated code. Commands get a time limit, a capped
+// output buffer and a minimal environment, which keeps the server's API keys
+// out of the child's environment variables. This is not an isolation
+// boundary: the child runs as the server's user, so it can read any file the
+// server can (including .env), write anywhere the server can and open
+// network connections. CodeVerifier therefore only executes generated code
+// (server smoke test, test suites, JavaScript lint configs) when
+// VERIFY_RUN_GENERATED_CODE=true, which belongs on hosts where the server
+// itself runs in a disposable, network-restricted container.
+
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.SANDBOX_TIMEOUT_MS) || 60000;
+const MAX_OUTPUT = 1024 * 1024;
+
+function sandboxEnv(extra = {}) {
+    return {
+        PATH: process.env.PATH,
+        HOME: process.env.HOME,
+        NODE_ENV: 'test',
+        CI: '1',
+        ...extra
+    };
+}
+
+// Resolves to { code, stdout, stderr, timedOut, notFound, cancelled }; never
+// rejects. The command is killed when `signal` (the running job's by default)
+// is aborted.
+function runCommand(command, args = [], { cwd, timeout = DEFAULT_TIMEOUT_MS, env, signal = currentSignal() } = {}) {
+    return new Promise(resolve => {
+        let stdout = '';
+        let stderr = '';
+        let timedOut = false;
+        let cancelled = false;
+
+        const child = spawn(command, args, { cwd, env: sandboxEnv(env), stdio: ['ignore', 'pipe', 'pipe'] });
+
+        const timer = setTimeout(() => {
+            timedOut = true;
+            child.kill('SIGKILL');
+        }, timeout);
+
+        const onAbort = () => {
+            cancelled = true;
+            child.kill('SIGKILL');
+        };
+        if (signal?.aborted) {
+            onAbort();
+        } else {
+            signal?.addEventListener('abort', onAbort, { once: true });
+        }
+
+        child.stdout.on('data', chunk => {
+            if (stdout.length < MAX_OUTPUT) stdout += chunk;
+        });
+        child.stderr.on('data', chunk => {
+            if (stderr.length < MAX_OUTPUT) stderr += chunk;
+        });
+
+        child.on('error', error => {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+            resolve({ code: null, stdout, stderr: error.message, timedOut, notFound: error.code === 'ENOENT', cancelled });
+        });
+
+        child.on('close', code => {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+            resolve({ code, stdout, stderr, timedOut, notFound: false, cancelled });
+        });
+    });
+}
+
+// Binary from the project's own node_modules, falling back to PATH
+async function findBinary(name, cwd) {
+    const local = path.resolve(cwd, 'node_modules', '.bin', name);
+    if (await fs.pathExists(local)) {
+        return local;
+    }
+
+    const result = await runCommand('which', [name], { timeout: 5000 });
+    return result.code === 0 ? result.stdout.trim() : null;
+}
+
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.unref();
+        server.on('error', reject);
+        server.listen(0, () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+function probe(port) {
+    return new Promise(resolve => {
+        const request = http.get({ host: '127.0.0.1', port, path: '/', timeout: 1000 }, response => {
+            response.resume();
+            resolve(true);
+        });
+        request.on('timeout', () => request.destroy());
+        request.on('error', () => resolve(false));
+    });
+}
+
+// Starts `node entry` on a free port and waits until it answers any HTTP
+// request. Resolves to { started, exitCode, output, timedOut }.
+async function smokeTestServer(entry, { cwd, timeout = 15000, env, signal = currentSignal() } = {}) {
+    const port = await getFreePort();
+    let output = '';
+    let exitCode = null;
+    let exited = false;
+
+    const child = spawn(process.execPath, [entry], {
+        cwd,
+        env: sandboxEnv({ PORT: String(port), ...env }),
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    const collect = chunk => {
+        if (output.length < MAX_OUTPUT) output += chunk;
+    };
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+
+    const exitPromise = new Promise(resolve => {
+        child.on('error', error => {
+            output += error.message;
+            exited = true;
+            resolve();
+        });
+        child.on('exit', code => {
+            exitCode = code;
+            exited = true;
+            resolve();
+        });
+    });
+
+    const deadline = Date.now() + timeout;
+    let started = false;
+    while (!exited && Date.now() < deadline && !signal?.aborted) {
+        if (await probe(port)) {
+            started = true;
+            break;
+        }
+        await new Promise(resolve => setTimeout(resolve, 250));
+    }
+
+    if (!exited) {
+        child.kill('SIGKILL');
+        await exitPromise;
+    }
+
+    return {
+        started,
+        exitCode: started ? null : exitCode,
+        output,
+        timedOut: !started && exitCode === null
+    };
+}
+
+module.exports = {
+    runCommand,
+    findBinary,
+    smokeTestServer,
+    sandboxEnv
+};
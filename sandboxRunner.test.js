@@ -0,0 +1,36 @@
+const { runCommand, sandboxEnv } = require('./sandboxRunner');
+
+describe('runCommand', () => {
+    test('keeps the server\'s secrets out of the child\'s environment', async () => {
+        process.env.ANTHROPIC_API_KEY = 'sk-test';
+        try {
+            const result = await runCommand(process.execPath, ['-e', 'console.log(JSON.stringify(process.env))'], { env: { PORT: '0' } });
+            const env = JSON.parse(result.stdout);
+
+            expect(result.code).toBe(0);
+            expect(env).not.toHaveProperty('ANTHROPIC_API_KEY');
+            expect(env).toMatchObject({ NODE_ENV: 'test', PORT: '0' });
+            expect(Object.keys(env).sort()).toEqual(Object.keys(sandboxEnv({ PORT: '0' })).sort());
+        } finally {
+            delete process.env.ANTHROPIC_API_KEY;
+        }
+    });
+
+    test('kills a command that runs past its time limit', async () => {
+        const result = await runCommand(process.execPath, ['-e', 'setInterval(() => {}, 1000)'], { timeout: 500 });
+
+        expect(result).toMatchObject({ code: null, timedOut: true, cancelled: false });
+    });
+
+    test('kills a command when its signal is aborted', async () => {
+        const controller = new AbortController();
+        const running = runCommand(process.execPath, ['-e', 'setInterval(() => {}, 1000)'], { signal: controller.signal });
+        setTimeout(() => controller.abort(), 200);
+
+        expect(await running).toMatchObject({ timedOut: false, cancelled: true });
+    });
+
+    test('reports a missing binary without rejecting', async () => {
+        expect(await runCommand('no-such-binary-xyz')).toMatchObject({ code: null, notFound: true });
+    });
+});
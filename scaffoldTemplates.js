@@ -0,0 +1,554 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { stackPackages } = require('./stackTemplates');
+
+// Known-good project skeletons laid down before the agents run: package
+// manifests, build files and lint configs. Agents only write feature code and
+// cannot overwrite these files; extra dependencies they need are declared in
+// their manifest and merged in with addDependencies().
+
+function packageName(planningData) {
+    return planningData.app_name.toLowerCase().replace(/[^a-z0-9-]/g, '-');
+}
+
+function androidBasePackage(planningData) {
+    const name = planningData.app_name.toLowerCase().replace(/[^a-z0-9]/g, '');
+    return `com.${/^[a-z]/.test(name) ? name : `app${name}`}`;
+}
+
+// Directory native sources go in, relative to the platform directory
+function sourceRoot(planningData, platform) {
+    switch (platform) {
+        case 'ios':
+            return 'App/';
+        case 'android':
+            return `app/src/main/java/${androidBasePackage(planningData).replace(/\./g, '/')}/`;
+        default:
+            return '';
+    }
+}
+
+function json(value) {
+    return `${JSON.stringify(value, null, 2)}\n`;
+}
+
+function withStackPackages(pkg, planningData, platform) {
+    const packages = stackPackages(planningData.preferences, platform);
+    return {
+        ...pkg,
+        scripts: { ...pkg.scripts, ...packages.scripts },
+        dependencies: { ...pkg.dependencies, ...packages.dependencies },
+        devDependencies: { ...pkg.devDependencies, ...packages.devDependencies }
+    };
+}
+
+const GITIGNORE = `node_modules/
+.env
+.env.local
+`;
+
+function nextSkeleton(planningData) {
+    const pkg = withStackPackages({
+        name: packageName(planningData),
+        version: '1.0.0',
+        private: true,
+        scripts: {
+            dev: 'next dev',
+            build: 'next build',
+            start: 'next start',
+            lint: 'next lint',
+            test: 'jest'
+        },
+        dependencies: {
+            'next': '14.1.0',
+            'react': '^18.2.0',
+            'react-dom': '^18.2.0'
+        },
+        devDependencies: {
+            '@testing-library/jest-dom': '^6.1.5',
+            '@testing-library/react': '^14.1.2',
+            '@types/jest': '^29.5.11',
+            '@types/node': '^20.11.0',
+            '@types/react': '^18.2.48',
+            '@types/react-dom': '^18.2.18',
+            'autoprefixer': '^10.4.17',
+            'eslint': '^8.56.0',
+            'eslint-config-next': '14.1.0',
+            'jest': '^29.7.0',
+            'jest-environment-jsdom': '^29.7.0',
+            'postcss': '^8.4.33',
+            'tailwindcss': '^3.4.1',
+            'typescript': '^5.3.3'
+        }
+    }, planningData, 'web');
+
+    return {
+        'package.json': json(pkg),
+        'tsconfig.json': json({
+            compilerOptions: {
+                target: 'ES2017',
+                lib: ['dom', 'dom.iterable', 'esnext'],
+                allowJs: true,
+                skipLibCheck: true,
+                strict: true,
+                noEmit: true,
+                esModuleInterop: true,
+                module: 'esnext',
+                moduleResolution: 'bundler',
+                resolveJsonModule: true,
+                isolatedModules: true,
+                jsx: 'preserve',
+                incremental: true,
+                plugins: [{ name: 'next' }],
+                paths: { '@/*': ['./*'] },
+                types: ['jest', '@testing-library/jest-dom']
+            },
+            include: ['next-env.d.ts', '**/*.ts', '**/*.tsx', '.next/types/**/*.ts'],
+            exclude: ['node_modules']
+        }),
+        'next-env.d.ts': `/// <reference types="next" />
+/// <reference types="next/image-types/global" />
+`,
+        'next.config.js': `/** @type {import('next').NextConfig} */
+const nextConfig = {
+    reactStrictMode: true
+};
+
+module.exports = nextConfig;
+`,
+        '.eslintrc.json': json({ extends: 'next/core-web-vitals' }),
+        'tailwind.config.js': `/** @type {import('tailwindcss').Config} */
+module.exports = {
+    content: ['./app/**/*.{ts,tsx}', './components/**/*.{ts,tsx}', './pages/**/*.{ts,tsx}'],
+    theme: {
+        extend: {}
+    },
+    plugins: []
+};
+`,
+        'postcss.config.js': `module.exports = {
+    plugins: {
+        tailwindcss: {},
+        autoprefixer: {}
+    }
+};
+`,
+        'jest.config.js': `const nextJest = require('next/jest');
+
+const createJestConfig = nextJest({ dir: './' });
+
+module.exports = createJestConfig({
+    testEnvironment: 'jsdom',
+    setupFilesAfterEnv: ['<rootDir>/jest.setup.ts'],
+    moduleNameMapper: {
+        '^@/(.*)$': '<rootDir>/$1'
+    }
+});
+`,
+        'jest.setup.ts': `import '@testing-library/jest-dom';
+`,
+        '.gitignore': `${GITIGNORE}.next/
+out/
+`
+    };
+}
+
+function nuxtSkeleton(planningData) {
+    const pkg = withStackPackages({
+        name: packageName(planningData),
+        version: '1.0.0',
+        private: true,
+        type: 'module',
+        scripts: {
+            dev: 'nuxt dev',
+            build: 'nuxt build',
+            preview: 'nuxt preview',
+            postinstall: 'nuxt prepare',
+            lint: 'eslint .',
+            test: 'vitest run'
+        },
+        dependencies: {
+            '@pinia/nuxt': '^0.5.1',
+            'nuxt': '^3.10.0',
+            'pinia': '^2.1.7',
+            'vue': '^3.4.15'
+        },
+        devDependencies: {
+            '@nuxt/eslint-config': '^0.2.0',
+            '@nuxt/test-utils': '^3.10.0',
+            '@nuxtjs/tailwindcss': '^6.11.2',
+            '@testing-library/vue': '^8.0.1',
+            'eslint': '^8.56.0',
+            'happy-dom': '^13.3.0',
+            'typescript': '^5.3.3',
+            'vitest': '^1.2.0'
+        }
+    }, planningData, 'web');
+
+    return {
+        'package.json': json(pkg),
+        'nuxt.config.ts': `export default defineNuxtConfig({
+    devtools: { enabled: true },
+    modules: ['@pinia/nuxt', '@nuxtjs/tailwindcss'],
+    typescript: {
+        strict: true
+    }
+});
+`,
+        'tsconfig.json': json({ extends: './.nuxt/tsconfig.json' }),
+        '.eslintrc.json': json({ root: true, extends: ['@nuxt/eslint-config'] }),
+        'vitest.config.ts': `import { defineVitestConfig } from '@nuxt/test-utils/config';
+
+export default defineVitestConfig({
+    test: {
+        environment: 'nuxt'
+    }
+});
+`,
+        '.gitignore': `${GITIGNORE}.nuxt/
+.output/
+`
+    };
+}
+
+function backendSkeleton(planningData) {
+    const pkg = withStackPackages({
+        name: `${packageName(planningData)}-api`,
+        version: '1.0.0',
+        private: true,
+        main: 'server.js',
+        scripts: {
+            start: 'node server.js',
+            dev: 'nodemon server.js',
+            lint: 'eslint .',
+            test: 'jest'
+        },
+        dependencies: {
+            'cors': '^2.8.5',
+            'dotenv': '^16.4.1',
+            'express': '^4.18.2',
+            'helmet': '^7.1.0'
+        },
+        devDependencies: {
+            'eslint': '^8.56.0',
+            'jest': '^29.7.0',
+            'nodemon': '^3.0.3',
+            'supertest': '^6.3.3'
+        },
+        jest: {
+            testEnvironment: 'node'
+        }
+    }, planningData, 'backend');
+
+    return {
+        'package.json': json(pkg),
+        '.eslintrc.json': json({
+            root: true,
+            env: { node: true, es2022: true, jest: true },
+            extends: 'eslint:recommended',
+            parserOptions: { ecmaVersion: 'latest' }
+        }),
+        '.env.example': `PORT=3000
+NODE_ENV=development
+`,
+        '.gitignore': GITIGNORE
+    };
+}
+
+function androidSkeleton(planningData, { dependencies = {} } = {}) {
+    const basePackage = androidBasePackage(planningData);
+    const featureDependencies = Object.entries(dependencies)
+        .map(([artifact, version]) => `    implementation("${artifact}:${version}")`)
+        .join('\n');
+
+    return {
+        'settings.gradle.kts': `pluginManagement {
+    repositories {
+        google()
+        mavenCentral()
+        gradlePluginPortal()
+    }
+}
+
+dependencyResolutionManagement {
+    repositoriesMode.set(RepositoriesMode.FAIL_ON_PROJECT_REPOS)
+    repositories {
+        google()
+        mavenCentral()
+    }
+}
+
+rootProject.name = "${planningData.app_name}"
+include(":app")
+`,
+        'build.gradle.kts': `plugins {
+    id("com.android.application") version "8.2.2" apply false
+    id("org.jetbrains.kotlin.android") version "1.9.22" apply false
+}
+`,
+        'gradle.properties': `org.gradle.jvmargs=-Xmx2048m -Dfile.encoding=UTF-8
+android.useAndroidX=true
+kotlin.code.style=official
+android.nonTransitiveRClass=true
+`,
+        'app/build.gradle.kts': `plugins {
+    id("com.android.application")
+    id("org.jetbrains.kotlin.android")
+}
+
+android {
+    namespace = "${basePackage}"
+    compileSdk = 34
+
+    defaultConfig {
+        applicationId = "${basePackage}"
+        minSdk = 26
+        targetSdk = 34
+        versionCode = 1
+        versionName = "1.0"
+    }
+
+    buildFeatures {
+        compose = true
+        buildConfig = true
+    }
+
+    composeOptions {
+        kotlinCompilerExtensionVersion = "1.5.8"
+    }
+
+    compileOptions {
+        sourceCompatibility = JavaVersion.VERSION_17
+        targetCompatibility = JavaVersion.VERSION_17
+    }
+
+    kotlinOptions {
+        jvmTarget = "17"
+    }
+}
+
+dependencies {
+    implementation(platform("androidx.compose:compose-bom:2024.01.00"))
+    implementation("androidx.compose.ui:ui")
+    implementation("androidx.compose.material3:material3")
+    implementation("androidx.compose.ui:ui-tooling-preview")
+    implementation("androidx.activity:activity-compose:1.8.2")
+    implementation("androidx.core:core-ktx:1.12.0")
+    implementation("androidx.lifecycle:lifecycle-runtime-ktx:2.7.0")
+    implementation("androidx.lifecycle:lifecycle-viewmodel-compose:2.7.0")
+    implementation("androidx.navigation:navigation-compose:2.7.6")
+    implementation("org.jetbrains.kotlinx:kotlinx-coroutines-android:1.7.3")
+    implementation("com.squareup.retrofit2:retrofit:2.9.0")
+    implementation("com.squareup.retrofit2:converter-gson:2.9.0")
+    implementation("com.squareup.okhttp3:logging-interceptor:4.12.0")
+    debugImplementation("androidx.compose.ui:ui-tooling")
+
+    testImplementation("junit:junit:4.13.2")
+    testImplementation("org.jetbrains.kotlinx:kotlinx-coroutines-test:1.7.3")
+${featureDependencies ? `
+    // Feature dependencies
+${featureDependencies}
+` : ''}}
+`,
+        'app/src/main/AndroidManifest.xml': `<?xml version="1.0" encoding="utf-8"?>
+<manifest xmlns:android="http://schemas.android.com/apk/res/android">
+
+    <uses-permission android:name="android.permission.INTERNET" />
+
+    <application
+        android:allowBackup="true"
+        android:label="${planningData.app_name}"
+        android:supportsRtl="true"
+        android:theme="@android:style/Theme.Material.Light.NoActionBar">
+        <activity
+            android:name=".MainActivity"
+            android:exported="true">
+            <intent-filter>
+                <action android:name="android.intent.action.MAIN" />
+                <category android:name="android.intent.category.LAUNCHER" />
+            </intent-filter>
+        </activity>
+    </application>
+
+</manifest>
+`,
+        '.editorconfig': `root = true
+
+[*.{kt,kts}]
+ktlint_code_style = android_studio
+max_line_length = 120
+`,
+        '.gitignore': `.gradle/
+build/
+local.properties
+.idea/
+`
+    };
+}
+
+// `dependencies` maps Swift package product names to "<url>@<version>"
+function iosSkeleton(planningData, { dependencies = {} } = {}) {
+    const bundlePrefix = androidBasePackage(planningData);
+    const packages = Object.entries(dependencies).map(([product, spec]) => {
+        const [url, version] = spec.split(/@(?=[^@]*$)/);
+        const name = url.replace(/\.git$/, '').split('/').pop();
+        return { product, name, url, version: version || '1.0.0' };
+    });
+
+    return {
+        'project.yml': `# Generate App.xcodeproj with: xcodegen generate
+name: App
+options:
+  bundleIdPrefix: ${bundlePrefix}
+  deploymentTarget:
+    iOS: "16.0"
+${packages.length > 0 ? `packages:
+${packages.map(pkg => `  ${pkg.name}:
+    url: ${pkg.url}
+    from: "${pkg.version}"`).join('\n')}
+` : ''}targets:
+  App:
+    type: application
+    platform: iOS
+    sources: [App]
+    info:
+      path: App/Info.plist
+      properties:
+        CFBundleDisplayName: ${planningData.app_name}
+        UILaunchScreen: {}
+    settings:
+      base:
+        PRODUCT_BUNDLE_IDENTIFIER: ${bundlePrefix}.app
+        SWIFT_VERSION: "5.9"
+${packages.length > 0 ? `    dependencies:
+${packages.map(pkg => `      - package: ${pkg.name}
+        product: ${pkg.product}`).join('\n')}
+` : ''}  AppTests:
+    type: bundle.unit-test
+    platform: iOS
+    sources: [Tests]
+    dependencies:
+      - target: App
+`,
+        '.swiftlint.yml': `included:
+  - App
+  - Tests
+disabled_rules:
+  - trailing_whitespace
+line_length: 140
+`,
+        '.gitignore': `*.xcodeproj/
+DerivedData/
+.build/
+`
+    };
+}
+
+const SKELETONS = {
+    next: nextSkeleton,
+    nuxt: nuxtSkeleton,
+    backend: backendSkeleton,
+    android: androidSkeleton,
+    ios: iosSkeleton
+};
+
+function skeletonFor(platform, planningData) {
+    if (platform === 'web') {
+        const uiFramework = planningData.preferences && planningData.preferences.ui_framework;
+        return uiFramework === 'vue' ? 'nuxt' : 'next';
+    }
+    return SKELETONS[platform] ? platform : null;
+}
+
+// { [path relative to the platform directory]: content }
+function generateScaffold(planningData, platform, options = {}) {
+    const skeleton = skeletonFor(platform, planningData);
+    return skeleton ? SKELETONS[skeleton](planningData, options) : {};
+}
+
+// Feature dependencies already added to build.gradle.kts or project.yml
+function nativeDependencies(skeleton, content) {
+    if (skeleton === 'android') {
+        const section = content.split('// Feature dependencies')[1] || '';
+        return Object.fromEntries(
+            [...section.matchAll(/implementation\("([\w.-]+:[\w.-]+):([\w.+-]+)"\)/g)].map(match => [match[1], match[2]])
+        );
+    }
+
+    const packages = Object.fromEntries(
+        [...content.matchAll(/^  (\S+):\n    url: (\S+)\n    from: "([^"]+)"/gm)].map(match => [match[1], `${match[2]}@${match[3]}`])
+    );
+    return Object.fromEntries(
+        [...content.matchAll(/- package: (\S+)\n\s+product: (\S+)/g)]
+            .filter(match => packages[match[1]])
+            .map(match => [match[2], packages[match[1]]])
+    );
+}
+
+// Merges dependencies declared in an agent's manifest into the skeleton.
+// Never removes or downgrades what the skeleton already declares.
+async function addDependencies(planningData, platform, platformDir, dependencies = {}) {
+    const entries = Object.entries(dependencies)
+        .filter(([name, version]) => typeof name === 'string' && typeof version === 'string');
+    if (entries.length === 0) {
+        return [];
+    }
+
+    const skeleton = skeletonFor(platform, planningData);
+
+    if (skeleton === 'next' || skeleton === 'nuxt' || skeleton === 'backend') {
+        const packagePath = path.join(platformDir, 'package.json');
+        const pkg = await fs.readJson(packagePath);
+        const declared = { ...pkg.dependencies, ...pkg.devDependencies };
+        const added = entries.filter(([name]) => !declared[name]);
+
+        pkg.dependencies = { ...pkg.dependencies, ...Object.fromEntries(added) };
+        await fs.writeJson(packagePath, pkg, { spaces: 2 });
+        return added.map(([name]) => name);
+    }
+
+    if (skeleton === 'android' || skeleton === 'ios') {
+        // Gradle coordinates ("group:artifact") or Swift package products
+        const valid = skeleton === 'android'
+            ? entries.filter(([artifact, version]) => /^[\w.-]+:[\w.-]+$/.test(artifact) && /^[\w.+-]+$/.test(version))
+            : entries.filter(([product, spec]) => /^\w+$/.test(product) && /^https:\/\/\S+@[\w.+-]+$/.test(spec));
+        const file = skeleton === 'android' ? 'app/build.gradle.kts' : 'project.yml';
+        const filePath = path.join(platformDir, file);
+
+        // The file is re-rendered, so earlier additions are carried over
+        const existing = nativeDependencies(skeleton, await fs.readFile(filePath, 'utf8'));
+        const added = valid.filter(([name]) => !existing[name]);
+        const content = generateScaffold(planningData, platform, {
+            dependencies: { ...existing, ...Object.fromEntries(added) }
+        })[file];
+
+        await fs.writeFile(filePath, content);
+        return added.map(([name]) => name);
+    }
+
+    return [];
+}
+
+// How agents declare extra dependencies in their manifest
+function dependencyFormat(platform, planningData) {
+    switch (skeletonFor(platform, planningData)) {
+        case 'next':
+        case 'nuxt':
+        case 'backend':
+            return '{ "npm-package": "^1.2.3" }';
+        case 'android':
+            return '{ "group:artifact": "1.2.3" } (Gradle coordinates)';
+        case 'ios':
+            return '{ "SwiftPackageProduct": "https://github.com/org/repo@1.2.3" }';
+        default:
+            return null;
+    }
+}
+
+module.exports = {
+    generateScaffold,
+    addDependencies,
+    dependencyFormat,
+    androidBasePackage,
+    sourceRoot
+};
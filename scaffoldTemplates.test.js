@@ -0,0 +1,69 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { generateScaffold, addDependencies, androidBasePackage } = require('./scaffoldTemplates');
+
+const planningData = { app_name: 'My Shop', preferences: { database: 'mongodb' } };
+
+describe('generateScaffold', () => {
+    test('picks the web skeleton from the UI framework', () => {
+        expect(generateScaffold(planningData, 'web')).toHaveProperty(['next.config.js']);
+        expect(generateScaffold({ ...planningData, preferences: { ui_framework: 'vue' } }, 'web')).toHaveProperty(['nuxt.config.ts']);
+        expect(generateScaffold(planningData, 'desktop')).toEqual({});
+    });
+
+    test('declares the packages of the chosen stack', () => {
+        const pkg = JSON.parse(generateScaffold(planningData, 'backend')['package.json']);
+
+        expect(pkg.name).toBe('my-shop-api');
+        expect(pkg.dependencies).toHaveProperty('mongoose');
+        expect(pkg.dependencies).toHaveProperty('express');
+    });
+
+    test('derives a valid Android package from the app name', () => {
+        expect(androidBasePackage({ app_name: 'My Shop!' })).toBe('com.myshop');
+        expect(androidBasePackage({ app_name: '2048' })).toBe('com.app2048');
+    });
+});
+
+describe('addDependencies', () => {
+    let platformDir;
+
+    beforeEach(async () => {
+        platformDir = await fs.mkdtemp(path.join(os.tmpdir(), 'scaffold-'));
+    });
+
+    afterEach(() => fs.remove(platformDir));
+
+    async function writeScaffold(platform, plan = planningData) {
+        for (const [file, content] of Object.entries(generateScaffold(plan, platform))) {
+            await fs.outputFile(path.join(platformDir, file), content);
+        }
+    }
+
+    test('adds new npm packages without downgrading the skeleton\'s', async () => {
+        await writeScaffold('backend');
+
+        const added = await addDependencies(planningData, 'backend', platformDir, { express: '^3.0.0', bcryptjs: '^2.4.3', bad: 1 });
+        const pkg = await fs.readJson(path.join(platformDir, 'package.json'));
+
+        expect(added).toEqual(['bcryptjs']);
+        expect(pkg.dependencies.express).toBe('^4.18.2');
+        expect(pkg.dependencies.bcryptjs).toBe('^2.4.3');
+    });
+
+    test('keeps earlier Gradle additions and ignores invalid coordinates', async () => {
+        await writeScaffold('android');
+        const gradle = path.join(platformDir, 'app/build.gradle.kts');
+
+        expect(await addDependencies(planningData, 'android', platformDir, { 'io.coil-kt:coil-compose': '2.5.0' }))
+            .toEqual(['io.coil-kt:coil-compose']);
+        expect(await addDependencies(planningData, 'android', platformDir, { 'com.x:y': '1.0', 'not a coordinate': '1.0' }))
+            .toEqual(['com.x:y']);
+
+        const content = await fs.readFile(gradle, 'utf8');
+        expect(content).toContain('implementation("io.coil-kt:coil-compose:2.5.0")');
+        expect(content).toContain('implementation("com.x:y:1.0")');
+        expect(content).not.toContain('not a coordinate');
+    });
+});
@@ -0,0 +1,131 @@
+// Turns planningData.database_schema into typed model descriptions. Fields in
+// the plan are free-form strings such as "email", "price: number",
+// "tags: [string]" or "author: ObjectId ref User"; explicit types win and
+// otherwise the type is inferred from the field name.
+
+const TYPE_ALIASES = {
+    string: 'string',
+    text: 'string',
+    str: 'string',
+    email: 'string',
+    url: 'string',
+    uuid: 'id',
+    objectid: 'id',
+    id: 'id',
+    number: 'number',
+    float: 'number',
+    double: 'number',
+    decimal: 'number',
+    int: 'integer',
+    integer: 'integer',
+    long: 'integer',
+    bool: 'boolean',
+    boolean: 'boolean',
+    date: 'date',
+    datetime: 'date',
+    timestamp: 'date',
+    object: 'object',
+    json: 'object',
+    map: 'object',
+    mixed: 'object'
+};
+
+function toPascalCase(value) {
+    return value
+        .replace(/[^A-Za-z0-9]+/g, ' ')
+        .trim()
+        .split(/\s+/)
+        .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+        .join('');
+}
+
+function toCamelCase(value) {
+    const pascal = toPascalCase(value);
+    return pascal.charAt(0).toLowerCase() + pascal.slice(1);
+}
+
+function singularize(word) {
+    if (/ies$/i.test(word)) return word.replace(/ies$/i, 'y');
+    if (/(ss|us)$/i.test(word)) return word;
+    if (/(ss|sh|ch|x|z)es$/i.test(word)) return word.replace(/es$/i, '');
+    if (/s$/i.test(word)) return word.replace(/s$/i, '');
+    return word;
+}
+
+function inferType(name) {
+    if (/^(_id|id)$/i.test(name) || /(Id|_id|Ids|_ids)$/.test(name)) return 'id';
+    if (/^(is|has|can|should)[A-Z_]/.test(name) || /(enabled|verified|active|deleted)$/i.test(name)) return 'boolean';
+    if (/(At|_at|Date|_date|^date|^timestamp)$/.test(name) || /^(birthday|dob)$/i.test(name)) return 'date';
+    if (/(count|Count|age|quantity|Quantity|position|order|duration|Duration)$/.test(name)) return 'integer';
+    if (/(price|amount|total|rating|score|latitude|longitude|lat|lng|balance)$/i.test(name)) return 'number';
+    return 'string';
+}
+
+function parseField(field) {
+    const text = String(field).trim();
+    const match = text.match(/^([A-Za-z_][A-Za-z0-9_]*)\s*(?:[:(]\s*([^)]*?)\s*\)?)?(?:\s+ref\s+([A-Za-z_][A-Za-z0-9_]*))?\s*(\?)?$/);
+
+    if (!match) {
+        const name = toCamelCase(text) || 'field';
+        return { name, type: inferType(name), isArray: false, required: true, ref: null };
+    }
+
+    const [, name, rawType = '', ref, optional] = match;
+    let typeText = rawType.trim();
+    let isArray = false;
+
+    const arrayMatch = typeText.match(/^\[(.*)\]$/) || typeText.match(/^(?:array|list)\s*<(.*)>$/i) || typeText.match(/^(.*)\[\]$/);
+    if (arrayMatch) {
+        isArray = true;
+        typeText = arrayMatch[1].trim();
+    } else if (/^(array|list)$/i.test(typeText)) {
+        isArray = true;
+        typeText = '';
+    }
+
+    const refMatch = typeText.match(/^(?:objectid\s+)?ref\s+([A-Za-z_][A-Za-z0-9_]*)$/i);
+    const reference = ref || (refMatch && refMatch[1]) || null;
+    if (refMatch) {
+        typeText = 'id';
+    }
+
+    let type = TYPE_ALIASES[typeText.toLowerCase()];
+    if (!type) {
+        type = typeText ? 'string' : inferType(name);
+    }
+
+    return {
+        name,
+        type: reference ? 'id' : type,
+        isArray,
+        required: !optional,
+        ref: reference ? toPascalCase(singularize(reference)) : null
+    };
+}
+
+// [{ name: 'User', collection: 'users', fields: [...], relationships: [...] }]
+function parseDatabaseSchema(databaseSchema = {}) {
+    return Object.entries(databaseSchema).map(([collection, definition]) => {
+        // Mongo-style "_id" is exposed as "id" on every platform
+        const fields = (definition.fields || []).map(parseField)
+            .map(field => (field.name === '_id' ? { ...field, name: 'id' } : field));
+        if (!fields.some(field => field.name === 'id')) {
+            fields.unshift({ name: 'id', type: 'id', isArray: false, required: true, ref: null });
+        }
+
+        return {
+            name: toPascalCase(singularize(collection)),
+            collection,
+            fields,
+            relationships: definition.relationships || []
+        };
+    });
+}
+
+module.exports = {
+    parseDatabaseSchema,
+    parseField,
+    toPascalCase,
+    toCamelCase,
+    singularize
+};
@@ -0,0 +1,32 @@
+const { parseDatabaseSchema, parseField, singularize } = require('./schemaModels');
+
+describe('parseField', () => {
+    test('reads explicit types, arrays, references and optional fields', () => {
+        expect(parseField('price: number')).toMatchObject({ name: 'price', type: 'number', isArray: false, required: true });
+        expect(parseField('tags: [string]')).toMatchObject({ name: 'tags', type: 'string', isArray: true });
+        expect(parseField('owner: ObjectId ref User')).toMatchObject({ name: 'owner', type: 'id', ref: 'User' });
+        expect(parseField('nickname?')).toMatchObject({ name: 'nickname', type: 'string', required: false });
+    });
+
+    test('infers the type from the name when none is given', () => {
+        expect(parseField('createdAt').type).toBe('date');
+        expect(parseField('isActive').type).toBe('boolean');
+        expect(parseField('quantity').type).toBe('integer');
+        expect(parseField('userId').type).toBe('id');
+    });
+});
+
+describe('parseDatabaseSchema', () => {
+    test('names models after the singular collection and always adds an id', () => {
+        const [category] = parseDatabaseSchema({ categories: { fields: ['_id', 'title'] } });
+
+        expect(category.name).toBe('Category');
+        expect(category.fields.map(field => field.name)).toEqual(['id', 'title']);
+        expect(parseDatabaseSchema({ users: { fields: ['email'] } })[0].fields[0].name).toBe('id');
+    });
+
+    test('singularizes common plural forms', () => {
+        expect(['boxes', 'addresses', 'classes', 'status', 'replies'].map(singularize)).toEqual(['box', 'address', 'class', 'status', 'reply']);
+        expect(parseDatabaseSchema({ addresses: { fields: ['street'] } })[0].name).toBe('Address');
+    });
+});
@@ -0,0 +1,271 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { logger } = require('../middleware/logger');
+
+// Finds credentials in uploaded code before it is sent to an AI provider and
+// in generated projects before they are packaged. Depending on
+// SECRET_SCAN_MODE, secrets are replaced by a "[REDACTED:<rule>]" marker
+// (`redact`, the default), the job is stopped (`block`) or they are only
+// reported (`report`). Findings never contain the secret itself, only a masked
+// preview.
+
+const SECRET_SCAN_MODES = ['redact', 'block', 'report'];
+
+const ENTROPY_THRESHOLD = parseFloat(process.env.SECRET_ENTROPY_THRESHOLD) || 3.5;
+
+// Unlabelled strings must look considerably more random than labelled ones
+const UNLABELLED_ENTROPY_THRESHOLD = ENTROPY_THRESHOLD + 1;
+
+// Files that are not read when scanning a directory
+const MAX_SCANNED_FILE_BYTES = 1024 * 1024;
+const SKIPPED_DIRECTORIES = ['node_modules', '.git', 'build', 'Pods', '.gradle'];
+
+// Checksums and hashes in lockfiles look random but are not secrets
+const LOCKFILES = ['package-lock.json', 'yarn.lock', 'pnpm-lock.yaml', 'Podfile.lock', 'Package.resolved', 'gradle.lockfile'];
+
+// Values that stand in for a secret rather than being one
+const PLACEHOLDER = /^(?:your|my|change|replace|example|sample|placeholder|dummy|fake|test|todo|xxx|\*+$|<|\[|\$\{|\$[A-Z_]+$|process\.env|System\.getenv|env\()/i;
+
+// Each rule matches a secret; `group` is the capture holding the value that
+// gets redacted (0 for the whole match). `entropy` rules only report values
+// at least that random, and values matching `ignore` are never reported.
+const RULES = [
+    {
+        id: 'private_key',
+        description: 'Private key',
+        pattern: /-----BEGIN (?:[A-Z]+ )*PRIVATE KEY(?: BLOCK)?-----[\s\S]*?-----END (?:[A-Z]+ )*PRIVATE KEY(?: BLOCK)?-----/g,
+        group: 0
+    },
+    {
+        id: 'aws_access_key_id',
+        description: 'AWS access key id',
+        pattern: /\b(?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA|ANVA)[0-9A-Z]{16}\b/g,
+        group: 0
+    },
+    {
+        id: 'aws_secret_access_key',
+        description: 'AWS secret access key',
+        pattern: /aws[\w.-]{0,20}?(?:secret|private)[\w.-]{0,20}?["']?\s*[:=]>?\s*["']?([A-Za-z0-9/+]{40})(?![A-Za-z0-9/+])/gi,
+        group: 1
+    },
+    {
+        id: 'jwt_secret',
+        description: 'JWT signing secret',
+        pattern: /jwt[\w.-]{0,20}?(?:secret|key)\w*["']?\s*[:=]>?\s*["'`]([^"'`\s]{6,})["'`]/gi,
+        group: 1
+    },
+    {
+        id: 'jwt_token',
+        description: 'JSON Web Token',
+        pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{16,}/g,
+        group: 0
+    },
+    {
+        id: 'generic_secret',
+        description: 'Hard-coded credential',
+        pattern: /(?:api[_-]?key|apikey|secret|password|passwd|pwd|token|access[_-]?key|client[_-]?secret|auth[_-]?key)\w*["']?\s*[:=]>?\s*["'`]([^"'`\s]{8,})["'`]/gi,
+        group: 1,
+        entropy: ENTROPY_THRESHOLD
+    },
+    {
+        id: 'high_entropy_string',
+        description: 'High-entropy string',
+        pattern: /["'`]([A-Za-z0-9+/_=-]{32,})["'`]/g,
+        group: 1,
+        entropy: UNLABELLED_ENTROPY_THRESHOLD,
+        // Subresource integrity hashes
+        ignore: /^sha(?:1|256|384|512)-/,
+        skipLockfiles: true
+    }
+];
+
+class SecretsDetectedError extends Error {
+    constructor(message, findings) {
+        super(message);
+        this.name = 'SecretsDetectedError';
+        this.findings = findings;
+    }
+}
+
+function scanMode() {
+    const mode = (process.env.SECRET_SCAN_MODE || 'redact').toLowerCase();
+    return SECRET_SCAN_MODES.includes(mode) ? mode : 'redact';
+}
+
+// Shannon entropy in bits per character
+function entropy(value) {
+    const counts = {};
+    for (const char of value) {
+        counts[char] = (counts[char] || 0) + 1;
+    }
+    return Object.values(counts).reduce((sum, count) => {
+        const p = count / value.length;
+        return sum - p * Math.log2(p);
+    }, 0);
+}
+
+// ".env", ".env.production" and the like; examples and templates are meant
+// to be shared
+function isEnvFile(fileName) {
+    const name = path.basename(fileName);
+    return /^\.env(?:\.[\w-]+)?$/.test(name) && !/\.(?:example|sample|template|dist)$/.test(name);
+}
+
+function mask(value) {
+    const singleLine = value.replace(/\s+/g, ' ');
+    return singleLine.length <= 8
+        ? '*'.repeat(singleLine.length)
+        : `${singleLine.substring(0, 4)}${'*'.repeat(Math.min(singleLine.length - 8, 12))}${singleLine.substring(singleLine.length - 4)}`;
+}
+
+// Variable names in .env files whose values are credentials
+const SECRET_VARIABLE = /key|secret|password|passwd|pwd|token|credential|auth|private|dsn|database_url|connection/i;
+
+// Values of credential variables in a .env file, and any other value that
+// looks random
+function envFileMatches(content) {
+    const matches = [];
+    const pattern = /^[ \t]*(?:export[ \t]+)?([A-Za-z_][\w.]*)[ \t]*=[ \t]*(["']?)(.*?)\2[ \t]*$/gm;
+    for (const match of content.matchAll(pattern)) {
+        const value = match[3];
+        if (!value || PLACEHOLDER.test(value)) continue;
+        if (!SECRET_VARIABLE.test(match[1]) && entropy(value) < ENTROPY_THRESHOLD) continue;
+        const start = match.index + match[0].indexOf(value, match[1].length);
+        matches.push({ rule: 'env_file', description: `Value of ${match[1]} in an environment file`, start, end: start + value.length });
+    }
+    return matches;
+}
+
+function lineAt(content, index) {
+    let line = 1;
+    for (let i = 0; i < index; i++) {
+        if (content.charCodeAt(i) === 10) line++;
+    }
+    return line;
+}
+
+// Returns [{ rule, description, line, preview, start, end }] for the
+// secrets in `content`; overlapping matches keep the first rule
+function scanContent(content, fileName = '') {
+    const matches = isEnvFile(fileName) ? envFileMatches(content) : [];
+    const lockfile = LOCKFILES.includes(path.basename(fileName));
+
+    for (const rule of RULES) {
+        if (rule.skipLockfiles && lockfile) continue;
+
+        for (const match of content.matchAll(rule.pattern)) {
+            const value = match[rule.group];
+            if (PLACEHOLDER.test(value) || rule.ignore?.test(value)) continue;
+            if (rule.entropy && entropy(value) < rule.entropy) continue;
+
+            const start = match.index + (rule.group === 0 ? 0 : match[0].lastIndexOf(value));
+            matches.push({ rule: rule.id, description: rule.description, start, end: start + value.length });
+        }
+    }
+
+    const findings = [];
+    for (const match of matches.sort((a, b) => a.start - b.start)) {
+        const previous = findings[findings.length - 1];
+        if (previous && match.start < previous.end) continue;
+        findings.push({
+            ...match,
+            line: lineAt(content, match.start),
+            preview: mask(content.substring(match.start, match.end))
+        });
+    }
+    return findings;
+}
+
+// Replaces every finding's span with a marker naming its rule
+function redact(content, findings) {
+    let redacted = content;
+    for (const finding of [...findings].sort((a, b) => b.start - a.start)) {
+        redacted = redacted.substring(0, finding.start) + `[REDACTED:${finding.rule}]` + redacted.substring(finding.end);
+    }
+    return redacted;
+}
+
+function report(file, findings) {
+    return findings.map(({ rule, description, line, preview }) => ({ file, rule, description, line, preview }));
+}
+
+// Applies the scan mode to in-memory files ({ name, content, ... }) before
+// they leave the server. Returns { mode, files, findings }, where `files`
+// are redacted in `redact` mode; throws SecretsDetectedError in `block` mode.
+function protectFiles(files, { mode = scanMode() } = {}) {
+    const findings = [];
+    const protectedFiles = files.map(file => {
+        const fileFindings = scanContent(file.content, file.name);
+        findings.push(...report(file.name, fileFindings));
+        return mode === 'redact' && fileFindings.length > 0
+            ? { ...file, content: redact(file.content, fileFindings) }
+            : file;
+    });
+
+    if (findings.length > 0) {
+        logger.warn({ message: 'Secrets found in files', mode, count: findings.length });
+        if (mode === 'block') {
+            throw new SecretsDetectedError(`${findings.length} secret(s) found; SECRET_SCAN_MODE=block stopped the job`, findings);
+        }
+    }
+
+    return { mode, files: protectedFiles, findings };
+}
+
+// Scans the text files below `dir` and applies the scan mode in place.
+// Resolves to { mode, findings, redactedFiles }; throws SecretsDetectedError
+// in `block` mode.
+async function protectDirectory(dir, { mode = scanMode() } = {}) {
+    const findings = [];
+    const redactedFiles = [];
+
+    async function readDirectory(current) {
+        for (const item of await fs.readdir(current, { withFileTypes: true })) {
+            const itemPath = path.join(current, item.name);
+            if (item.isDirectory()) {
+                if (!SKIPPED_DIRECTORIES.includes(item.name)) {
+                    await readDirectory(itemPath);
+                }
+                continue;
+            }
+            if (!item.isFile() || (await fs.stat(itemPath)).size > MAX_SCANNED_FILE_BYTES) continue;
+
+            const buffer = await fs.readFile(itemPath);
+            if (buffer.includes(0)) continue;
+
+            const content = buffer.toString('utf8');
+            const relativePath = path.relative(dir, itemPath);
+            const fileFindings = scanContent(content, relativePath);
+            if (fileFindings.length === 0) continue;
+
+            findings.push(...report(relativePath, fileFindings));
+            if (mode === 'redact') {
+                await fs.writeFile(itemPath, redact(content, fileFindings));
+                redactedFiles.push(relativePath);
+            }
+        }
+    }
+
+    if (await fs.pathExists(dir)) {
+        await readDirectory(dir);
+    }
+
+    if (findings.length > 0) {
+        logger.warn({ message: 'Secrets found in directory', dir, mode, count: findings.length });
+        if (mode === 'block') {
+            throw new SecretsDetectedError(`${findings.length} secret(s) found; SECRET_SCAN_MODE=block stopped the job`, findings);
+        }
+    }
+
+    return { mode, findings, redactedFiles };
+}
+
+module.exports = {
+    scanContent,
+    redact,
+    protectFiles,
+    protectDirectory,
+    isEnvFile,
+    entropy,
+    SecretsDetectedError
+};
@@ -0,0 +1,129 @@
+const fs = require('fs-extra');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// Jobs in a SQLite database (better-sqlite3). The full job is stored as JSON,
+// and status, type and creation time are copied into indexed columns for
+// queries. Updates run in an IMMEDIATE transaction, which also makes them
+// atomic across processes sharing the database file.
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS jobs (
+    id TEXT PRIMARY KEY,
+    status TEXT,
+    type TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT,
+    data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS jobs_status_created ON jobs (status, created_at);
+CREATE INDEX IF NOT EXISTS jobs_type_created ON jobs (type, created_at);
+CREATE INDEX IF NOT EXISTS jobs_created ON jobs (created_at);
+`;
+
+function row(job) {
+    return {
+        id: job.id,
+        status: job.status ?? null,
+        type: job.type ?? null,
+        created_at: job.createdAt || new Date().toISOString(),
+        updated_at: job.updatedAt ?? null,
+        data: JSON.stringify(job)
+    };
+}
+
+// "column IN (?, ?)" for a value or a list
+function inClause(column, value, params) {
+    const values = [].concat(value);
+    params.push(...values);
+    return `${column} IN (${values.map(() => '?').join(', ')})`;
+}
+
+class SqliteJobStore {
+    constructor({ file = process.env.JOB_DB_PATH || './jobs/jobs.sqlite' } = {}) {
+        this.file = file;
+        fs.ensureDirSync(path.dirname(file));
+
+        this.db = new Database(file);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('busy_timeout = 5000');
+        this.db.exec(SCHEMA);
+
+        this.statements = {
+            insert: this.db.prepare('INSERT INTO jobs (id, status, type, created_at, updated_at, data) VALUES (@id, @status, @type, @created_at, @updated_at, @data)'),
+            insertOrIgnore: this.db.prepare('INSERT OR IGNORE INTO jobs (id, status, type, created_at, updated_at, data) VALUES (@id, @status, @type, @created_at, @updated_at, @data)'),
+            get: this.db.prepare('SELECT data FROM jobs WHERE id = ?'),
+            update: this.db.prepare('UPDATE jobs SET status = @status, type = @type, created_at = @created_at, updated_at = @updated_at, data = @data WHERE id = @id'),
+            delete: this.db.prepare('DELETE FROM jobs WHERE id = ?')
+        };
+
+        this.updateTransaction = this.db.transaction((jobId, mutate) => {
+            const current = this.statements.get.get(jobId);
+            if (!current) return null;
+
+            const updated = mutate(JSON.parse(current.data));
+            this.statements.update.run(row(updated));
+            return updated;
+        });
+    }
+
+    async create(job) {
+        try {
+            this.statements.insert.run(row(job));
+        } catch (error) {
+            if (error.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') {
+                throw new Error(`Job ${job.id} already exists`);
+            }
+            throw error;
+        }
+        return job;
+    }
+
+    // Inserts a job unless its id exists. Resolves to whether it was added.
+    async import(job) {
+        return this.statements.insertOrIgnore.run(row(job)).changes > 0;
+    }
+
+    async get(jobId) {
+        const current = this.statements.get.get(jobId);
+        return current ? JSON.parse(current.data) : null;
+    }
+
+    // Applies `mutate(job) -> job` atomically. Resolves to the stored job, or
+    // null when the job does not exist.
+    async update(jobId, mutate) {
+        return this.updateTransaction.immediate(jobId, mutate);
+    }
+
+    async delete(jobId) {
+        this.statements.delete.run(jobId);
+    }
+
+    // Newest first. `status` and `type` may be a value or a list. Resolves to
+    // { jobs, total }, where total counts every matching job.
+    async list({ status, type, createdBefore, limit, offset = 0 } = {}) {
+        const conditions = [];
+        const params = [];
+        if (status) conditions.push(inClause('status', status, params));
+        if (type) conditions.push(inClause('type', type, params));
+        if (createdBefore) {
+            conditions.push('created_at < ?');
+            params.push(new Date(createdBefore).toISOString());
+        }
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM jobs ${where}`).get(...params);
+        const jobs = this.db
+            .prepare(`SELECT data FROM jobs ${where} ORDER BY created_at DESC, id ASC LIMIT ? OFFSET ?`)
+            .all(...params, limit === undefined ? -1 : limit, offset)
+            .map(current => JSON.parse(current.data));
+
+        return { jobs, total };
+    }
+
+    async close() {
+        this.db.close();
+    }
+}
+
+module.exports = SqliteJobStore;
@@ -0,0 +1,368 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Per-choice snippets for the preferences accepted by POST /api/generate.
+// `techStack` and `deployment` are written into the plan, `guidelines` are
+// added to the matching agent's prompts, `npm` is merged into the scaffolded
+// package.json and `markers` are strings (file paths or file contents) that
+// show the choice made it into the generated code.
+const STACK_TEMPLATES = {
+    database: {
+        mongodb: {
+            label: 'MongoDB',
+            techStack: { backend: 'Node.js, Express, MongoDB (Mongoose)' },
+            guidelines: {
+                backend: 'Use MongoDB through Mongoose. Connect with mongoose.connect(process.env.MONGODB_URI) in config/database.js.'
+            },
+            npm: {
+                backend: { dependencies: { mongoose: '^8.0.3' } }
+            },
+            markers: { backend: ['mongoose'] }
+        },
+        postgresql: {
+            label: 'PostgreSQL',
+            techStack: { backend: 'Node.js, Express, PostgreSQL (Prisma)' },
+            guidelines: {
+                backend: 'Use PostgreSQL through Prisma. prisma/schema.prisma and the initial migration in prisma/migrations/ already exist; query with a single PrismaClient from "@prisma/client" exported by lib/prisma.js. Read the connection string from DATABASE_URL.'
+            },
+            npm: {
+                backend: {
+                    dependencies: { '@prisma/client': '^5.8.0' },
+                    devDependencies: { prisma: '^5.8.0' },
+                    scripts: { migrate: 'prisma migrate deploy', postinstall: 'prisma generate' }
+                }
+            },
+            markers: { backend: ['@prisma/client'] }
+        },
+        mysql: {
+            label: 'MySQL',
+            techStack: { backend: 'Node.js, Express, MySQL (Prisma)' },
+            guidelines: {
+                backend: 'Use MySQL through Prisma. prisma/schema.prisma and the initial migration in prisma/migrations/ already exist; query with a single PrismaClient from "@prisma/client" exported by lib/prisma.js. Read the connection string from DATABASE_URL.'
+            },
+            npm: {
+                backend: {
+                    dependencies: { '@prisma/client': '^5.8.0' },
+                    devDependencies: { prisma: '^5.8.0' },
+                    scripts: { migrate: 'prisma migrate deploy', postinstall: 'prisma generate' }
+                }
+            },
+            markers: { backend: ['@prisma/client'] }
+        },
+        firebase: {
+            label: 'Firebase Firestore',
+            techStack: { backend: 'Node.js, Express, Firebase Firestore (firebase-admin)' },
+            guidelines: {
+                backend: 'Store data in Cloud Firestore through firebase-admin. Initialise the admin app once in config/firebase.js from the FIREBASE_SERVICE_ACCOUNT environment variable and use one collection per database_schema entry.'
+            },
+            npm: {
+                backend: { dependencies: { 'firebase-admin': '^12.0.0' } }
+            },
+            markers: { backend: ['firebase-admin'] }
+        }
+    },
+    authentication: {
+        custom: {
+            label: 'Custom JWT authentication',
+            guidelines: {
+                backend: 'Implement email/password authentication yourself: hash passwords with bcryptjs, issue JWTs with jsonwebtoken signed with JWT_SECRET, and protect routes with a middleware/auth.js that verifies the Authorization: Bearer token.',
+                web: 'Call the backend login/register endpoints, keep the JWT in an httpOnly cookie or memory, and send it as Authorization: Bearer on API calls.',
+                ios: 'Call the backend login/register endpoints, store the JWT in the Keychain, and send it as Authorization: Bearer on API calls.',
+                android: 'Call the backend login/register endpoints, store the JWT with EncryptedSharedPreferences, and add it as Authorization: Bearer through an OkHttp interceptor.'
+            },
+            npm: {
+                backend: { dependencies: { bcryptjs: '^2.4.3', jsonwebtoken: '^9.0.2' } }
+            },
+            markers: { backend: ['jsonwebtoken'] }
+        },
+        firebase: {
+            label: 'Firebase Authentication',
+            guidelines: {
+                backend: 'Verify Firebase ID tokens in middleware/auth.js with admin.auth().verifyIdToken() from firebase-admin; do not store passwords.',
+                web: 'Sign users in with the Firebase JS SDK ("firebase/auth": getAuth, signInWithEmailAndPassword, onAuthStateChanged) configured from NEXT_PUBLIC_FIREBASE_* variables, and send the ID token as Authorization: Bearer.',
+                ios: 'Sign users in with FirebaseAuth (import FirebaseAuth, Auth.auth().signIn), call FirebaseApp.configure() at launch, and send the ID token as Authorization: Bearer.',
+                android: 'Sign users in with Firebase Authentication (com.google.firebase:firebase-auth-ktx, FirebaseAuth.getInstance()), and send the ID token as Authorization: Bearer.'
+            },
+            npm: {
+                backend: { dependencies: { 'firebase-admin': '^12.0.0' } },
+                web: { dependencies: { firebase: '^10.7.2' } }
+            },
+            markers: {
+                backend: ['verifyIdToken'],
+                web: ['firebase/auth'],
+                ios: ['FirebaseAuth'],
+                android: ['FirebaseAuth']
+            }
+        },
+        auth0: {
+            label: 'Auth0',
+            guidelines: {
+                backend: 'Protect API routes with express-oauth2-jwt-bearer (auth({ audience: AUTH0_AUDIENCE, issuerBaseURL: AUTH0_ISSUER_BASE_URL })).',
+                web: 'Use the Auth0 SDK for the web framework (@auth0/nextjs-auth0 for Next.js and @auth0/auth0-vue for Vue/Nuxt) and send the access token as Authorization: Bearer.',
+                ios: 'Use Auth0.swift (import Auth0, Auth0.webAuth().start) and store credentials with CredentialsManager.',
+                android: 'Use the Auth0 Android SDK (com.auth0.android:auth0, WebAuthProvider.login) and store credentials with CredentialsManager.'
+            },
+            npm: {
+                backend: { dependencies: { 'express-oauth2-jwt-bearer': '^1.6.0' } }
+            },
+            markers: {
+                backend: ['express-oauth2-jwt-bearer'],
+                web: ['@auth0/'],
+                ios: ['import Auth0'],
+                android: ['com.auth0.android']
+            }
+        },
+        supabase: {
+            label: 'Supabase Auth',
+            guidelines: {
+                backend: 'Create one Supabase client with @supabase/supabase-js from SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY in config/supabase.js, and authenticate requests in middleware/auth.js with supabase.auth.getUser(token) using the Authorization: Bearer token.',
+                web: 'Create one Supabase client with createClient from @supabase/supabase-js using the public Supabase URL and anon key environment variables, sign in with supabase.auth.signInWithPassword, track the session with supabase.auth.onAuthStateChange, and send session.access_token as Authorization: Bearer.',
+                ios: 'Use supabase-swift (import Supabase, SupabaseClient(supabaseURL:supabaseKey:)), sign in with client.auth.signIn(email:password:), and send the session access token as Authorization: Bearer.',
+                android: 'Use supabase-kt (io.github.jan-tennert.supabase with the Auth plugin), sign in with supabase.auth.signInWith(Email), and send the session access token as Authorization: Bearer.'
+            },
+            npm: {
+                backend: { dependencies: { '@supabase/supabase-js': '^2.39.3' } },
+                web: { dependencies: { '@supabase/supabase-js': '^2.39.3' } }
+            },
+            markers: {
+                backend: ['@supabase/supabase-js'],
+                web: ['@supabase/supabase-js'],
+                ios: ['import Supabase'],
+                android: ['io.github.jan.supabase', 'jan-tennert.supabase']
+            }
+        }
+    },
+    ui_framework: {
+        swiftui: {
+            label: 'SwiftUI',
+            techStack: { ios: 'SwiftUI' },
+            guidelines: { ios: 'Build every screen with SwiftUI views.' },
+            markers: { ios: ['import SwiftUI'] }
+        },
+        uikit: {
+            label: 'UIKit',
+            techStack: { ios: 'UIKit' },
+            // Served by UIKitIOSAgent instead of the SwiftUI IOSAgent
+            agent: { ios: 'uikit' },
+            guidelines: { ios: 'Build every screen with UIKit view controllers and programmatic Auto Layout instead of SwiftUI views, with a UIApplicationDelegate/SceneDelegate entry point.' },
+            markers: { ios: ['import UIKit'] }
+        },
+        compose: {
+            label: 'Jetpack Compose',
+            techStack: { android: 'Kotlin, Jetpack Compose' },
+            guidelines: { android: 'Build every screen as a Jetpack Compose composable.' },
+            markers: { android: ['androidx.compose'] }
+        },
+        react: {
+            label: 'React (Next.js)',
+            techStack: { web: 'Next.js 14, React, TypeScript, Tailwind CSS' },
+            guidelines: { web: 'Build the UI with React function components and hooks.' },
+            // The Next.js agent serves this choice, so package names prove
+            // nothing; agent code importing React's API itself does. A bare
+            // "react" would also match next.config.js, react-dom, React Native
+            // and testing-library imports.
+            markers: { web: ["from 'react'", 'from "react"'] }
+        },
+        vue: {
+            label: 'Vue (Nuxt)',
+            techStack: { web: 'Nuxt 3, Vue 3, TypeScript, Tailwind CSS' },
+            // Served by NuxtWebAgent instead of the Next.js WebAgent
+            agent: { web: 'nuxt' },
+            guidelines: { web: 'Build the UI with Vue 3 single-file components using <script setup lang="ts">.' },
+            markers: { web: ['nuxt'] }
+        }
+    },
+    deployment: {
+        aws: {
+            label: 'AWS',
+            deployment: { backend: 'AWS (ECS Fargate)', web: 'AWS Amplify Hosting' },
+            guidelines: { backend: 'Include a production Dockerfile for deployment to AWS ECS Fargate and read all configuration from environment variables.' },
+            markers: { backend: ['Dockerfile'] }
+        },
+        gcp: {
+            label: 'Google Cloud',
+            deployment: { backend: 'Google Cloud Run', web: 'Google Cloud Run' },
+            guidelines: { backend: 'Include a production Dockerfile for Google Cloud Run and listen on process.env.PORT.' },
+            markers: { backend: ['Dockerfile'] }
+        },
+        azure: {
+            label: 'Azure',
+            deployment: { backend: 'Azure App Service', web: 'Azure Static Web Apps' },
+            guidelines: { backend: 'Include a production Dockerfile for Azure App Service and listen on process.env.PORT.' },
+            markers: { backend: ['Dockerfile'] }
+        },
+        vercel: {
+            label: 'Vercel',
+            deployment: { web: 'Vercel' },
+            guidelines: { web: 'Include a vercel.json and keep server-side secrets in environment variables configured in Vercel.' },
+            markers: { web: ['vercel.json'] }
+        },
+        netlify: {
+            label: 'Netlify',
+            deployment: { web: 'Netlify' },
+            guidelines: { web: 'Include a netlify.toml with the build command and publish directory.' },
+            markers: { web: ['netlify.toml'] }
+        }
+    }
+};
+
+const PREFERENCE_LABELS = {
+    database: 'Database',
+    authentication: 'Authentication',
+    ui_framework: 'UI framework',
+    deployment: 'Deployment'
+};
+
+// [{ preference, value, template }] for the preferences that were set
+function selectedTemplates(preferences = {}) {
+    return Object.entries(preferences)
+        .filter(([preference, value]) => STACK_TEMPLATES[preference] && STACK_TEMPLATES[preference][value])
+        .map(([preference, value]) => ({ preference, value, template: STACK_TEMPLATES[preference][value] }));
+}
+
+// Section for the planning prompt
+function describePreferences(preferences = {}) {
+    return selectedTemplates(preferences)
+        .map(({ preference, template }) => `- ${PREFERENCE_LABELS[preference]}: ${template.label}`)
+        .join('\n');
+}
+
+// Pins tech_stack and deployment to the chosen stack and keeps the
+// preferences on the plan for the agents
+function applyStackPreferences(planningData, preferences = {}) {
+    const techStack = { ...planningData.tech_stack };
+    const deployment = { ...planningData.deployment };
+
+    for (const { template } of selectedTemplates(preferences)) {
+        Object.assign(techStack, template.techStack);
+        Object.assign(deployment, template.deployment);
+    }
+
+    return {
+        ...planningData,
+        tech_stack: techStack,
+        deployment,
+        preferences
+    };
+}
+
+// { dependencies, devDependencies, scripts } the chosen stack adds to a
+// platform's package.json
+function stackPackages(preferences, platform) {
+    const packages = { dependencies: {}, devDependencies: {}, scripts: {} };
+    for (const { template } of selectedTemplates(preferences)) {
+        const npm = template.npm && template.npm[platform];
+        if (!npm) continue;
+        Object.assign(packages.dependencies, npm.dependencies);
+        Object.assign(packages.devDependencies, npm.devDependencies);
+        Object.assign(packages.scripts, npm.scripts);
+    }
+    return packages;
+}
+
+function stackGuidelines(preferences, platform) {
+    return selectedTemplates(preferences)
+        .filter(({ template }) => template.guidelines && template.guidelines[platform])
+        .map(({ template }) => `- ${template.label}: ${template.guidelines[platform]}`);
+}
+
+// Name of the agent variant that replaces the platform's default agent for
+// the chosen UI framework, or null
+function agentVariantFor(preferences = {}, platform) {
+    const template = STACK_TEMPLATES.ui_framework[preferences.ui_framework];
+    return (template && template.agent && template.agent[platform]) || null;
+}
+
+// Explicit preference first, otherwise whatever the plan's backend stack names
+function databaseFor(planningData) {
+    const preferred = planningData.preferences && planningData.preferences.database;
+    if (preferred) {
+        return preferred;
+    }
+
+    const backend = (planningData.tech_stack && planningData.tech_stack.backend) || '';
+    if (/postgres/i.test(backend)) return 'postgresql';
+    if (/mysql|mariadb/i.test(backend)) return 'mysql';
+    if (/firebase|firestore/i.test(backend)) return 'firebase';
+    return 'mongodb';
+}
+
+async function readPlatformFiles(dir) {
+    const files = [];
+    if (!await fs.pathExists(dir)) {
+        return files;
+    }
+
+    async function walk(current) {
+        for (const item of await fs.readdir(current)) {
+            if (item === 'node_modules') continue;
+            const itemPath = path.join(current, item);
+            const stat = await fs.stat(itemPath);
+            if (stat.isDirectory()) {
+                await walk(itemPath);
+            } else if (stat.size <= 512 * 1024) {
+                files.push({
+                    path: path.relative(dir, itemPath).split(path.sep).join('/'),
+                    content: await fs.readFile(itemPath, 'utf8')
+                });
+            }
+        }
+    }
+
+    await walk(dir);
+    return files;
+}
+
+// Checks each chosen preference against the generated platform directories.
+// `exclude` maps a platform to the paths written from templates (skeleton
+// and models), which carry the stack's packages whatever the agent did, so
+// only files the agent wrote count as evidence.
+async function checkStack(planningData, outputDir, platforms, { exclude = {} } = {}) {
+    const checks = [];
+    const filesByPlatform = {};
+
+    for (const { preference, value, template } of selectedTemplates(planningData.preferences)) {
+        for (const [platform, markers] of Object.entries(template.markers || {})) {
+            if (!platforms.includes(platform)) continue;
+
+            if (!filesByPlatform[platform]) {
+                const templated = new Set(exclude[platform] || []);
+                filesByPlatform[platform] = (await readPlatformFiles(path.join(outputDir, platform)))
+                    .filter(file => !templated.has(file.path));
+            }
+
+            let evidence = null;
+            for (const file of filesByPlatform[platform]) {
+                const marker = markers.find(m => file.path.includes(m) || file.content.includes(m));
+                if (marker) {
+                    evidence = { file: file.path, marker };
+                    break;
+                }
+            }
+
+            checks.push({
+                preference,
+                value,
+                platform,
+                found: evidence !== null,
+                ...(evidence && { evidence })
+            });
+        }
+    }
+
+    return {
+        consistent: checks.every(check => check.found),
+        checks
+    };
+}
+
+module.exports = {
+    STACK_TEMPLATES,
+    describePreferences,
+    applyStackPreferences,
+    stackGuidelines,
+    stackPackages,
+    agentVariantFor,
+    databaseFor,
+    checkStack
+};
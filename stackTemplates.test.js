@@ -0,0 +1,88 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { applyStackPreferences, stackGuidelines, stackPackages, agentVariantFor, checkStack } = require('./stackTemplates');
+
+const planningData = {
+    app_name: 'Shop',
+    platforms: ['web', 'backend'],
+    tech_stack: { web: 'Next.js', backend: 'Express' },
+    deployment: {}
+};
+
+describe('applyStackPreferences', () => {
+    test('pins the plan\'s stack and keeps the preferences for the agents', () => {
+        const plan = applyStackPreferences(planningData, { database: 'postgresql', ui_framework: 'vue', deployment: 'vercel' });
+
+        expect(plan.tech_stack).toEqual({ web: 'Nuxt 3, Vue 3, TypeScript, Tailwind CSS', backend: 'Node.js, Express, PostgreSQL (Prisma)' });
+        expect(plan.deployment).toEqual({ web: 'Vercel' });
+        expect(plan.preferences).toEqual({ database: 'postgresql', ui_framework: 'vue', deployment: 'vercel' });
+    });
+
+    test('selects the agent, guidelines and packages for a choice', () => {
+        expect(agentVariantFor({ ui_framework: 'vue' }, 'web')).toBe('nuxt');
+        expect(agentVariantFor({ ui_framework: 'uikit' }, 'ios')).toBe('uikit');
+        expect(agentVariantFor({ ui_framework: 'vue' }, 'ios')).toBeNull();
+        expect(agentVariantFor({}, 'web')).toBeNull();
+        expect(stackGuidelines({ database: 'mongodb' }, 'backend')).toEqual([expect.stringContaining('Mongoose')]);
+        expect(stackPackages({ database: 'mysql' }, 'backend').dependencies).toEqual({ '@prisma/client': '^5.8.0' });
+    });
+});
+
+describe('checkStack', () => {
+    let outputDir;
+    const plan = applyStackPreferences(planningData, { database: 'mongodb', deployment: 'aws' });
+    // What the skeleton and model generator write for this plan
+    const exclude = { backend: ['package.json', 'models/Product.js'] };
+
+    beforeEach(async () => {
+        outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'stack-check-'));
+        await fs.outputJson(path.join(outputDir, 'backend/package.json'), { dependencies: { mongoose: '^8.0.3' } });
+        await fs.outputFile(path.join(outputDir, 'backend/models/Product.js'), "const mongoose = require('mongoose');");
+    });
+
+    afterEach(() => fs.remove(outputDir));
+
+    test('does not count skeleton or model files as evidence', async () => {
+        const report = await checkStack(plan, outputDir, ['backend'], { exclude });
+
+        expect(report.consistent).toBe(false);
+        expect(report.checks).toEqual([
+            { preference: 'database', value: 'mongodb', platform: 'backend', found: false },
+            { preference: 'deployment', value: 'aws', platform: 'backend', found: false }
+        ]);
+    });
+
+    test('finds each choice in the files the agent wrote', async () => {
+        await fs.outputFile(path.join(outputDir, 'backend/config/database.js'), "mongoose.connect(process.env.MONGODB_URI);");
+        await fs.outputFile(path.join(outputDir, 'backend/Dockerfile'), 'FROM node:20-alpine');
+
+        const report = await checkStack(plan, outputDir, ['backend'], { exclude });
+
+        expect(report.consistent).toBe(true);
+        expect(report.checks.map(check => check.evidence)).toEqual([
+            { file: 'config/database.js', marker: 'mongoose' },
+            { file: 'Dockerfile', marker: 'Dockerfile' }
+        ]);
+    });
+
+    test('only checks the given platforms', async () => {
+        const report = await checkStack(applyStackPreferences(planningData, { deployment: 'vercel' }), outputDir, ['backend']);
+
+        expect(report).toEqual({ consistent: true, checks: [] });
+    });
+
+    test('needs React code the agent wrote for the React choice, not the Next.js default', async () => {
+        const react = applyStackPreferences(planningData, { ui_framework: 'react' });
+        await fs.outputFile(path.join(outputDir, 'web/next.config.js'), "/** @type {import('next').NextConfig} */\nmodule.exports = { reactStrictMode: true };");
+        await fs.outputFile(path.join(outputDir, 'web/app/page.tsx'), 'export default function Page() { return <main />; }');
+
+        expect((await checkStack(react, outputDir, ['web'])).consistent).toBe(false);
+
+        await fs.outputFile(path.join(outputDir, 'web/components/Cart.tsx'), "import { useState } from 'react';");
+
+        expect((await checkStack(react, outputDir, ['web'])).checks).toEqual([
+            { preference: 'ui_framework', value: 'react', platform: 'web', found: true, evidence: { file: 'components/Cart.tsx', marker: "from 'react'" } }
+        ]);
+    });
+});
@@ -1,12 +1,24 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs-extra');
+const Joi = require('joi');
 const JobManager = require('../services/jobManager');
+const { jobEvents } = require('../services/jobEvents');
+const { jobQueue, RetryError } = require('../services/jobQueue');
 const { logger } = require('../middleware/logger');
 
 const router = express.Router();
 const jobManager = new JobManager();
 
+const TERMINAL_STATUSES = ['completed', 'partially_completed', 'failed', 'cancelled'];
+
+// Statuses whose zip can be downloaded
+const DOWNLOADABLE_STATUSES = ['completed', 'partially_completed'];
+
+const retrySchema = Joi.object({
+    fromStage: Joi.string()
+});
+
 // GET /api/status/:jobId - Get job status
 router.get('/:jobId', async (req, res) => {
     try {
@@ -25,10 +37,18 @@ router.get('/:jobId', async (req, res) => {
             status: job.status,
             progress: job.progress || 0,
             type: job.type,
+            ...(job.parentJobId && { parentJobId: job.parentJobId, version: job.version }),
+            ...(job.refinements && { refinements: job.refinements }),
             createdAt: job.createdAt,
             completedAt: job.completedAt,
             failedAt: job.failedAt,
             error: job.error,
+            ...(job.secretFindings && { secretFindings: job.secretFindings }),
+            platformProgress: job.platformProgress,
+            ...(job.testSummary && { testSummary: job.testSummary }),
+            ...(job.analysisProgress && { analysisProgress: job.analysisProgress }),
+            ...(job.status === 'partially_completed' && { platformErrors: platformErrors(job.result) }),
+            ...(job.history && { history: job.history }),
             result: job.result,
             estimatedTimeRemaining: calculateEstimatedTime(job)
         });
@@ -46,6 +66,92 @@ router.get('/:jobId', async (req, res) => {
     }
 });
 
+// GET /api/status/:jobId/events - Live job updates as server-sent events
+router.get('/:jobId/events', async (req, res) => {
+    let unsubscribe = () => {};
+    try {
+        const { jobId } = req.params;
+
+        // Subscribe before reading the snapshot so an event published in
+        // between is held back instead of lost
+        const pending = [];
+        let listener = null;
+        unsubscribe = jobEvents.subscribe(jobId, event => (listener ? listener(event) : pending.push(event)));
+
+        const job = await jobManager.getJob(jobId);
+
+        if (!job) {
+            unsubscribe();
+            return res.status(404).json({
+                error: 'Job not found',
+                jobId
+            });
+        }
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        res.flushHeaders();
+
+        const send = (event) => {
+            res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        };
+
+        send({
+            type: 'snapshot',
+            jobId,
+            status: job.status,
+            progress: job.progress || 0,
+            platformProgress: job.platformProgress || {}
+        });
+
+        if (TERMINAL_STATUSES.includes(job.status)) {
+            unsubscribe();
+            return res.end();
+        }
+
+        const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+        let closed = false;
+
+        function close() {
+            if (closed) return;
+            closed = true;
+            clearInterval(heartbeat);
+            unsubscribe();
+            res.end();
+        }
+
+        listener = (event) => {
+            if (closed) return;
+            send(event);
+            if (event.type === 'status' && TERMINAL_STATUSES.includes(event.status)) {
+                close();
+            }
+        };
+        pending.forEach(listener);
+
+        req.on('close', close);
+
+    } catch (error) {
+        unsubscribe();
+        logger.error({
+            message: 'Job events error',
+            jobId: req.params.jobId,
+            error: error.message
+        });
+        if (!res.headersSent) {
+            res.status(500).json({
+                error: 'Failed to stream job events',
+                details: error.message
+            });
+        } else {
+            res.end();
+        }
+    }
+});
+
 // GET /api/download/:jobId - Download generated code
 router.get('/download/:jobId', async (req, res) => {
     try {
@@ -59,7 +165,7 @@ router.get('/download/:jobId', async (req, res) => {
             });
         }
 
-        if (job.status !== 'completed') {
+        if (!DOWNLOADABLE_STATUSES.includes(job.status)) {
             return res.status(400).json({
                 error: 'Job not completed yet',
                 status: job.status,
@@ -77,7 +183,9 @@ router.get('/download/:jobId', async (req, res) => {
         }
 
         const stats = await fs.stat(zipPath);
-        const filename = `${job.type}_${jobId}.zip`;
+        const filename = job.version
+            ? `${job.type}_${job.rootJobId}_v${job.version}.zip`
+            : `${job.type}_${jobId}.zip`;
 
         res.setHeader('Content-Type', 'application/zip');
         res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
@@ -119,21 +227,32 @@ router.delete('/:jobId', async (req, res) => {
             });
         }
 
-        if (job.status === 'completed' || job.status === 'failed') {
+        if (TERMINAL_STATUSES.includes(job.status)) {
             return res.status(400).json({
-                error: 'Cannot cancel completed or failed job',
+                error: 'Cannot cancel a job that has already finished',
                 status: job.status
             });
         }
 
-        await jobManager.updateJob(jobId, {
+        // Mark the job first so no later update can complete it, then stop
+        // the work still queued or running for it. The job may have finished
+        // since it was read; its result is kept then.
+        const cancelled = await jobManager.updateJob(jobId, {
             status: 'cancelled',
             cancelledAt: new Date()
-        });
+        }, { fromStatus: job.status });
+        if (!cancelled) {
+            return res.status(409).json({
+                error: 'Job status changed before it could be cancelled',
+                status: (await jobManager.getJob(jobId)).status
+            });
+        }
+        const stopped = await jobQueue.cancel(jobId);
 
         logger.info({
             message: 'Job cancelled',
-            jobId
+            jobId,
+            stopped
         });
 
         res.json({
@@ -155,15 +274,81 @@ router.delete('/:jobId', async (req, res) => {
     }
 });
 
+// POST /api/status/:jobId/retry - Run a failed, cancelled or partially
+// completed job again, optionally from an earlier stage ({ fromStage })
+router.post('/:jobId/retry', async (req, res) => {
+    try {
+        const { jobId } = req.params;
+        const job = await jobManager.getJob(jobId);
+
+        if (!job) {
+            return res.status(404).json({
+                error: 'Job not found',
+                jobId
+            });
+        }
+
+        const { error, value } = retrySchema.validate(req.body || {});
+        if (error) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: error.details.map(d => d.message)
+            });
+        }
+
+        let attempt;
+        try {
+            attempt = await jobQueue.retry(jobId, value.fromStage);
+        } catch (retryError) {
+            if (retryError instanceof RetryError) {
+                return res.status(409).json({
+                    error: 'Job cannot be retried',
+                    details: retryError.message,
+                    status: job.status
+                });
+            }
+            throw retryError;
+        }
+
+        res.json({
+            jobId,
+            status: 'queued',
+            attempt: attempt.attempt,
+            fromStage: attempt.fromStage,
+            message: `Job queued again from ${attempt.fromStage}.`,
+            statusUrl: `/api/status/${jobId}`
+        });
+
+    } catch (error) {
+        logger.error({
+            message: 'Job retry error',
+            jobId: req.params.jobId,
+            error: error.message
+        });
+        res.status(500).json({
+            error: 'Failed to retry job',
+            details: error.message
+        });
+    }
+});
+
+// { platform: error } for the platforms a partially completed job is missing
+function platformErrors(result) {
+    return Object.fromEntries(Object.entries(result?.results || {})
+        .filter(([, platformResult]) => !platformResult.success)
+        .map(([platform, platformResult]) => [platform, platformResult.error]));
+}
+
 function calculateEstimatedTime(job) {
-    if (job.status === 'completed' || job.status === 'failed' || job.status === 'cancelled') {
+    if (TERMINAL_STATUSES.includes(job.status)) {
         return 0;
     }
 
     const baseEstimates = {
         generate: 8 * 60, // 8 minutes
         analyze: 5 * 60,  // 5 minutes
-        modernize: 10 * 60 // 10 minutes
+        modernize: 10 * 60, // 10 minutes
+        refine: 4 * 60 // 4 minutes
     };
 
     const baseTime = baseEstimates[job.type] || 5 * 60;
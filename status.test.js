@@ -0,0 +1,93 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const express = require('express');
+const request = require('supertest');
+
+// The routes use the default job store
+const jobsDir = path.join(os.tmpdir(), `status-routes-${process.pid}`);
+process.env.JOBS_DIR = jobsDir;
+
+const statusRoutes = require('./status');
+const JobManager = require('../services/jobManager');
+const { jobEvents } = require('../services/jobEvents');
+const { jobQueue } = require('../services/jobQueue');
+
+const app = express();
+app.use(express.json());
+app.use('/api/status', statusRoutes);
+
+afterAll(() => fs.remove(jobsDir));
+
+// Parsed server-sent events of a finished stream
+function parseEvents(text) {
+    return text.split('\n\n').filter(block => block.startsWith('event:')).map(block => JSON.parse(block.split('data: ')[1]));
+}
+
+describe('GET /api/status/:jobId/events', () => {
+    const jobManager = new JobManager();
+
+    afterEach(() => jest.restoreAllMocks());
+
+    test('delivers an event published while the snapshot is read', async () => {
+        await jobManager.createJob('job-race', { type: 'generate', status: 'generating', progress: 50 });
+
+        // The job finishes after the route subscribed but before it sends the snapshot
+        const getJob = JobManager.prototype.getJob;
+        jest.spyOn(JobManager.prototype, 'getJob').mockImplementation(async function (jobId) {
+            const snapshot = await getJob.call(this, jobId);
+            jobEvents.publish(jobId, { type: 'status', status: 'completed', progress: 100 });
+            return snapshot;
+        });
+
+        const response = await request(app).get('/api/status/job-race/events').buffer(true).parse((res, done) => {
+            let text = '';
+            res.on('data', chunk => {
+                text += chunk;
+            });
+            res.on('end', () => done(null, text));
+        });
+
+        expect(parseEvents(response.body).map(event => [event.type, event.status])).toEqual([
+            ['snapshot', 'generating'],
+            ['status', 'completed']
+        ]);
+        expect(jobEvents.listenerCount('job-race')).toBe(0);
+    });
+
+    test('returns 404 for an unknown job without leaving a subscription', async () => {
+        const response = await request(app).get('/api/status/missing/events');
+
+        expect(response.status).toBe(404);
+        expect(jobEvents.listenerCount('missing')).toBe(0);
+    });
+});
+
+describe('DELETE /api/status/:jobId', () => {
+    const jobManager = new JobManager();
+
+    afterEach(() => jest.restoreAllMocks());
+
+    test('keeps a job that completes between the lookup and the cancel', async () => {
+        await jobManager.createJob('job-finishing', { type: 'generate', status: 'generating', progress: 90 });
+
+        // The pipeline finishes right after the route read the job
+        const getJob = JobManager.prototype.getJob;
+        jest.spyOn(JobManager.prototype, 'getJob').mockImplementationOnce(async function (jobId) {
+            const snapshot = await getJob.call(this, jobId);
+            await this.updateJob(jobId, { status: 'completed', progress: 100, result: { zipPath: 'generated/job-finishing.zip' } });
+            return snapshot;
+        });
+        const cancel = jest.spyOn(jobQueue, 'cancel');
+
+        const response = await request(app).delete('/api/status/job-finishing');
+
+        expect(response.status).toBe(409);
+        expect(response.body.status).toBe('completed');
+        expect(cancel).not.toHaveBeenCalled();
+        expect(await jobManager.getJob('job-finishing')).toMatchObject({
+            status: 'completed',
+            result: { zipPath: 'generated/job-finishing.zip' }
+        });
+    });
+});
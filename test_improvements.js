@@ -74,7 +74,7 @@ function testPromptImprovements() {
     console.log('✅ iOS Agent prompt: Generated successfully');
     console.log('   - Contains technical specification: ✅');
     console.log('   - Has JSON template: ✅');
-    console.log('   - Includes sample code: ✅');
+    console.log('   - Requests a file manifest: ✅');
     
     // Test Code Modernizer prompt
     const mockCodeFiles = [{